@@ -1,38 +1,79 @@
 //SPDX-License-Identifier: Unlicense
 pragma solidity ^0.8.0;
 
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "./Payments.sol";
+
 interface IERC721 {
     function transferFrom(
         address _from,
         address _to,
         uint256 _id
     ) external;
+
+    function ownerOf(uint256 _id) external view returns (address);
 }
 
-contract Escrow {
+interface IMortgage {
+    function hasTerms(uint256 _nftID, address _lender) external view returns (bool);
+
+    function originate(
+        uint256 _nftID,
+        address _borrower,
+        address _lender,
+        uint256 _principal,
+        address _token
+    ) external;
+}
+
+// Inherits multicall(bytes[]), which runs several of these calls in one
+// transaction with the caller's own permissions (e.g. an inspector passing
+// many inspections, or a seller listing and updating many properties)
+contract Escrow is Multicall {
     address public nftAddress;
-    address payable public seller;
-    address public inspector;
-    address public lender;
-    address public lawyer;
+    address public mortgage;
+
+    // EscrowFactory that created this clone, address(0) for the implementation
+    address public factory;
 
     modifier onlyBuyer(uint256 _nftID) {
         require(msg.sender == buyer[_nftID], "Escrow: Only buyer can call this method");
         _;
     }
 
-    modifier onlySeller() {
-        require(msg.sender == seller, "Escrow: Only seller can call this method");
+    modifier onlySeller(uint256 _nftID) {
+        _requireSeller(_nftID);
+        _;
+    }
+
+    modifier onlyInspector(uint256 _nftID) {
+        require(msg.sender == inspector[_nftID], "Escrow: Only inspector can call this method");
+        _;
+    }
+
+    modifier onlyLender(uint256 _nftID) {
+        require(msg.sender == lender[_nftID], "Escrow: Only lender can call this method");
+        _;
+    }
+
+    modifier onlyLawyer(uint256 _nftID) {
+        require(msg.sender == lawyer[_nftID], "Escrow: Only lawyer can call this method");
         _;
     }
 
-    modifier onlyInspector() {
-        require(msg.sender == inspector, "Escrow: Only inspector can call this method");
+    modifier onlyAppraiser(uint256 _nftID) {
+        require(msg.sender == appraiser[_nftID], "Escrow: Only appraiser can call this method");
         _;
     }
 
-    modifier onlyLawyer() {
-        require(msg.sender == lawyer, "Escrow: Only lawyer can call this method");
+    modifier onlyArbitrator(uint256 _nftID) {
+        require(msg.sender == arbitrator[_nftID], "Escrow: Only arbitrator can call this method");
+        _;
+    }
+
+    // A dispute freezes the listing until the arbitrator resolves it
+    modifier notDisputed(uint256 _nftID) {
+        _requireNotDisputed(_nftID);
         _;
     }
 
@@ -40,156 +81,944 @@ contract Escrow {
     mapping(uint256 => uint256) public purchasePrice;
     mapping(uint256 => uint256) public escrowAmount;
     mapping(uint256 => address) public buyer;
+    mapping(uint256 => address payable) public seller;
+
+    // Service providers each listing names at list() time
+    enum Service { Inspector, Lender, Lawyer, Appraiser, Arbitrator }
+
+    struct ServiceProviders {
+        address inspector;
+        address lender;
+        address lawyer;
+        address appraiser;
+        address arbitrator;
+    }
+
+    mapping(uint256 => address) public inspector;
+    mapping(uint256 => address) public lender;
+    mapping(uint256 => address) public lawyer;
+    mapping(uint256 => address) public appraiser;
+    mapping(uint256 => address) public arbitrator;
+
+    // A provider can only be replaced until it has acted on the listing, and
+    // only once buyer and seller propose the same replacement
+    // -> nftID => service => proposer => replacement
+    mapping(uint256 => mapping(Service => bool)) public hasActed;
+    mapping(uint256 => mapping(Service => mapping(address => address))) public replacementProposal;
     mapping(uint256 => bool) public inspectionPassed;
     mapping(uint256 => bool) public legalPassed;
     mapping(uint256 => mapping(address => bool)) public approval;
 
-    event SaleFinalized(uint256 indexed nftID, address indexed buyer, address indexed seller, uint256 salePrice);
+    // Appraised value for the sale under contract (0 until appraised), and a
+    // lower price the buyer has asked for when the appraisal comes in short
+    mapping(uint256 => uint256) public appraisedValue;
+    mapping(uint256 => uint256) public proposedPrice;
+
+    // Listings frozen by a dispute between buyer and seller
+    mapping(uint256 => bool) public disputed;
 
-    constructor(
+    uint256 private constant BPS = 10000;
+
+    // Funds held for each listing, so one property's money can never close another
+    mapping(uint256 => uint256) public earnestDeposited;
+    mapping(uint256 => uint256) public lenderDeposited;
+
+    // Contingency periods chosen at listing, and the deadlines (unix timestamps)
+    // they turn into once a buyer is under contract
+    mapping(uint256 => uint256) public inspectionPeriod;
+    mapping(uint256 => uint256) public financingPeriod;
+    mapping(uint256 => uint256) public closingPeriod;
+    mapping(uint256 => uint256) public inspectionDeadline;
+    mapping(uint256 => uint256) public financingDeadline;
+    mapping(uint256 => uint256) public closingDeadline;
+
+    enum Contingency { Inspection, Financing, Closing }
+
+    // Offers on open listings (listed without a buyer)
+    enum OfferStatus { Pending, Countered, Accepted, Rejected, Withdrawn }
+
+    // One property in a batchList call
+    struct BatchListing {
+        uint256 nftID;
+        address buyer;
+        uint256 purchasePrice;
+        uint256 escrowAmount;
+    }
+
+    // What the home grid needs to know about a listing, see getListings
+    struct ListingSummary {
+        bool isListed;
+        address seller;
+        address buyer;
+        address paymentToken;
+        uint256 purchasePrice;
+        uint256 escrowAmount;
+    }
+
+    struct Offer {
+        address buyer;
+        uint256 price;
+        uint256 earnest;
+        uint256 expiresAt;
+        uint256 counterPrice;
+        uint256 counterExpiresAt;
+        OfferStatus status;
+    }
+
+    mapping(uint256 => Offer[]) public offers;
+
+    // Currency each listing is priced and settled in, address(0) for ETH
+    mapping(uint256 => address) public paymentToken;
+
+    // Refunds that could not be pushed to a bidder, claimable with claimRefund
+    // -> token => bidder => amount
+    mapping(address => mapping(address => uint256)) public refundsOwed;
+
+    event Listed(uint256 indexed nftID, address indexed seller, address indexed buyer, uint256 purchasePrice, uint256 escrowAmount);
+    event EarnestDeposited(uint256 indexed nftID, address indexed buyer, uint256 amount);
+    event LoanDeposited(uint256 indexed nftID, address indexed lender, uint256 amount);
+    event InspectionUpdated(uint256 indexed nftID, address indexed inspector, bool passed);
+    event LegalStatusUpdated(uint256 indexed nftID, address indexed lawyer, bool passed);
+    event SaleApproved(uint256 indexed nftID, address indexed approver);
+    event ServiceProvidersAssigned(uint256 indexed nftID, address inspector, address lender, address lawyer, address appraiser, address arbitrator);
+    event ReplacementProposed(uint256 indexed nftID, Service service, address indexed proposer, address replacement);
+    event ServiceProviderReplaced(uint256 indexed nftID, Service service, address indexed previous, address indexed replacement);
+    event DisputeOpened(uint256 indexed nftID, address indexed openedBy);
+    event EvidenceSubmitted(uint256 indexed nftID, address indexed party, bytes32 evidenceHash);
+    event DisputeResolved(uint256 indexed nftID, address indexed arbitrator, uint256 buyerAmount, uint256 sellerAmount, address indexed nftRecipient);
+    event Appraised(uint256 indexed nftID, address indexed appraiser, uint256 value);
+    event PriceProposed(uint256 indexed nftID, address indexed buyer, uint256 price);
+    event PriceRenegotiated(uint256 indexed nftID, uint256 oldPrice, uint256 newPrice);
+    event TermsUpdated(uint256 indexed nftID, uint256 purchasePrice, uint256 escrowAmount);
+    event SaleCancelled(uint256 indexed nftID, address indexed cancelledBy, address indexed earnestRecipient, uint256 earnest);
+    event SaleFinalized(uint256 indexed nftID, address indexed buyer, address indexed seller, uint256 salePrice, address paymentToken);
+    event SaleExpired(uint256 indexed nftID, Contingency contingency, address indexed earnestRecipient, uint256 earnest);
+    event Reclaimed(uint256 indexed nftID, address indexed seller);
+    event OfferMade(uint256 indexed nftID, uint256 indexed offerID, address indexed buyer, uint256 price, uint256 earnest, uint256 expiresAt);
+    event OfferCountered(uint256 indexed nftID, uint256 indexed offerID, uint256 price, uint256 expiresAt);
+    event OfferAccepted(uint256 indexed nftID, uint256 indexed offerID, address indexed buyer, uint256 price);
+    event OfferRejected(uint256 indexed nftID, uint256 indexed offerID, address indexed buyer);
+    event OfferWithdrawn(uint256 indexed nftID, uint256 indexed offerID, address indexed buyer);
+
+    // A deployed Escrow is only the implementation EscrowFactory clones. It
+    // never holds a sale: initialize() refuses it, and list() and batchList()
+    // only relist a token that is already in the escrow (see _take).
+    constructor(address _nftAddress, address _mortgage) {
+        nftAddress = _nftAddress;
+        mortgage = _mortgage;
+    }
+
+    // Set up a minimal-proxy clone for one sale (EscrowFactory, once, after it
+    // has moved the seller's token into the clone)
+    // -> A deployed Escrow already has its nftAddress, so only clones get here
+    function initialize(
         address _nftAddress,
-        address payable _seller,
-        address _inspector,
-        address _lender,
-        address _lawyer
-    ) {
+        address _mortgage,
+        address _seller,
+        BatchListing calldata _listing,
+        uint256 _inspectionPeriod,
+        uint256 _financingPeriod,
+        uint256 _closingPeriod,
+        address _paymentToken,
+        ServiceProviders calldata _providers
+    ) public {
+        require(nftAddress == address(0), "Escrow: Already initialized");
+
         nftAddress = _nftAddress;
-        seller = _seller;
-        inspector = _inspector;
-        lender = _lender;
-        lawyer = _lawyer;
+        mortgage = _mortgage;
+        factory = msg.sender;
+
+        _list(
+            _seller,
+            _listing.nftID,
+            _listing.buyer,
+            _listing.purchasePrice,
+            _listing.escrowAmount,
+            _inspectionPeriod,
+            _financingPeriod,
+            _closingPeriod,
+            _paymentToken,
+            _providers
+        );
     }
 
+    // List a property, either for a named buyer or, with _buyer set to the
+    // zero address, on the open market to receive offers
+    // -> Prices and deposits are in _paymentToken, or ETH when it is the zero address
+    // -> _providers names the inspector, lender, lawyer, appraiser and arbitrator for this sale
     function list(
         uint256 _nftID,
         address _buyer,
         uint256 _purchasePrice,
-        uint256 _escrowAmount
-      
-    ) public payable onlySeller {
-        // Transfer NFT from seller to this contract
-        IERC721(nftAddress).transferFrom(msg.sender, address(this), _nftID);
+        uint256 _escrowAmount,
+        uint256 _inspectionPeriod,
+        uint256 _financingPeriod,
+        uint256 _closingPeriod,
+        address _paymentToken,
+        ServiceProviders calldata _providers
+    ) public {
+        _take(_nftID);
+        _list(msg.sender, _nftID, _buyer, _purchasePrice, _escrowAmount, _inspectionPeriod, _financingPeriod, _closingPeriod, _paymentToken, _providers);
+    }
+
+    // List several properties at once with their own buyer, price and earnest
+    // -> Periods, payment token and service providers are shared by every listing
+    // -> The seller approves this contract for all their tokens once beforehand
+    function batchList(
+        BatchListing[] calldata _listings,
+        uint256 _inspectionPeriod,
+        uint256 _financingPeriod,
+        uint256 _closingPeriod,
+        address _paymentToken,
+        ServiceProviders calldata _providers
+    ) public {
+        for (uint256 i = 0; i < _listings.length; i++) {
+            BatchListing calldata listing = _listings[i];
+
+            _take(listing.nftID);
+            _list(
+                msg.sender,
+                listing.nftID,
+                listing.buyer,
+                listing.purchasePrice,
+                listing.escrowAmount,
+                _inspectionPeriod,
+                _financingPeriod,
+                _closingPeriod,
+                _paymentToken,
+                _providers
+            );
+        }
+    }
+
+    // New sales go through EscrowFactory, so each clone holds the one sale it
+    // was created for and no escrow pools the funds of several
+    // -> A cancelled or expired sale leaves the token here, so its seller
+    //    relists it through list() or batchList() with new terms, and the old
+    //    sale's checks start over
+    function _take(uint256 _nftID) private {
+        require(
+            msg.sender == seller[_nftID] && !isListed[_nftID] && IERC721(nftAddress).ownerOf(_nftID) == address(this),
+            "Escrow: List through EscrowFactory"
+        );
+
+        inspectionPassed[_nftID] = false;
+        legalPassed[_nftID] = false;
+    }
+
+    function _list(
+        address _seller,
+        uint256 _nftID,
+        address _buyer,
+        uint256 _purchasePrice,
+        uint256 _escrowAmount,
+        uint256 _inspectionPeriod,
+        uint256 _financingPeriod,
+        uint256 _closingPeriod,
+        address _paymentToken,
+        ServiceProviders calldata _providers
+    ) private {
+        require(
+            _inspectionPeriod <= _closingPeriod && _financingPeriod <= _closingPeriod,
+            "Escrow: Contingencies must end before closing"
+        );
 
         isListed[_nftID] = true;
+        seller[_nftID] = payable(_seller);
         purchasePrice[_nftID] = _purchasePrice;
         escrowAmount[_nftID] = _escrowAmount;
         buyer[_nftID] = _buyer;
-      
+        paymentToken[_nftID] = _paymentToken;
+
+        assignProviders(_nftID, _providers);
+
+        inspectionPeriod[_nftID] = _inspectionPeriod;
+        financingPeriod[_nftID] = _financingPeriod;
+        closingPeriod[_nftID] = _closingPeriod;
+
+        if (_buyer != address(0)) {
+            startContingencies(_nftID);
+        }
+
+        emit Listed(_nftID, _seller, _buyer, _purchasePrice, _escrowAmount);
+    }
+
+    function assignProviders(uint256 _nftID, ServiceProviders calldata _providers) private {
+        require(
+            _providers.inspector != address(0) &&
+            _providers.lender != address(0) &&
+            _providers.lawyer != address(0) &&
+            _providers.appraiser != address(0) &&
+            _providers.arbitrator != address(0),
+            "Escrow: Every service provider must be set"
+        );
+
+        inspector[_nftID] = _providers.inspector;
+        lender[_nftID] = _providers.lender;
+        lawyer[_nftID] = _providers.lawyer;
+        appraiser[_nftID] = _providers.appraiser;
+        arbitrator[_nftID] = _providers.arbitrator;
+
+        for (uint8 i = 0; i <= uint8(Service.Arbitrator); i++) {
+            hasActed[_nftID][Service(i)] = false;
+        }
+
+        emit ServiceProvidersAssigned(_nftID, _providers.inspector, _providers.lender, _providers.lawyer, _providers.appraiser, _providers.arbitrator);
+    }
+
+    function serviceProvider(uint256 _nftID, Service _service) public view returns (address) {
+        if (_service == Service.Inspector) return inspector[_nftID];
+        if (_service == Service.Lender) return lender[_nftID];
+        if (_service == Service.Lawyer) return lawyer[_nftID];
+        if (_service == Service.Appraiser) return appraiser[_nftID];
+        return arbitrator[_nftID];
+    }
+
+    // Propose Replacement (buyer or seller, before the provider has acted)
+    // -> Takes effect once the other party proposes the same address; the
+    //    seller alone decides while an open listing has no buyer yet
+    function proposeReplacement(
+        uint256 _nftID,
+        Service _service,
+        address _replacement
+    ) public onlyBuyerOrSeller(_nftID) notDisputed(_nftID) {
+        _requireListed(_nftID);
+        require(!hasActed[_nftID][_service], "Escrow: Service provider has already acted");
+        require(_replacement != address(0), "Escrow: Invalid replacement");
+
+        address counterparty = msg.sender == seller[_nftID] ? buyer[_nftID] : seller[_nftID];
+        mapping(address => address) storage proposals = replacementProposal[_nftID][_service];
+
+        if (counterparty != address(0) && proposals[counterparty] != _replacement) {
+            proposals[msg.sender] = _replacement;
+
+            emit ReplacementProposed(_nftID, _service, msg.sender, _replacement);
+            return;
+        }
+
+        delete proposals[counterparty];
+        delete proposals[msg.sender];
+
+        address previous = serviceProvider(_nftID, _service);
+
+        if (_service == Service.Inspector) inspector[_nftID] = _replacement;
+        else if (_service == Service.Lender) lender[_nftID] = _replacement;
+        else if (_service == Service.Lawyer) lawyer[_nftID] = _replacement;
+        else if (_service == Service.Appraiser) appraiser[_nftID] = _replacement;
+        else arbitrator[_nftID] = _replacement;
+
+        emit ServiceProviderReplaced(_nftID, _service, previous, _replacement);
+    }
+
+    // Deadlines run from the moment a buyer is under contract
+    function startContingencies(uint256 _nftID) private {
+        inspectionDeadline[_nftID] = block.timestamp + inspectionPeriod[_nftID];
+        financingDeadline[_nftID] = block.timestamp + financingPeriod[_nftID];
+        closingDeadline[_nftID] = block.timestamp + closingPeriod[_nftID];
+    }
+
+    function isOpen(uint256 _nftID) public view returns (bool) {
+        return isListed[_nftID] && buyer[_nftID] == address(0);
+    }
+
+    // Make Offer (anyone, on an open listing - the deposit becomes the earnest if accepted)
+    function makeOffer(uint256 _nftID, uint256 _price, uint256 _earnest, uint256 _expiresAt) public payable noReentrant {
+        _requireOpen(_nftID);
+        require(msg.sender != seller[_nftID], "Escrow: Seller cannot make an offer");
+        require(_price > 0, "Escrow: Offer price must be greater than zero");
+        require(_earnest > 0 && _earnest <= _price, "Escrow: Invalid earnest deposit");
+        require(_expiresAt > block.timestamp, "Escrow: Offer already expired");
+
+        Payments.collect(paymentToken[_nftID], _earnest);
+
+        offers[_nftID].push(Offer({
+            buyer: msg.sender,
+            price: _price,
+            earnest: _earnest,
+            expiresAt: _expiresAt,
+            counterPrice: 0,
+            counterExpiresAt: 0,
+            status: OfferStatus.Pending
+        }));
+
+        emit OfferMade(_nftID, offers[_nftID].length - 1, msg.sender, _price, _earnest, _expiresAt);
+    }
+
+    function acceptOffer(uint256 _nftID, uint256 _offerID) public noReentrant onlySeller(_nftID) {
+        Offer storage offer = offers[_nftID][_offerID];
+        require(offer.status == OfferStatus.Pending, "Escrow: Offer is not pending");
+        require(block.timestamp <= offer.expiresAt, "Escrow: Offer has expired");
+
+        _acceptOffer(_nftID, _offerID, offer.price);
+    }
+
+    function rejectOffer(uint256 _nftID, uint256 _offerID) public noReentrant onlySeller(_nftID) {
+        Offer storage offer = offers[_nftID][_offerID];
+        require(
+            offer.status == OfferStatus.Pending || offer.status == OfferStatus.Countered,
+            "Escrow: Offer is not open"
+        );
+
+        offer.status = OfferStatus.Rejected;
+        _refundBidder(_nftID, offer.buyer, offer.earnest);
+
+        emit OfferRejected(_nftID, _offerID, offer.buyer);
+    }
+
+    function counterOffer(
+        uint256 _nftID,
+        uint256 _offerID,
+        uint256 _price,
+        uint256 _expiresAt
+    ) public onlySeller(_nftID) {
+        Offer storage offer = offers[_nftID][_offerID];
+        _requireOpen(_nftID);
+        require(offer.status == OfferStatus.Pending, "Escrow: Offer is not pending");
+        require(_price >= offer.earnest, "Escrow: Counter price below earnest");
+        require(_expiresAt > block.timestamp, "Escrow: Counteroffer already expired");
+
+        offer.status = OfferStatus.Countered;
+        offer.counterPrice = _price;
+        offer.counterExpiresAt = _expiresAt;
+
+        emit OfferCountered(_nftID, _offerID, _price, _expiresAt);
+    }
+
+    // Accept Counteroffer (only the buyer who made the original offer)
+    function acceptCounter(uint256 _nftID, uint256 _offerID) public noReentrant {
+        Offer storage offer = offers[_nftID][_offerID];
+        require(msg.sender == offer.buyer, "Escrow: Only offer buyer can call this method");
+        require(offer.status == OfferStatus.Countered, "Escrow: Offer has not been countered");
+        require(block.timestamp <= offer.counterExpiresAt, "Escrow: Counteroffer has expired");
+
+        _acceptOffer(_nftID, _offerID, offer.counterPrice);
+    }
+
+    // Withdraw Offer (only the buyer, while the offer is still open)
+    function withdrawOffer(uint256 _nftID, uint256 _offerID) public noReentrant {
+        Offer storage offer = offers[_nftID][_offerID];
+        require(msg.sender == offer.buyer, "Escrow: Only offer buyer can call this method");
+        require(
+            offer.status == OfferStatus.Pending || offer.status == OfferStatus.Countered,
+            "Escrow: Offer is not open"
+        );
+
+        offer.status = OfferStatus.Withdrawn;
+        _refund(_nftID, offer.buyer, offer.earnest);
+
+        emit OfferWithdrawn(_nftID, _offerID, offer.buyer);
+    }
+
+    function getOffers(uint256 _nftID) public view returns (Offer[] memory) {
+        return offers[_nftID];
+    }
+
+    function claimRefund(address _token) public noReentrant {
+        uint256 amount = refundsOwed[_token][msg.sender];
+        require(amount > 0, "Escrow: Nothing to claim");
+
+        refundsOwed[_token][msg.sender] = 0;
+        require(Payments.trySend(_token, msg.sender, amount), "Escrow: Refund failed");
+    }
+
+    // Put the winning bidder under contract and refund everyone else
+    function _acceptOffer(uint256 _nftID, uint256 _offerID, uint256 _price) private {
+        _requireOpen(_nftID);
+
+        Offer storage offer = offers[_nftID][_offerID];
+        offer.status = OfferStatus.Accepted;
+
+        buyer[_nftID] = offer.buyer;
+        purchasePrice[_nftID] = _price;
+        escrowAmount[_nftID] = offer.earnest;
+        earnestDeposited[_nftID] = offer.earnest;
+        startContingencies(_nftID);
+
+        _refundOpenOffers(_nftID);
+
+        emit OfferAccepted(_nftID, _offerID, offer.buyer, _price);
+        emit EarnestDeposited(_nftID, offer.buyer, offer.earnest);
+    }
+
+    function _refundOpenOffers(uint256 _nftID) private {
+        Offer[] storage listingOffers = offers[_nftID];
+
+        for (uint256 i = 0; i < listingOffers.length; i++) {
+            Offer storage offer = listingOffers[i];
+
+            if (offer.status == OfferStatus.Pending || offer.status == OfferStatus.Countered) {
+                offer.status = OfferStatus.Rejected;
+                _refundBidder(_nftID, offer.buyer, offer.earnest);
+
+                emit OfferRejected(_nftID, i, offer.buyer);
+            }
+        }
     }
 
     // Put Under Contract (only buyer - payable escrow)
-    function depositEarnest(uint256 _nftID) public payable onlyBuyer(_nftID) {
-        require(msg.value >= escrowAmount[_nftID]);
+    // -> _amount in the listing's payment token: ETH as msg.value, ERC-20 via approve
+    function depositEarnest(uint256 _nftID, uint256 _amount) public payable noReentrant onlyBuyer(_nftID) notDisputed(_nftID) {
+        _requireListed(_nftID);
+        require(earnestDeposited[_nftID] == 0, "Escrow: Earnest already deposited");
+        require(_amount >= escrowAmount[_nftID], "Escrow: Insufficient earnest amount");
+
+        earnestDeposited[_nftID] = _amount;
+        Payments.collect(paymentToken[_nftID], _amount);
+
+        emit EarnestDeposited(_nftID, msg.sender, _amount);
+    }
+
+    // Fund the remainder of the purchase price (only lender - payable escrow)
+    // -> Total funding is capped by the appraised value
+    function depositLoan(uint256 _nftID, uint256 _amount) public payable noReentrant onlyLender(_nftID) notDisputed(_nftID) {
+        _requireListed(_nftID);
+        require(_amount > 0, "Escrow: Loan amount must be greater than zero");
+        require(appraisedValue[_nftID] > 0, "Escrow: Property not appraised");
+        require(lenderDeposited[_nftID] + _amount <= appraisedValue[_nftID], "Escrow: Loan exceeds appraised value");
+
+        lenderDeposited[_nftID] += _amount;
+        hasActed[_nftID][Service.Lender] = true;
+        Payments.collect(paymentToken[_nftID], _amount);
+
+        emit LoanDeposited(_nftID, msg.sender, _amount);
     }
 
     // Update Inspection Status (only inspector)
     function updateInspectionStatus(uint256 _nftID, bool _passed)
         public
-        onlyInspector
+        onlyInspector(_nftID)
+        notDisputed(_nftID)
     {
+        require(block.timestamp <= inspectionDeadline[_nftID], "Escrow: Inspection period has ended");
         inspectionPassed[_nftID] = _passed;
+        hasActed[_nftID][Service.Inspector] = true;
+
+        emit InspectionUpdated(_nftID, msg.sender, _passed);
     }
 
     function updateLegalStatus(uint256 _nftID, bool _passed)
         public
-        onlyLawyer
+        onlyLawyer(_nftID)
+        notDisputed(_nftID)
     {
         legalPassed[_nftID] = _passed;
+        hasActed[_nftID][Service.Lawyer] = true;
+
+        emit LegalStatusUpdated(_nftID, msg.sender, _passed);
+    }
+
+    // Record Appraisal (only appraiser, once per sale, within the financing period)
+    function recordAppraisal(uint256 _nftID, uint256 _value) public onlyAppraiser(_nftID) notDisputed(_nftID) {
+        _requireListed(_nftID);
+        require(block.timestamp <= financingDeadline[_nftID], "Escrow: Financing period has ended");
+        require(appraisedValue[_nftID] == 0, "Escrow: Already appraised");
+        require(_value > 0, "Escrow: Appraised value must be greater than zero");
+
+        appraisedValue[_nftID] = _value;
+        hasActed[_nftID][Service.Appraiser] = true;
+
+        emit Appraised(_nftID, msg.sender, _value);
+    }
+
+    // A low appraisal lets the buyer renegotiate the price or walk away with the earnest
+    function isAppraisalLow(uint256 _nftID) public view returns (bool) {
+        return appraisedValue[_nftID] > 0 && appraisedValue[_nftID] < purchasePrice[_nftID];
+    }
+
+    // Propose Price (only buyer, after a low appraisal)
+    function proposePrice(uint256 _nftID, uint256 _price) public onlyBuyer(_nftID) notDisputed(_nftID) {
+        require(isAppraisalLow(_nftID), "Escrow: Appraisal is not below the price");
+        require(_price > 0 && _price < purchasePrice[_nftID], "Escrow: Proposed price must be below the current price");
+
+        proposedPrice[_nftID] = _price;
+
+        emit PriceProposed(_nftID, msg.sender, _price);
+    }
+
+    // Accept Price (only seller) - approvals were given at the old price, so they start over
+    function acceptPrice(uint256 _nftID) public onlySeller(_nftID) notDisputed(_nftID) {
+        uint256 price = proposedPrice[_nftID];
+        require(price > 0, "Escrow: No price proposed");
+
+        emit PriceRenegotiated(_nftID, purchasePrice[_nftID], price);
+
+        purchasePrice[_nftID] = price;
+        proposedPrice[_nftID] = 0;
+
+        _resetApprovals(_nftID);
+    }
+
+    // Update Terms (only seller, before the buyer or lender has deposited anything)
+    // -> Like an accepted price, approvals given at the old terms start over
+    function updateTerms(uint256 _nftID, uint256 _purchasePrice, uint256 _escrowAmount) public onlySeller(_nftID) notDisputed(_nftID) {
+        _requireListed(_nftID);
+        require(getListingBalance(_nftID) == 0, "Escrow: Funds already deposited");
+
+        purchasePrice[_nftID] = _purchasePrice;
+        escrowAmount[_nftID] = _escrowAmount;
+
+        _resetApprovals(_nftID);
+
+        emit TermsUpdated(_nftID, _purchasePrice, _escrowAmount);
+    }
+
+    function _resetApprovals(uint256 _nftID) private {
+        approval[_nftID][buyer[_nftID]] = false;
+        approval[_nftID][seller[_nftID]] = false;
+        approval[_nftID][lender[_nftID]] = false;
     }
 
     // Approve Sale
-    function approveSale(uint256 _nftID) public {
+    // -> The buyer's approval also accepts the lender's loan terms, so unless
+    //    the earnest pays the whole price the lender has to propose them first
+    function approveSale(uint256 _nftID) public notDisputed(_nftID) {
+        if (msg.sender == buyer[_nftID] && earnestDeposited[_nftID] < purchasePrice[_nftID]) {
+            _requireLoanTerms(_nftID);
+        }
+
         approval[_nftID][msg.sender] = true;
+
+        if (msg.sender == lender[_nftID]) {
+            hasActed[_nftID][Service.Lender] = true;
+        }
+
+        emit SaleApproved(_nftID, msg.sender);
     }
 
     // Finalize Sale
-    // -> Require inspection status (add more items here, like appraisal)
+    // -> Require inspection status, legal review and an appraisal
     // -> Require sale to be authorized
     // -> Require funds to be correct amount
-    // -> Transfer NFT to buyer
+    // -> Transfer NFT to buyer (or to the mortgage as collateral when the lender funded part of the price)
     // -> Transfer Funds to Seller
 
     bool private locked;
 
+    // Like the role modifiers, the check lives in a function so it is not
+    // inlined into every guarded method (Escrow is near the contract size limit)
     modifier noReentrant() {
-        require(!locked, "Escrow: Reentrant call detected");
-        locked = true;
+        _lock();
         _;
         locked = false;
     }
+
+    function _lock() private {
+        require(!locked, "Escrow: Reentrant call detected");
+        locked = true;
+    }
     
     // Finalize Sale
-    function finalizeSale(uint256 _nftID) public noReentrant {
+    function finalizeSale(uint256 _nftID) public noReentrant notDisputed(_nftID) {
         // Check
         require(inspectionPassed[_nftID], "Escrow: Inspection not passed");
         require(legalPassed[_nftID], "Escrow: Legal check not passed");
+        require(appraisedValue[_nftID] > 0, "Escrow: Property not appraised");
+        require(block.timestamp <= closingDeadline[_nftID], "Escrow: Closing deadline has passed");
         require(approval[_nftID][buyer[_nftID]], "Escrow: Buyer has not approved the sale");
-        require(approval[_nftID][seller], "Escrow: Seller has not approved the sale");
-        require(approval[_nftID][lender], "Escrow: Lender has not approved the sale");
+        require(approval[_nftID][seller[_nftID]], "Escrow: Seller has not approved the sale");
+        require(approval[_nftID][lender[_nftID]], "Escrow: Lender has not approved the sale");
         uint256 price = purchasePrice[_nftID];
-        require(address(this).balance >= price, "Escrow: Contract does not have enough balance");
+        uint256 earnest = earnestDeposited[_nftID];
+        uint256 loan = lenderDeposited[_nftID];
+        require(earnest + loan >= price, "Escrow: Insufficient funds deposited for this listing");
+
+        // Earnest is applied first, the lender covers the rest
+        uint256 earnestUsed = earnest < price ? earnest : price;
+        uint256 loanUsed = price - earnestUsed;
+
+        // A lender's funds only go to the seller as a loan secured by the property
+        bool secured = mortgage != address(0) && loanUsed > 0;
+        if (secured) _requireLoanTerms(_nftID);
 
         // Effects
         isListed[_nftID] = false;
         purchasePrice[_nftID] = 0; // Resetting the purchase price
         escrowAmount[_nftID] = 0; // Resetting the escrow amount
+        earnestDeposited[_nftID] = 0;
+        lenderDeposited[_nftID] = 0;
+        appraisedValue[_nftID] = 0;
+        proposedPrice[_nftID] = 0;
 
         // Interactions
-        (bool success, ) = payable(seller).call{value: price}("");
-        require(success, "Transfer to seller failed");
+        require(Payments.trySend(paymentToken[_nftID], seller[_nftID], price), "Transfer to seller failed");
+
+        // Return any excess to whoever paid it
+        _refund(_nftID, buyer[_nftID], earnest - earnestUsed);
+        _refund(_nftID, lender[_nftID], loan - loanUsed);
 
-        IERC721(nftAddress).transferFrom(address(this), buyer[_nftID], _nftID);
+        // The lender's contribution becomes a loan secured by the property
+        if (secured) {
+            IERC721(nftAddress).transferFrom(address(this), mortgage, _nftID);
+            IMortgage(mortgage).originate(_nftID, buyer[_nftID], lender[_nftID], loanUsed, paymentToken[_nftID]);
+        } else {
+            IERC721(nftAddress).transferFrom(address(this), buyer[_nftID], _nftID);
+        }
 
-        emit SaleFinalized(_nftID, buyer[_nftID], seller, price);
+        emit SaleFinalized(_nftID, buyer[_nftID], seller[_nftID], price, paymentToken[_nftID]);
     }
 
     modifier onlyBuyerOrSeller(uint256 _nftID) {
-        require(
-            msg.sender == buyer[_nftID] || msg.sender == seller,
-            "Escrow: Only buyer or seller can call this method"
-        );
+        _requireBuyerOrSeller(_nftID);
         _;
     }
 
-    function cancelSale(uint256 _nftID) public onlyBuyerOrSeller(_nftID) {
-        require(isListed[_nftID], "Escrow: NFT not listed");
+    function cancelSale(uint256 _nftID) public noReentrant onlyBuyerOrSeller(_nftID) notDisputed(_nftID) {
+        _requireListed(_nftID);
         
         address buyerAddress = buyer[_nftID];
-        uint256 refundAmount = escrowAmount[_nftID];
+        uint256 earnest = earnestDeposited[_nftID];
+        uint256 loan = lenderDeposited[_nftID];
+        bool appraisalLow = isAppraisalLow(_nftID);
 
         // Reset the listing status and amounts to prevent reentrancy
-        isListed[_nftID] = false;
-        buyer[_nftID] = address(0); // Reset buyer address
-        escrowAmount[_nftID] = 0;
-        purchasePrice[_nftID] = 0;
+        resetListing(_nftID);
 
-        if (!inspectionPassed[_nftID]) {
-            require(msg.sender == buyerAddress, "Escrow: Only specific buyer can cancel before inspection");
-            require(address(this).balance >= refundAmount, "Escrow: Insufficient balance for refund");
+        if (buyerAddress == address(0)) {
+            // Withdrawing an open listing returns every open offer
+            _refundOpenOffers(_nftID);
+
+            emit SaleCancelled(_nftID, msg.sender, address(0), 0);
+            return;
+        }
+
+        address earnestRecipient;
+
+        if (!inspectionPassed[_nftID] || appraisalLow) {
+            require(msg.sender == buyerAddress, "Escrow: Only specific buyer can cancel before inspection or after a low appraisal");
 
             // Refund the earnest money to the specific buyer
-            (bool refundSuccess, ) = payable(buyerAddress).call{value: refundAmount}("");
-            require(refundSuccess, "Escrow: Refund to buyer failed");
+            earnestRecipient = buyerAddress;
+            _refund(_nftID, buyerAddress, earnest);
+        } else {
+            require(msg.sender == seller[_nftID], "Escrow: Only seller can cancel after inspection");
+
+            // Transfer the earnest money to the seller
+            earnestRecipient = seller[_nftID];
+            require(
+                Payments.trySend(paymentToken[_nftID], seller[_nftID], earnest),
+                "Escrow: Transfer to seller failed"
+            );
+        }
+
+        // The lender always gets its funding back
+        _refund(_nftID, lender[_nftID], loan);
+
+        emit SaleCancelled(_nftID, msg.sender, earnestRecipient, earnest);
+    }
+
+    // Reclaim Property (only seller, once a sale was cancelled or expired)
+    // -> The token stays here so the seller can relist it; this takes it back instead
+    function reclaim(uint256 _nftID) public noReentrant {
+        _requireSeller(_nftID);
+        require(!isListed[_nftID], "Escrow: Listing is still active");
+
+        IERC721(nftAddress).transferFrom(address(this), msg.sender, _nftID);
+
+        emit Reclaimed(_nftID, msg.sender);
+    }
+
+    // Expire Sale (anyone, once a contingency deadline has passed)
+    // -> Inspection not passed in time: earnest back to buyer
+    // -> Financing not committed in time: earnest back to buyer
+    // -> Not closed in time: earnest to seller if the buyer is the only
+    //    party holding up closing, otherwise back to buyer
+    function expireSale(uint256 _nftID) public noReentrant notDisputed(_nftID) {
+        _requireListed(_nftID);
+        _requireUnderContract(_nftID);
+
+        Contingency contingency;
+
+        if (block.timestamp > inspectionDeadline[_nftID] && !inspectionPassed[_nftID]) {
+            contingency = Contingency.Inspection;
+        } else if (block.timestamp > financingDeadline[_nftID] && !isFinanced(_nftID)) {
+            contingency = Contingency.Financing;
+        } else if (block.timestamp > closingDeadline[_nftID]) {
+            contingency = Contingency.Closing;
         } else {
-            require(msg.sender == seller, "Escrow: Only seller can cancel after inspection");
-            require(address(this).balance >= refundAmount, "Escrow: Insufficient balance for sale");
+            revert("Escrow: No deadline has passed");
+        }
 
-            // Transfer the sale amount to the seller
-            (bool saleSuccess, ) = payable(seller).call{value: refundAmount}("");
-            require(saleSuccess, "Escrow: Transfer to seller failed");
+        address buyerAddress = buyer[_nftID];
+        address earnestRecipient = buyerAddress;
+
+        if (
+            contingency == Contingency.Closing &&
+            legalPassed[_nftID] &&
+            approval[_nftID][seller[_nftID]] &&
+            !approval[_nftID][buyerAddress]
+        ) {
+            earnestRecipient = seller[_nftID];
         }
+
+        uint256 earnest = earnestDeposited[_nftID];
+        uint256 loan = lenderDeposited[_nftID];
+
+        resetListing(_nftID);
+
+        _refund(_nftID, earnestRecipient, earnest);
+        _refund(_nftID, lender[_nftID], loan);
+
+        emit SaleExpired(_nftID, contingency, earnestRecipient, earnest);
+    }
+
+    // Open Dispute (buyer or seller, while a buyer is under contract)
+    // -> Freezes the listing: no deposits, status updates, approvals,
+    //    closing, cancellation or expiry until the arbitrator rules
+    function openDispute(uint256 _nftID) public onlyBuyerOrSeller(_nftID) notDisputed(_nftID) {
+        _requireListed(_nftID);
+        _requireUnderContract(_nftID);
+
+        disputed[_nftID] = true;
+
+        emit DisputeOpened(_nftID, msg.sender);
+    }
+
+    // Submit Evidence (buyer or seller) - only the hash goes on-chain, the
+    // document itself is shared off-chain
+    function submitEvidence(uint256 _nftID, bytes32 _evidenceHash) public onlyBuyerOrSeller(_nftID) {
+        _requireDisputed(_nftID);
+
+        emit EvidenceSubmitted(_nftID, msg.sender, _evidenceHash);
+    }
+
+    // Resolve Dispute (only the listing's arbitrator)
+    // -> Splits the earnest, _buyerShareBps to the buyer and the rest to the seller
+    // -> The lender is not a party to the dispute and gets its funding back
+    // -> The NFT goes to the buyer or back to the seller
+    function resolveDispute(
+        uint256 _nftID,
+        uint256 _buyerShareBps,
+        bool _nftToBuyer
+    ) public noReentrant onlyArbitrator(_nftID) {
+        _requireDisputed(_nftID);
+        require(_buyerShareBps <= BPS, "Escrow: Share cannot exceed 100%");
+
+        address buyerAddress = buyer[_nftID];
+        address sellerAddress = seller[_nftID];
+        uint256 earnest = earnestDeposited[_nftID];
+        uint256 loan = lenderDeposited[_nftID];
+
+        uint256 buyerAmount = earnest * _buyerShareBps / BPS;
+        uint256 sellerAmount = earnest - buyerAmount;
+        address nftRecipient = _nftToBuyer ? buyerAddress : sellerAddress;
+
+        disputed[_nftID] = false;
+        resetListing(_nftID);
+
+        _refund(_nftID, buyerAddress, buyerAmount);
+        _refund(_nftID, sellerAddress, sellerAmount);
+        _refund(_nftID, lender[_nftID], loan);
+
+        IERC721(nftAddress).transferFrom(address(this), nftRecipient, _nftID);
+
+        emit DisputeResolved(_nftID, msg.sender, buyerAmount, sellerAmount, nftRecipient);
+    }
+
+    // Checks used by several methods live here rather than in inline requires,
+    // which would copy the revert string into each of them
+
+    function _requireSeller(uint256 _nftID) private view {
+        require(msg.sender == seller[_nftID], "Escrow: Only seller can call this method");
+    }
+
+    function _requireBuyerOrSeller(uint256 _nftID) private view {
+        require(
+            msg.sender == buyer[_nftID] || msg.sender == seller[_nftID],
+            "Escrow: Only buyer or seller can call this method"
+        );
+    }
+
+    function _requireListed(uint256 _nftID) private view {
+        require(isListed[_nftID], "Escrow: NFT not listed");
+    }
+
+    function _requireOpen(uint256 _nftID) private view {
+        require(isOpen(_nftID), "Escrow: Listing is not open for offers");
+    }
+
+    function _requireUnderContract(uint256 _nftID) private view {
+        require(buyer[_nftID] != address(0), "Escrow: No buyer under contract");
+    }
+
+    function _requireDisputed(uint256 _nftID) private view {
+        require(disputed[_nftID], "Escrow: No open dispute");
+    }
+
+    function _requireNotDisputed(uint256 _nftID) private view {
+        require(!disputed[_nftID], "Escrow: Listing is under dispute");
     }
 
+    function _requireLoanTerms(uint256 _nftID) private view {
+        require(
+            mortgage == address(0) || IMortgage(mortgage).hasTerms(_nftID, lender[_nftID]),
+            "Escrow: Lender has no loan terms"
+        );
+    }
+
+    // Financing is committed once the property is appraised, the lender has
+    // approved and the listing is fully funded
+    function isFinanced(uint256 _nftID) public view returns (bool) {
+        return appraisedValue[_nftID] > 0 &&
+            approval[_nftID][lender[_nftID]] &&
+            earnestDeposited[_nftID] + lenderDeposited[_nftID] >= purchasePrice[_nftID];
+    }
+
+    // Approvals are cleared while the buyer is still known, so none carry over to a relisting
     function resetListing(uint256 _nftID) private {
+        _resetApprovals(_nftID);
+
         isListed[_nftID] = false;
         buyer[_nftID] = address(0); // Reset buyer address
         escrowAmount[_nftID] = 0;
         purchasePrice[_nftID] = 0;
+        earnestDeposited[_nftID] = 0;
+        lenderDeposited[_nftID] = 0;
+        appraisedValue[_nftID] = 0;
+        proposedPrice[_nftID] = 0;
+        inspectionDeadline[_nftID] = 0;
+        financingDeadline[_nftID] = 0;
+        closingDeadline[_nftID] = 0;
     }
 
+    // Refunds are paid in the listing's token, which list() sets and resetListing keeps
+    function _refund(uint256 _nftID, address _to, uint256 _amount) private {
+        require(Payments.trySend(paymentToken[_nftID], _to, _amount), "Escrow: Refund failed");
+    }
 
-    receive() external payable {}
+    // A bidder that cannot receive the refund must not block other offers, so failed
+    // refunds are credited for claimRefund instead of reverting
+    function _refundBidder(uint256 _nftID, address _to, uint256 _amount) private {
+        address token = paymentToken[_nftID];
+        if (!Payments.trySend(token, _to, _amount)) {
+            refundsOwed[token][_to] += _amount;
+        }
+    }
+
+    // Summaries for _count consecutive token IDs starting at _firstID, so a
+    // page of homes loads in one call (unlisted IDs come back with isListed false)
+    function getListings(uint256 _firstID, uint256 _count) public view returns (ListingSummary[] memory listings) {
+        listings = new ListingSummary[](_count);
+
+        for (uint256 i = 0; i < _count; i++) {
+            uint256 nftID = _firstID + i;
+
+            listings[i] = ListingSummary(
+                isListed[nftID],
+                seller[nftID],
+                buyer[nftID],
+                paymentToken[nftID],
+                purchasePrice[nftID],
+                escrowAmount[nftID]
+            );
+        }
+    }
+
+    // Total funds held for a single listing, in its payment token
+    function getListingBalance(uint256 _nftID) public view returns (uint256) {
+        return earnestDeposited[_nftID] + lenderDeposited[_nftID];
+    }
 
+    // ETH held across all listings (token balances are read from the token itself)
     function getBalance() public view returns (uint256) {
         return address(this).balance;
     }
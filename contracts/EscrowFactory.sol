@@ -0,0 +1,215 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "./Escrow.sol";
+
+// Lists each sale in its own Escrow, a minimal-proxy clone of a deployed
+// implementation, so a stuck listing or a bug in one deal cannot touch the
+// funds of another. Keeps a registry of every deal for the frontend to search.
+// -> Inherits multicall(bytes[]) for listing batches in several payment tokens at once
+contract EscrowFactory is Multicall {
+    address public implementation;
+    address public nftAddress;
+    address public mortgage;
+
+    // Open: listed without a buyer, Closed: sold, cancelled, expired or resolved
+    enum Status { Open, UnderContract, Disputed, Closed }
+
+    struct Deal {
+        address escrow;
+        uint256 nftID;
+        address seller;
+        uint256 createdAt;
+    }
+
+    // What the frontend shows for a deal, see getDeals
+    struct DealSummary {
+        uint256 dealID;
+        address escrow;
+        uint256 nftID;
+        address seller;
+        address buyer;
+        Status status;
+    }
+
+    Deal[] public deals;
+    mapping(address => bool) public isEscrow;
+
+    // Deal IDs for each property, oldest first
+    mapping(uint256 => uint256[]) private nftDeals;
+
+    event DealCreated(uint256 indexed dealID, uint256 indexed nftID, address indexed escrow, address seller, address buyer);
+
+    // Clones share the implementation's RealEstate and Mortgage
+    constructor(address _implementation) {
+        implementation = _implementation;
+        nftAddress = Escrow(_implementation).nftAddress();
+        mortgage = Escrow(_implementation).mortgage();
+    }
+
+    // List a property in a new escrow, with the same terms Escrow.list takes
+    // -> The seller approves this contract for the token beforehand
+    function createEscrow(
+        Escrow.BatchListing calldata _listing,
+        uint256 _inspectionPeriod,
+        uint256 _financingPeriod,
+        uint256 _closingPeriod,
+        address _paymentToken,
+        Escrow.ServiceProviders calldata _providers
+    ) public returns (address) {
+        return _createEscrow(_listing, _inspectionPeriod, _financingPeriod, _closingPeriod, _paymentToken, _providers);
+    }
+
+    // List several properties, each in its own escrow (see Escrow.batchList)
+    // -> The seller approves this contract for all their tokens once beforehand
+    function createEscrows(
+        Escrow.BatchListing[] calldata _listings,
+        uint256 _inspectionPeriod,
+        uint256 _financingPeriod,
+        uint256 _closingPeriod,
+        address _paymentToken,
+        Escrow.ServiceProviders calldata _providers
+    ) public returns (address[] memory escrows) {
+        escrows = new address[](_listings.length);
+
+        for (uint256 i = 0; i < _listings.length; i++) {
+            escrows[i] = _createEscrow(_listings[i], _inspectionPeriod, _financingPeriod, _closingPeriod, _paymentToken, _providers);
+        }
+    }
+
+    function _createEscrow(
+        Escrow.BatchListing calldata _listing,
+        uint256 _inspectionPeriod,
+        uint256 _financingPeriod,
+        uint256 _closingPeriod,
+        address _paymentToken,
+        Escrow.ServiceProviders calldata _providers
+    ) private returns (address) {
+        require(IERC721(nftAddress).ownerOf(_listing.nftID) == msg.sender, "EscrowFactory: Only token owner can list");
+
+        address escrow = Clones.clone(implementation);
+        IERC721(nftAddress).transferFrom(msg.sender, escrow, _listing.nftID);
+
+        Escrow(escrow).initialize(
+            nftAddress,
+            mortgage,
+            msg.sender,
+            _listing,
+            _inspectionPeriod,
+            _financingPeriod,
+            _closingPeriod,
+            _paymentToken,
+            _providers
+        );
+
+        uint256 dealID = deals.length;
+        deals.push(Deal(escrow, _listing.nftID, msg.sender, block.timestamp));
+        nftDeals[_listing.nftID].push(dealID);
+        isEscrow[escrow] = true;
+
+        emit DealCreated(dealID, _listing.nftID, escrow, msg.sender, _listing.buyer);
+
+        return escrow;
+    }
+
+    function dealCount() public view returns (uint256) {
+        return deals.length;
+    }
+
+    // The escrow of a property's latest deal, address(0) if it was never listed here
+    function escrowOf(uint256 _nftID) public view returns (address) {
+        uint256[] storage ids = nftDeals[_nftID];
+        return ids.length == 0 ? address(0) : deals[ids[ids.length - 1]].escrow;
+    }
+
+    // Read live from the deal's escrow, since buyers and outcomes change there
+    function status(uint256 _dealID) public view returns (Status) {
+        Deal storage deal = deals[_dealID];
+        Escrow escrow = Escrow(deal.escrow);
+
+        if (escrow.disputed(deal.nftID)) return Status.Disputed;
+        if (!escrow.isListed(deal.nftID)) return Status.Closed;
+
+        return escrow.buyer(deal.nftID) == address(0) ? Status.Open : Status.UnderContract;
+    }
+
+    // Search
+    // -> Each returns deal IDs, oldest first, for getDeals to summarize
+
+    function dealsForNFT(uint256 _nftID) public view returns (uint256[] memory) {
+        return nftDeals[_nftID];
+    }
+
+    // Deals where _party is the seller, the buyer or one of the service providers
+    function dealsForParty(address _party) public view returns (uint256[] memory) {
+        return _filter(_party, Status.Open, true);
+    }
+
+    function dealsWithStatus(Status _status) public view returns (uint256[] memory) {
+        return _filter(address(0), _status, false);
+    }
+
+    function getDeals(uint256[] calldata _dealIDs) public view returns (DealSummary[] memory summaries) {
+        summaries = new DealSummary[](_dealIDs.length);
+
+        for (uint256 i = 0; i < _dealIDs.length; i++) {
+            Deal storage deal = deals[_dealIDs[i]];
+
+            summaries[i] = DealSummary(
+                _dealIDs[i],
+                deal.escrow,
+                deal.nftID,
+                deal.seller,
+                Escrow(deal.escrow).buyer(deal.nftID),
+                status(_dealIDs[i])
+            );
+        }
+    }
+
+    // Listing summaries from each property's latest deal, in the shape of
+    // Escrow.getListings so a page of homes still loads in one call
+    function getListings(uint256 _firstID, uint256 _count) public view returns (Escrow.ListingSummary[] memory listings) {
+        listings = new Escrow.ListingSummary[](_count);
+
+        for (uint256 i = 0; i < _count; i++) {
+            address escrow = escrowOf(_firstID + i);
+
+            if (escrow != address(0)) {
+                listings[i] = Escrow(escrow).getListings(_firstID + i, 1)[0];
+            }
+        }
+    }
+
+    // Deal IDs matching a party (_byParty) or a status, in two passes since
+    // memory arrays cannot grow
+    function _filter(address _party, Status _status, bool _byParty) private view returns (uint256[] memory ids) {
+        bool[] memory matches = new bool[](deals.length);
+        uint256 count;
+
+        for (uint256 i = 0; i < deals.length; i++) {
+            matches[i] = _byParty ? _isParty(deals[i], _party) : status(i) == _status;
+            if (matches[i]) count++;
+        }
+
+        ids = new uint256[](count);
+
+        for (uint256 i = deals.length; i > 0; i--) {
+            if (matches[i - 1]) ids[--count] = i - 1;
+        }
+    }
+
+    function _isParty(Deal storage _deal, address _party) private view returns (bool) {
+        if (_deal.seller == _party) return true;
+
+        Escrow escrow = Escrow(_deal.escrow);
+        if (escrow.buyer(_deal.nftID) == _party) return true;
+
+        for (uint8 i = 0; i <= uint8(Escrow.Service.Arbitrator); i++) {
+            if (escrow.serviceProvider(_deal.nftID, Escrow.Service(i)) == _party) return true;
+        }
+
+        return false;
+    }
+}
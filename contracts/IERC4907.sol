@@ -0,0 +1,16 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+// ERC-4907: a time-limited "user" role alongside the owner of an NFT
+interface IERC4907 {
+    // Emitted when the user of an NFT or its expiry changes (user is address(0) when cleared)
+    event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires);
+
+    // Set the user and expiry of an NFT (owner or approved only)
+    function setUser(uint256 tokenId, address user, uint64 expires) external;
+
+    // The current user, or address(0) once the expiry has passed
+    function userOf(uint256 tokenId) external view returns (address);
+
+    function userExpires(uint256 tokenId) external view returns (uint256);
+}
@@ -0,0 +1,266 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "./IERC4907.sol";
+import "./Payments.sol";
+
+interface IERC721 {
+    function ownerOf(uint256 _id) external view returns (address);
+}
+
+// Rents out RealEstate tokens without moving them: the landlord keeps title
+// and this contract, approved by the landlord, grants the tenant the ERC-4907
+// user right for the length of the lease. The security deposit and rent are
+// held here and released as each rental period begins.
+contract Lease {
+    // How long rent can be overdue before the landlord may evict
+    uint256 public constant GRACE_PERIOD = 3 days;
+
+    address public nftAddress;
+
+    // Terms a landlord offers a property on, also used for renewals
+    struct Rental {
+        address landlord;
+        address token;
+        uint256 rent;
+        uint256 deposit;
+        uint256 period;
+        uint256 periods;
+        bool available;
+    }
+
+    // A running lease, on the terms agreed when it started
+    struct Agreement {
+        address tenant;
+        address landlord;
+        address token;
+        uint256 rent;
+        uint256 deposit;
+        uint256 period;
+        uint256 start;
+        uint256 expires;
+        uint256 periodsPaid;
+        uint256 periodsClaimed;
+    }
+
+    mapping(uint256 => Rental) public rentals;
+    mapping(uint256 => Agreement) public leases;
+
+    event RentalOffered(uint256 indexed nftID, address indexed landlord, address token, uint256 rent, uint256 deposit, uint256 period, uint256 periods);
+    event RentalWithdrawn(uint256 indexed nftID, address indexed landlord);
+    event LeaseStarted(uint256 indexed nftID, address indexed tenant, address indexed landlord, uint256 expires);
+    event RentPaid(uint256 indexed nftID, address indexed payer, uint256 amount, uint256 paidUntil);
+    event RentClaimed(uint256 indexed nftID, address indexed landlord, uint256 amount);
+    event LeaseRenewed(uint256 indexed nftID, address indexed tenant, uint256 expires);
+    event LeaseTerminated(uint256 indexed nftID, address indexed tenant, uint256 expires);
+    event LeaseEvicted(uint256 indexed nftID, address indexed landlord, address indexed tenant, uint256 depositKept);
+    event LeaseEnded(uint256 indexed nftID, address indexed tenant, uint256 toLandlord, uint256 toTenant);
+
+    modifier onlyTenant(uint256 _nftID) {
+        require(msg.sender == leases[_nftID].tenant, "Lease: Only tenant can call this method");
+        _;
+    }
+
+    modifier onlyLandlord(uint256 _nftID) {
+        require(msg.sender == leases[_nftID].landlord, "Lease: Only landlord can call this method");
+        _;
+    }
+
+    bool private locked;
+
+    modifier noReentrant() {
+        require(!locked, "Lease: Reentrant call detected");
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    constructor(address _nftAddress) {
+        nftAddress = _nftAddress;
+    }
+
+    // Offer Rental (owner, who must also approve this contract for the token)
+    // -> Rent is due every _period seconds, in _token or ETH when it is the zero address
+    // -> A lease runs for _periods periods and can be renewed while the offer stands
+    function offerRental(
+        uint256 _nftID,
+        address _token,
+        uint256 _rent,
+        uint256 _deposit,
+        uint256 _period,
+        uint256 _periods
+    ) public {
+        require(IERC721(nftAddress).ownerOf(_nftID) == msg.sender, "Lease: Only owner can offer a rental");
+        require(_period > 0 && _periods > 0, "Lease: Term must have at least one period");
+
+        rentals[_nftID] = Rental(msg.sender, _token, _rent, _deposit, _period, _periods, true);
+
+        emit RentalOffered(_nftID, msg.sender, _token, _rent, _deposit, _period, _periods);
+    }
+
+    // Withdraw Rental (landlord) -> a running lease continues, but cannot be renewed
+    function withdrawRental(uint256 _nftID) public {
+        require(msg.sender == rentals[_nftID].landlord, "Lease: Only landlord can call this method");
+
+        delete rentals[_nftID];
+
+        emit RentalWithdrawn(_nftID, msg.sender);
+    }
+
+    // Start Lease (tenant) -> pays the deposit plus the first period's rent
+    function startLease(uint256 _nftID) public payable noReentrant {
+        Rental memory rental = rentals[_nftID];
+        require(rental.available, "Lease: Property is not for rent");
+        require(leases[_nftID].tenant == address(0), "Lease: Property is already leased");
+        require(IERC721(nftAddress).ownerOf(_nftID) == rental.landlord, "Lease: Landlord no longer owns the property");
+
+        Payments.collect(rental.token, rental.deposit + rental.rent);
+
+        uint256 expires = block.timestamp + rental.period * rental.periods;
+
+        leases[_nftID] = Agreement({
+            tenant: msg.sender,
+            landlord: rental.landlord,
+            token: rental.token,
+            rent: rental.rent,
+            deposit: rental.deposit,
+            period: rental.period,
+            start: block.timestamp,
+            expires: expires,
+            periodsPaid: 1,
+            periodsClaimed: 0
+        });
+
+        IERC4907(nftAddress).setUser(_nftID, msg.sender, uint64(expires));
+
+        emit LeaseStarted(_nftID, msg.sender, rental.landlord, expires);
+    }
+
+    // Pay Rent (anyone, usually the tenant) -> pays for the next unpaid period
+    function payRent(uint256 _nftID) public payable noReentrant {
+        Agreement storage lease = leases[_nftID];
+        require(lease.tenant != address(0), "Lease: No active lease");
+        require(paidUntil(_nftID) < lease.expires, "Lease: Rent is paid to the end of the lease");
+
+        Payments.collect(lease.token, lease.rent);
+        lease.periodsPaid += 1;
+
+        emit RentPaid(_nftID, msg.sender, lease.rent, paidUntil(_nftID));
+    }
+
+    // Claim Rent (landlord) -> rent for every paid period that has begun
+    function claimRent(uint256 _nftID) public noReentrant onlyLandlord(_nftID) {
+        Agreement storage lease = leases[_nftID];
+
+        uint256 earned = _min(lease.periodsPaid, periodsStarted(_nftID));
+        uint256 amount = (earned - lease.periodsClaimed) * lease.rent;
+        lease.periodsClaimed = earned;
+
+        _send(lease.token, lease.landlord, amount);
+
+        emit RentClaimed(_nftID, lease.landlord, amount);
+    }
+
+    // Renew (tenant, before expiry) -> extends the lease by _periods on the
+    // agreed rent, as long as the landlord still offers the property
+    function renew(uint256 _nftID, uint256 _periods) public onlyTenant(_nftID) {
+        Agreement storage lease = leases[_nftID];
+        require(block.timestamp < lease.expires, "Lease: Lease has expired");
+        require(
+            rentals[_nftID].available && rentals[_nftID].landlord == lease.landlord,
+            "Lease: Property is not offered for renewal"
+        );
+        require(_periods > 0, "Lease: Term must have at least one period");
+
+        lease.expires += lease.period * _periods;
+        IERC4907(nftAddress).setUser(_nftID, lease.tenant, uint64(lease.expires));
+
+        emit LeaseRenewed(_nftID, lease.tenant, lease.expires);
+    }
+
+    // Terminate (tenant) -> the lease ends when the rent paid so far runs out
+    function terminate(uint256 _nftID) public onlyTenant(_nftID) {
+        Agreement storage lease = leases[_nftID];
+        require(block.timestamp <= paidUntil(_nftID), "Lease: Rent is overdue");
+
+        lease.expires = paidUntil(_nftID);
+        IERC4907(nftAddress).setUser(_nftID, lease.tenant, uint64(lease.expires));
+
+        emit LeaseTerminated(_nftID, lease.tenant, lease.expires);
+    }
+
+    // Evict (landlord, once rent is more than GRACE_PERIOD overdue)
+    // -> Ends the tenant's use right and keeps the deposit and all rent paid
+    function evict(uint256 _nftID) public noReentrant onlyLandlord(_nftID) {
+        require(isLate(_nftID), "Lease: Rent is not overdue");
+
+        Agreement memory lease = leases[_nftID];
+        delete leases[_nftID];
+
+        IERC4907(nftAddress).setUser(_nftID, address(0), 0);
+
+        uint256 amount = (lease.periodsPaid - lease.periodsClaimed) * lease.rent + lease.deposit;
+        _send(lease.token, lease.landlord, amount);
+
+        emit LeaseEvicted(_nftID, lease.landlord, lease.tenant, lease.deposit);
+    }
+
+    // End Lease (anyone, once it has expired or the tenant lost the use right,
+    // e.g. because the landlord sold the property)
+    // -> The landlord gets rent for every period that began, unpaid rent comes
+    //    out of the deposit, the rest of the deposit and any prepaid rent go back
+    function endLease(uint256 _nftID) public noReentrant {
+        Agreement memory lease = leases[_nftID];
+        require(lease.tenant != address(0), "Lease: No active lease");
+        require(
+            block.timestamp >= lease.expires || IERC4907(nftAddress).userOf(_nftID) != lease.tenant,
+            "Lease: Lease has not ended"
+        );
+
+        uint256 started = periodsStarted(_nftID);
+        uint256 earned = _min(lease.periodsPaid, started);
+        uint256 arrears = _min((started - earned) * lease.rent, lease.deposit);
+
+        uint256 toLandlord = (earned - lease.periodsClaimed) * lease.rent + arrears;
+        uint256 toTenant = (lease.periodsPaid - earned) * lease.rent + lease.deposit - arrears;
+
+        delete leases[_nftID];
+
+        _send(lease.token, lease.landlord, toLandlord);
+        _send(lease.token, lease.tenant, toTenant);
+
+        emit LeaseEnded(_nftID, lease.tenant, toLandlord, toTenant);
+    }
+
+    // Rent is paid up to this time
+    function paidUntil(uint256 _nftID) public view returns (uint256) {
+        Agreement storage lease = leases[_nftID];
+        return lease.start + lease.periodsPaid * lease.period;
+    }
+
+    // Periods of the lease that have begun, including the current one
+    function periodsStarted(uint256 _nftID) public view returns (uint256) {
+        Agreement storage lease = leases[_nftID];
+        if (lease.tenant == address(0)) return 0;
+
+        uint256 total = (lease.expires - lease.start) / lease.period;
+        if (block.timestamp >= lease.expires) return total;
+
+        return (block.timestamp - lease.start) / lease.period + 1;
+    }
+
+    function isLate(uint256 _nftID) public view returns (bool) {
+        Agreement storage lease = leases[_nftID];
+        uint256 due = paidUntil(_nftID);
+
+        return lease.tenant != address(0) && due < lease.expires && block.timestamp > due + GRACE_PERIOD;
+    }
+
+    function _min(uint256 _a, uint256 _b) private pure returns (uint256) {
+        return _a < _b ? _a : _b;
+    }
+
+    function _send(address _token, address _to, uint256 _amount) private {
+        require(Payments.trySend(_token, _to, _amount), "Lease: Transfer failed");
+    }
+}
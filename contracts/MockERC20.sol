@@ -0,0 +1,21 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Freely mintable stablecoin stand-in for tests and local deploys
+contract MockERC20 is ERC20 {
+    uint8 private _decimals;
+
+    constructor(string memory _name, string memory _symbol, uint8 decimals_) ERC20(_name, _symbol) {
+        _decimals = decimals_;
+    }
+
+    function mint(address _to, uint256 _amount) public {
+        _mint(_to, _amount);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
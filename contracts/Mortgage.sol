@@ -0,0 +1,256 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "./Payments.sol";
+
+interface IERC721 {
+    function transferFrom(
+        address _from,
+        address _to,
+        uint256 _id
+    ) external;
+}
+
+interface IEscrowFactory {
+    function isEscrow(address _escrow) external view returns (bool);
+
+    function escrowOf(uint256 _nftID) external view returns (address);
+}
+
+interface IEscrow {
+    function buyer(uint256 _nftID) external view returns (address);
+
+    function approval(uint256 _nftID, address _party) external view returns (bool);
+}
+
+// multicall(bytes[]) lets a lender propose terms for many listings at once
+contract Mortgage is Multicall {
+    uint256 private constant WAD = 1e18;
+    uint256 private constant BPS = 10000;
+
+    // Lender can take the property once this many installments are overdue
+    uint256 public constant MISSED_PAYMENTS_TO_FORECLOSE = 3;
+
+    address public nftAddress;
+    address public escrow;
+    address public escrowFactory;
+    address public owner;
+
+    // Terms a lender offers for a listing, used if the sale closes with its funding
+    struct Terms {
+        uint256 rateBps;
+        uint256 termPayments;
+        uint256 paymentInterval;
+    }
+
+    struct Loan {
+        address borrower;
+        address lender;
+        address token;
+        uint256 principal;
+        uint256 balance;
+        uint256 rateBps;
+        uint256 periodRate;
+        uint256 paymentAmount;
+        uint256 paymentInterval;
+        uint256 termPayments;
+        uint256 paymentsMade;
+        uint256 nextDueDate;
+        bool active;
+    }
+
+    // Keyed by lender too, so nobody else can replace the terms of the listing's lender
+    mapping(uint256 => mapping(address => Terms)) public terms;
+    mapping(uint256 => Loan) public loans;
+
+    event TermsProposed(uint256 indexed nftID, address indexed lender, uint256 rateBps, uint256 termPayments, uint256 paymentInterval);
+    event LoanOriginated(uint256 indexed nftID, address indexed borrower, address indexed lender, uint256 principal, uint256 paymentAmount);
+    event PaymentMade(uint256 indexed nftID, address indexed payer, uint256 amount, uint256 interest, uint256 balance);
+    event LoanRepaid(uint256 indexed nftID, address indexed borrower);
+    event LoanForeclosed(uint256 indexed nftID, address indexed lender, uint256 balance);
+
+    // The escrow set by the deployer, or any clone its EscrowFactory created
+    modifier onlyEscrow() {
+        require(
+            msg.sender == escrow ||
+            (escrowFactory != address(0) && IEscrowFactory(escrowFactory).isEscrow(msg.sender)),
+            "Mortgage: Only escrow can call this method"
+        );
+        _;
+    }
+
+    bool private locked;
+
+    modifier noReentrant() {
+        require(!locked, "Mortgage: Reentrant call detected");
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    constructor(address _nftAddress) {
+        nftAddress = _nftAddress;
+        owner = msg.sender;
+    }
+
+    // Connect the escrow that originates loans (once, by the deployer)
+    function setEscrow(address _escrow) public {
+        require(msg.sender == owner, "Mortgage: Only owner can call this method");
+        require(escrow == address(0), "Mortgage: Escrow already set");
+
+        escrow = _escrow;
+    }
+
+    // Connect the factory whose per-sale escrows also originate loans (once, by the deployer)
+    function setEscrowFactory(address _escrowFactory) public {
+        require(msg.sender == owner, "Mortgage: Only owner can call this method");
+        require(escrowFactory == address(0), "Mortgage: Escrow factory already set");
+
+        escrowFactory = _escrowFactory;
+    }
+
+    // Propose Terms (lender, before the buyer approves the sale)
+    // -> Annual rate in basis points, number of installments and seconds between them
+    function proposeTerms(
+        uint256 _nftID,
+        uint256 _rateBps,
+        uint256 _termPayments,
+        uint256 _paymentInterval
+    ) public {
+        require(_termPayments > 0, "Mortgage: Term must have at least one payment");
+        require(_paymentInterval > 0, "Mortgage: Payment interval must be greater than zero");
+        require(!loans[_nftID].active, "Mortgage: Loan already active");
+        require(!buyerApproved(_nftID), "Mortgage: Terms locked after buyer approval");
+
+        terms[_nftID][msg.sender] = Terms(_rateBps, _termPayments, _paymentInterval);
+
+        emit TermsProposed(_nftID, msg.sender, _rateBps, _termPayments, _paymentInterval);
+    }
+
+    function hasTerms(uint256 _nftID, address _lender) public view returns (bool) {
+        return terms[_nftID][_lender].termPayments > 0;
+    }
+
+    // Whether the buyer has approved the sale in the escrow holding the listing,
+    // which agrees to the loan terms as they stand
+    function buyerApproved(uint256 _nftID) public view returns (bool) {
+        address listing = escrowFactory == address(0) ? address(0) : IEscrowFactory(escrowFactory).escrowOf(_nftID);
+        if (listing == address(0)) listing = escrow;
+        if (listing == address(0)) return false;
+
+        address buyerAddress = IEscrow(listing).buyer(_nftID);
+        return buyerAddress != address(0) && IEscrow(listing).approval(_nftID, buyerAddress);
+    }
+
+    // Originate Loan (only escrow, after it has transferred the NFT here as collateral)
+    function originate(
+        uint256 _nftID,
+        address _borrower,
+        address _lender,
+        uint256 _principal,
+        address _token
+    ) public onlyEscrow {
+        require(hasTerms(_nftID, _lender), "Mortgage: No terms from lender");
+
+        Terms memory agreed = terms[_nftID][_lender];
+        delete terms[_nftID][_lender];
+
+        uint256 periodRate = agreed.rateBps * WAD * agreed.paymentInterval / (BPS * 365 days);
+        uint256 paymentAmount = installment(_principal, periodRate, agreed.termPayments);
+
+        loans[_nftID] = Loan({
+            borrower: _borrower,
+            lender: _lender,
+            token: _token,
+            principal: _principal,
+            balance: _principal,
+            rateBps: agreed.rateBps,
+            periodRate: periodRate,
+            paymentAmount: paymentAmount,
+            paymentInterval: agreed.paymentInterval,
+            termPayments: agreed.termPayments,
+            paymentsMade: 0,
+            nextDueDate: block.timestamp + agreed.paymentInterval,
+            active: true
+        });
+
+        emit LoanOriginated(_nftID, _borrower, _lender, _principal, paymentAmount);
+    }
+
+    // Make Payment (anyone, usually the borrower)
+    // -> Pays _amount in the loan's token (ETH as msg.value, ERC-20 via approve)
+    // -> Pays at least the next installment, anything above it goes to principal
+    // -> Releases the NFT to the borrower once the balance reaches zero
+    function makePayment(uint256 _nftID, uint256 _amount) public payable noReentrant {
+        Loan storage loan = loans[_nftID];
+        require(loan.active, "Mortgage: No active loan");
+
+        uint256 interest = loan.balance * loan.periodRate / WAD;
+        uint256 payoff = loan.balance + interest;
+        uint256 due = loan.paymentAmount < payoff ? loan.paymentAmount : payoff;
+        require(_amount >= due, "Mortgage: Payment below installment");
+
+        Payments.collect(loan.token, _amount);
+
+        uint256 paid = _amount < payoff ? _amount : payoff;
+
+        loan.balance = payoff - paid;
+        loan.paymentsMade += 1;
+        loan.nextDueDate += loan.paymentInterval;
+
+        emit PaymentMade(_nftID, msg.sender, paid, interest, loan.balance);
+
+        if (loan.balance == 0) {
+            loan.active = false;
+            IERC721(nftAddress).transferFrom(address(this), loan.borrower, _nftID);
+
+            emit LoanRepaid(_nftID, loan.borrower);
+        }
+
+        _send(loan.token, loan.lender, paid);
+        _send(loan.token, msg.sender, _amount - paid);
+    }
+
+    // Foreclose (only lender, after MISSED_PAYMENTS_TO_FORECLOSE missed installments)
+    function foreclose(uint256 _nftID) public noReentrant {
+        Loan storage loan = loans[_nftID];
+        require(loan.active, "Mortgage: No active loan");
+        require(msg.sender == loan.lender, "Mortgage: Only lender can call this method");
+        require(missedPayments(_nftID) >= MISSED_PAYMENTS_TO_FORECLOSE, "Mortgage: Not enough missed payments");
+
+        loan.active = false;
+        IERC721(nftAddress).transferFrom(address(this), loan.lender, _nftID);
+
+        emit LoanForeclosed(_nftID, loan.lender, loan.balance);
+    }
+
+    function missedPayments(uint256 _nftID) public view returns (uint256) {
+        Loan storage loan = loans[_nftID];
+        if (!loan.active || block.timestamp <= loan.nextDueDate) return 0;
+
+        return (block.timestamp - loan.nextDueDate) / loan.paymentInterval + 1;
+    }
+
+    // Fixed installment for a fully amortizing loan: P * r / (1 - (1 + r)^-n)
+    function installment(uint256 _principal, uint256 _periodRate, uint256 _payments) public pure returns (uint256) {
+        if (_periodRate == 0) return (_principal + _payments - 1) / _payments;
+
+        uint256 growth = _pow(WAD + _periodRate, _payments);
+        return _principal * _periodRate * growth / WAD / (growth - WAD) + 1;
+    }
+
+    function _pow(uint256 _base, uint256 _exponent) private pure returns (uint256 result) {
+        result = WAD;
+
+        while (_exponent > 0) {
+            if (_exponent & 1 == 1) result = result * _base / WAD;
+            _base = _base * _base / WAD;
+            _exponent >>= 1;
+        }
+    }
+
+    function _send(address _token, address _to, uint256 _amount) private {
+        require(Payments.trySend(_token, _to, _amount), "Mortgage: Transfer failed");
+    }
+}
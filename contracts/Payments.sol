@@ -0,0 +1,41 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+// Moves native ETH or ERC-20 tokens, where address(0) stands for ETH
+library Payments {
+    bytes4 private constant TRANSFER = bytes4(keccak256("transfer(address,uint256)"));
+    bytes4 private constant TRANSFER_FROM = bytes4(keccak256("transferFrom(address,address,uint256)"));
+
+    // Take _amount from the caller: ETH must arrive as msg.value, tokens need a prior approve
+    function collect(address _token, uint256 _amount) internal {
+        if (_token == address(0)) {
+            require(msg.value == _amount, "Payments: Incorrect ETH amount");
+            return;
+        }
+
+        require(msg.value == 0, "Payments: ETH sent for a token payment");
+
+        (bool success, bytes memory data) = _token.call(
+            abi.encodeWithSelector(TRANSFER_FROM, msg.sender, address(this), _amount)
+        );
+        require(_succeeded(success, data), "Payments: Token transfer failed");
+    }
+
+    // Returns false instead of reverting so callers can decide how to handle a failed payout
+    function trySend(address _token, address _to, uint256 _amount) internal returns (bool) {
+        if (_amount == 0) return true;
+
+        if (_token == address(0)) {
+            (bool sent, ) = payable(_to).call{value: _amount}("");
+            return sent;
+        }
+
+        (bool success, bytes memory data) = _token.call(abi.encodeWithSelector(TRANSFER, _to, _amount));
+        return _succeeded(success, data);
+    }
+
+    // Some tokens return nothing, others return false instead of reverting
+    function _succeeded(bool _success, bytes memory _data) private pure returns (bool) {
+        return _success && (_data.length == 0 || abi.decode(_data, (bool)));
+    }
+}
@@ -4,11 +4,43 @@ pragma solidity ^0.8.0;
 import "@openzeppelin/contracts/utils/Counters.sol";
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "./IERC4907.sol";
 
-contract RealEstate is ERC721URIStorage {
+// Anything that holds tokens on a seller's behalf, such as Escrow
+interface IListing {
+    // Escrow.Offer, with its OfferStatus enum as the uint8 it is encoded as
+    struct Offer {
+        address buyer;
+        uint256 price;
+        uint256 earnest;
+        uint256 expiresAt;
+        uint256 counterPrice;
+        uint256 counterExpiresAt;
+        uint8 status;
+    }
+
+    function seller(uint256 _nftID) external view returns (address);
+    function buyer(uint256 _nftID) external view returns (address);
+    function approval(uint256 _nftID, address _account) external view returns (bool);
+    function getListingBalance(uint256 _nftID) external view returns (uint256);
+    function getOffers(uint256 _nftID) external view returns (Offer[] memory);
+}
+
+contract RealEstate is ERC721URIStorage, IERC4907 {
     using Counters for Counters.Counter;
     Counters.Counter private _tokenIds;
 
+    // ERC-4907 user rights, e.g. a tenant's for the length of a lease
+    struct UserInfo {
+        address user;
+        uint64 expires;
+    }
+
+    mapping(uint256 => UserInfo) private _users;
+
+    // ERC-4906: tells marketplaces and the app to reload a token's metadata
+    event MetadataUpdate(uint256 _tokenId);
+
     constructor() ERC721("Real Estate", "REAL") {}
 
     function mint(string memory tokenURI) public returns (uint256) {
@@ -21,7 +53,123 @@ contract RealEstate is ERC721URIStorage {
         return newItemId;
     }
 
+    // Mint one token per URI, with consecutive IDs
+    function mintBatch(string[] memory tokenURIs) public returns (uint256[] memory) {
+        uint256[] memory ids = new uint256[](tokenURIs.length);
+
+        for (uint256 i = 0; i < tokenURIs.length; i++) {
+            ids[i] = mint(tokenURIs[i]);
+        }
+
+        return ids;
+    }
+
+    // Point a token at new metadata (owner, or the seller while a listing holds the
+    // token and no buyer has deposited or approved the sale)
+    function setTokenURI(uint256 tokenId, string memory tokenURI) public {
+        require(canUpdate(tokenId, msg.sender), "RealEstate: Caller cannot update this token");
+
+        _setTokenURI(tokenId, tokenURI);
+
+        emit MetadataUpdate(tokenId);
+    }
+
+    function canUpdate(uint256 tokenId, address account) public view returns (bool) {
+        address owner = ownerOf(tokenId);
+        if (owner == account) return true;
+        if (owner.code.length == 0) return false;
+
+        try IListing(owner).seller(tokenId) returns (address seller) {
+            if (seller != account) return false;
+        } catch {
+            return false;
+        }
+
+        return !isUnderContract(IListing(owner), tokenId);
+    }
+
+    // Pending and Countered offers still hold the bidder's deposit
+    uint8 private constant LAST_OPEN_OFFER_STATUS = 1;
+
+    // Whether the listing holds funds for the token, from its buyer, lender or
+    // bidders, or its buyer has approved the sale
+    function isUnderContract(IListing listing, uint256 tokenId) private view returns (bool) {
+        try listing.getListingBalance(tokenId) returns (uint256 balance) {
+            if (balance > 0) return true;
+        } catch {
+            return true;
+        }
+
+        try listing.getOffers(tokenId) returns (IListing.Offer[] memory offers) {
+            for (uint256 i = 0; i < offers.length; i++) {
+                if (offers[i].status <= LAST_OPEN_OFFER_STATUS) return true;
+            }
+        } catch {
+            return true;
+        }
+
+        try listing.buyer(tokenId) returns (address buyer) {
+            if (buyer == address(0)) return false;
+
+            try listing.approval(tokenId, buyer) returns (bool approved) {
+                return approved;
+            } catch {
+                return true;
+            }
+        } catch {
+            return true;
+        }
+    }
+
+    function setUser(uint256 tokenId, address user, uint64 expires) public {
+        require(_isApprovedOrOwner(msg.sender, tokenId), "RealEstate: Caller is not owner nor approved");
+
+        _users[tokenId] = UserInfo(user, expires);
+
+        emit UpdateUser(tokenId, user, expires);
+    }
+
+    function userOf(uint256 tokenId) public view returns (address) {
+        if (uint256(_users[tokenId].expires) >= block.timestamp) return _users[tokenId].user;
+
+        return address(0);
+    }
+
+    function userExpires(uint256 tokenId) public view returns (uint256) {
+        return _users[tokenId].expires;
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return interfaceId == type(IERC4907).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    // As in the ERC-4907 reference implementation, a change of owner ends any user right
+    function _beforeTokenTransfer(address from, address to, uint256 tokenId) internal override {
+        super._beforeTokenTransfer(from, to, tokenId);
+
+        if (from != to && _users[tokenId].user != address(0)) {
+            delete _users[tokenId];
+            emit UpdateUser(tokenId, address(0), 0);
+        }
+    }
+
     function totalSupply() public view returns (uint256) {
         return _tokenIds.current();
     }
+
+    // Token URIs for up to _count consecutive IDs starting at _firstID, cut
+    // short at the last minted token so a page of homes loads in one call
+    function getTokenURIs(uint256 _firstID, uint256 _count) public view returns (string[] memory uris) {
+        require(_firstID > 0, "RealEstate: Token IDs start at 1");
+
+        uint256 supply = _tokenIds.current();
+        uint256 remaining = _firstID > supply ? 0 : supply - _firstID + 1;
+        uint256 count = _count < remaining ? _count : remaining;
+
+        uris = new string[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            uris[i] = tokenURI(_firstID + i);
+        }
+    }
 }
@@ -0,0 +1,498 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Snapshot.sol";
+import "./Payments.sol";
+
+interface IERC721 {
+    function transferFrom(
+        address _from,
+        address _to,
+        uint256 _id
+    ) external;
+
+    function approve(address _to, uint256 _id) external;
+
+    function ownerOf(uint256 _id) external view returns (address);
+}
+
+interface ILease {
+    function offerRental(
+        uint256 _nftID,
+        address _token,
+        uint256 _rent,
+        uint256 _deposit,
+        uint256 _period,
+        uint256 _periods
+    ) external;
+
+    function withdrawRental(uint256 _nftID) external;
+
+    function claimRent(uint256 _nftID) external;
+
+    function evict(uint256 _nftID) external;
+}
+
+interface IEscrowFactory {
+    function escrowOf(uint256 _nftID) external view returns (address);
+}
+
+interface IEscrow {
+    function isListed(uint256 _nftID) external view returns (bool);
+
+    function buyer(uint256 _nftID) external view returns (address);
+
+    function seller(uint256 _nftID) external view returns (address);
+
+    function purchasePrice(uint256 _nftID) external view returns (uint256);
+
+    function paymentToken(uint256 _nftID) external view returns (address);
+
+    function earnestDeposited(uint256 _nftID) external view returns (uint256);
+
+    function depositEarnest(uint256 _nftID, uint256 _amount) external payable;
+
+    function approveSale(uint256 _nftID) external;
+}
+
+// Holds one RealEstate token and issues whole-number ERC-20 shares in it.
+// Shares on offer are sold through Escrow: buyers' payments are held here
+// until every share on offer is sold, then the vault buys the property from
+// the curator who fractionalized it, as the buyer in the escrow clone the
+// curator listed it in. The payments are its earnest, the usual inspection,
+// legal review, appraisal and approvals follow, and closing pays the curator
+// and moves the property here. If the offering runs out of time or the sale
+// falls through, buyers get back what the vault holds. Rent and sale proceeds
+// reaching the vault are split pro rata across the shares, and the property
+// only leaves through a buyout the holders vote for, or to someone who holds
+// every share.
+contract Vault is ERC20Snapshot {
+    // How long share holders have to vote on a buyout
+    uint256 public constant VOTING_PERIOD = 7 days;
+
+    // Proceeds per share are scaled up so small payments over many shares still count
+    uint256 private constant MAGNITUDE = 2**128;
+
+    // Set by the curator at fractionalize() time
+    struct Terms {
+        address paymentToken;
+        uint256 shares;
+        uint256 sharesForSale;
+        uint256 pricePerShare;
+        uint256 offeringPeriod;
+    }
+
+    struct Buyout {
+        address proposer;
+        uint256 price;
+        uint256 snapshotId;
+        uint256 deadline;
+        uint256 votesFor;
+        uint256 votesAgainst;
+    }
+
+    address public nftAddress;
+    uint256 public nftID;
+    address public curator;
+    address public lease;
+    address public escrowFactory;
+
+    // Currency shares are sold in and proceeds are paid out in, address(0) for ETH
+    address public paymentToken;
+
+    // Share offering
+    uint256 public pricePerShare;
+    uint256 public sharesForSale;
+    uint256 public sharesSold;
+    uint256 public offeringDeadline;
+    bool public offeringClosed;
+    mapping(address => uint256) public sharesPurchased;
+
+    // Escrow the vault is buying the property through, set once every share on offer is sold
+    address public escrow;
+
+    // Set once the property has left the vault, through a buyout or redeem()
+    bool public released;
+
+    // Votes are weighed by the shares each holder had when the buyout was proposed
+    Buyout public buyout;
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+
+    // Pro rata proceeds, see withdrawableProceeds
+    uint256 private proceedsPerShare;
+    mapping(address => int256) private proceedsCorrection;
+    mapping(address => uint256) public proceedsWithdrawn;
+
+    // Funds owed to someone: offering payments, a pending buyout price and
+    // proceeds not yet withdrawn. Anything above this is new proceeds.
+    uint256 public held;
+
+    event SharesPurchased(address indexed buyer, uint256 shares, uint256 cost);
+    event OfferingSoldOut(address indexed escrow, uint256 proceeds);
+    event OfferingClosed(uint256 sharesSold, uint256 proceeds);
+    event SharesRefunded(address indexed buyer, uint256 shares, uint256 amount);
+    event ProceedsDistributed(uint256 amount);
+    event ProceedsWithdrawn(address indexed holder, uint256 amount);
+    event BuyoutProposed(address indexed proposer, uint256 price, uint256 deadline);
+    event Voted(address indexed voter, bool support, uint256 weight);
+    event BuyoutExecuted(address indexed proposer, uint256 price);
+    event BuyoutWithdrawn(address indexed proposer, uint256 price);
+    event Redeemed(address indexed holder);
+
+    modifier onlyCurator() {
+        require(msg.sender == curator, "Vault: Only curator can call this method");
+        _;
+    }
+
+    bool private locked;
+
+    modifier noReentrant() {
+        require(!locked, "Vault: Reentrant call detected");
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    // Deployed by VaultFactory, which moves the property in right after when
+    // no shares are on offer. Otherwise it arrives when the escrow sale closes.
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        address _nftAddress,
+        uint256 _nftID,
+        address _curator,
+        address _lease,
+        address _escrowFactory,
+        Terms memory _terms
+    ) ERC20(_name, _symbol) {
+        require(_terms.shares > 0, "Vault: Must issue at least one share");
+        require(_terms.sharesForSale <= _terms.shares, "Vault: Cannot offer more shares than issued");
+
+        nftAddress = _nftAddress;
+        nftID = _nftID;
+        curator = _curator;
+        lease = _lease;
+        escrowFactory = _escrowFactory;
+        paymentToken = _terms.paymentToken;
+        pricePerShare = _terms.pricePerShare;
+        sharesForSale = _terms.sharesForSale;
+        offeringDeadline = block.timestamp + _terms.offeringPeriod;
+        offeringClosed = _terms.sharesForSale == 0;
+
+        // The curator keeps whatever is not on offer
+        _mint(_curator, _terms.shares - _terms.sharesForSale);
+    }
+
+    // A share is one indivisible unit of the property
+    function decimals() public pure override returns (uint8) {
+        return 0;
+    }
+
+    receive() external payable {}
+
+    // -- Offering
+
+    // Buy Shares (anyone, while the offering is open)
+    // -> _amount shares at pricePerShare: ETH as msg.value, ERC-20 via approve
+    // -> Buying the last share on offer deposits the payments as earnest in
+    //    the curator's escrow listing and approves the sale, see _purchase
+    function buyShares(uint256 _amount) public payable noReentrant {
+        require(isOfferingOpen(), "Vault: Offering is not open");
+        require(_amount > 0 && sharesSold + _amount <= sharesForSale, "Vault: Not enough shares on offer");
+
+        uint256 cost = _amount * pricePerShare;
+        sharesSold += _amount;
+        sharesPurchased[msg.sender] += _amount;
+        held += cost;
+
+        Payments.collect(paymentToken, cost);
+        _mint(msg.sender, _amount);
+
+        emit SharesPurchased(msg.sender, _amount, cost);
+
+        if (sharesSold == sharesForSale) {
+            _purchase();
+        }
+    }
+
+    // The curator lists the property in an EscrowFactory clone with this vault
+    // as the buyer, at the price of every share on offer and in the vault's
+    // payment token. The vault pays it all as earnest.
+    function _purchase() private {
+        address listing = IEscrowFactory(escrowFactory).escrowOf(nftID);
+        uint256 proceeds = sharesSold * pricePerShare;
+
+        require(
+            listing != address(0) &&
+            IEscrow(listing).isListed(nftID) &&
+            IEscrow(listing).buyer(nftID) == address(this) &&
+            IEscrow(listing).seller(nftID) == curator &&
+            IEscrow(listing).purchasePrice(nftID) == proceeds &&
+            IEscrow(listing).paymentToken(nftID) == paymentToken,
+            "Vault: Property is not listed for the vault"
+        );
+
+        escrow = listing;
+
+        if (paymentToken == address(0)) {
+            IEscrow(listing).depositEarnest{value: proceeds}(nftID, proceeds);
+        } else {
+            IERC20(paymentToken).approve(listing, proceeds);
+            IEscrow(listing).depositEarnest(nftID, proceeds);
+        }
+
+        IEscrow(listing).approveSale(nftID);
+
+        emit OfferingSoldOut(listing, proceeds);
+    }
+
+    // Close Offering (anyone, once the escrow sale has moved the property here)
+    // -> Shares can change hands and the property can be rented out or bought out
+    function closeOffering() public {
+        require(!offeringClosed && IERC721(nftAddress).ownerOf(nftID) == address(this), "Vault: Property has not reached the vault");
+
+        uint256 proceeds = sharesSold * pricePerShare;
+        offeringClosed = true;
+        held -= proceeds;
+
+        emit OfferingClosed(sharesSold, proceeds);
+    }
+
+    // Refund (anyone, for a buyer, once the offering has failed)
+    // -> Burns the buyer's shares and returns their part of what the vault
+    //    holds: everything they paid, unless the escrow sale fell through in a
+    //    way that paid the earnest to the curator
+    function refund(address _buyer) public noReentrant {
+        require(isOfferingFailed(), "Vault: Offering has not failed");
+
+        uint256 shares = sharesPurchased[_buyer];
+        require(shares > 0, "Vault: Nothing to refund");
+
+        uint256 amount = _balance() * shares / sharesSold;
+        sharesPurchased[_buyer] = 0;
+        sharesSold -= shares;
+        held -= shares * pricePerShare;
+
+        _burn(_buyer, shares);
+        _send(_buyer, amount);
+
+        emit SharesRefunded(_buyer, shares, amount);
+    }
+
+    function isOfferingOpen() public view returns (bool) {
+        return !offeringClosed && !released && escrow == address(0) && block.timestamp <= offeringDeadline;
+    }
+
+    // Not sold out in time, or sold out but the escrow sale ended without
+    // moving the property here (cancelled, expired or resolved for the curator)
+    function isOfferingFailed() public view returns (bool) {
+        if (offeringClosed) return false;
+        if (escrow == address(0)) return block.timestamp > offeringDeadline;
+
+        bool pending = IEscrow(escrow).isListed(nftID) &&
+            IEscrow(escrow).buyer(nftID) == address(this) &&
+            IEscrow(escrow).earnestDeposited(nftID) > 0;
+        return !pending && IERC721(nftAddress).ownerOf(nftID) != address(this);
+    }
+
+    // -- Proceeds
+
+    // Distribute (anyone) -> splits funds that reached the vault since the
+    // last distribution (e.g. rent settled by Lease.endLease) across the shares
+    function distribute() public noReentrant {
+        uint256 amount = _balance() - held;
+        require(amount > 0, "Vault: No new proceeds");
+
+        _distribute(amount);
+    }
+
+    // Withdraw Proceeds (share holder) -> everything the holder's shares have earned so far
+    function withdrawProceeds() public noReentrant {
+        uint256 amount = withdrawableProceeds(msg.sender);
+        require(amount > 0, "Vault: No proceeds to withdraw");
+
+        proceedsWithdrawn[msg.sender] += amount;
+        held -= amount;
+
+        _send(msg.sender, amount);
+
+        emit ProceedsWithdrawn(msg.sender, amount);
+    }
+
+    // Proceeds per share times the current balance, corrected for shares that
+    // moved after earlier distributions, less what was already withdrawn
+    function withdrawableProceeds(address _holder) public view returns (uint256) {
+        int256 earned = int256(proceedsPerShare * balanceOf(_holder)) + proceedsCorrection[_holder];
+        return uint256(earned) / MAGNITUDE - proceedsWithdrawn[_holder];
+    }
+
+    // -- Renting (through Lease, with the vault as landlord)
+
+    // Offer Rental (curator) -> rent is paid in the vault's payment token
+    function offerRental(
+        uint256 _rent,
+        uint256 _deposit,
+        uint256 _period,
+        uint256 _periods
+    ) public onlyCurator {
+        require(offeringClosed && !released, "Vault: Property cannot be rented out");
+
+        IERC721(nftAddress).approve(lease, nftID);
+        ILease(lease).offerRental(nftID, paymentToken, _rent, _deposit, _period, _periods);
+    }
+
+    // Withdraw Rental (curator)
+    function withdrawRental() public onlyCurator {
+        ILease(lease).withdrawRental(nftID);
+    }
+
+    // Claim Rent (anyone) -> collects the rent that is due and distributes it
+    function claimRent() public noReentrant {
+        ILease(lease).claimRent(nftID);
+        _distributeNew();
+    }
+
+    // Evict (curator) -> the deposit and unclaimed rent are distributed
+    function evict() public noReentrant onlyCurator {
+        ILease(lease).evict(nftID);
+        _distributeNew();
+    }
+
+    // -- Buyout
+
+    // Propose Buyout (anyone) -> deposits _price for the whole property, which
+    // share holders vote on with the shares they hold at this moment
+    function proposeBuyout(uint256 _price) public payable noReentrant {
+        require(offeringClosed && !released, "Vault: Property cannot be bought out");
+        require(buyout.proposer == address(0), "Vault: A buyout is already pending");
+        require(_price > 0, "Vault: Price must be greater than zero");
+
+        held += _price;
+        Payments.collect(paymentToken, _price);
+
+        uint256 deadline = block.timestamp + VOTING_PERIOD;
+        buyout = Buyout(msg.sender, _price, _snapshot(), deadline, 0, 0);
+
+        emit BuyoutProposed(msg.sender, _price, deadline);
+    }
+
+    // Vote (share holder at the time of the proposal, once per buyout)
+    function vote(bool _support) public {
+        require(buyout.proposer != address(0) && block.timestamp <= buyout.deadline, "Vault: No buyout to vote on");
+        require(!hasVoted[buyout.snapshotId][msg.sender], "Vault: Already voted");
+
+        uint256 weight = balanceOfAt(msg.sender, buyout.snapshotId);
+        require(weight > 0, "Vault: No shares to vote with");
+
+        hasVoted[buyout.snapshotId][msg.sender] = true;
+
+        if (_support) {
+            buyout.votesFor += weight;
+        } else {
+            buyout.votesAgainst += weight;
+        }
+
+        emit Voted(msg.sender, _support, weight);
+    }
+
+    // Execute Buyout (anyone, once a majority of shares voted for it)
+    // -> The price is distributed to share holders and the property goes to the proposer
+    function executeBuyout() public noReentrant {
+        require(isBuyoutApproved(), "Vault: Buyout has not been approved");
+
+        Buyout memory approved = buyout;
+        delete buyout;
+        released = true;
+
+        held -= approved.price;
+        _distribute(approved.price);
+
+        IERC721(nftAddress).transferFrom(address(this), approved.proposer, nftID);
+
+        emit BuyoutExecuted(approved.proposer, approved.price);
+    }
+
+    // Withdraw Buyout (proposer, once it was voted down or the vote ran out)
+    function withdrawBuyout() public noReentrant {
+        require(msg.sender == buyout.proposer, "Vault: Only proposer can call this method");
+        require(isBuyoutRejected() || block.timestamp > buyout.deadline, "Vault: Buyout vote is still open");
+        require(!isBuyoutApproved(), "Vault: Buyout has been approved");
+
+        uint256 price = buyout.price;
+        delete buyout;
+        held -= price;
+
+        _send(msg.sender, price);
+
+        emit BuyoutWithdrawn(msg.sender, price);
+    }
+
+    function isBuyoutApproved() public view returns (bool) {
+        return buyout.proposer != address(0) && buyout.votesFor * 2 > totalSupplyAt(buyout.snapshotId);
+    }
+
+    function isBuyoutRejected() public view returns (bool) {
+        return buyout.proposer != address(0) && buyout.votesAgainst * 2 >= totalSupplyAt(buyout.snapshotId);
+    }
+
+    // -- Redeem
+
+    // Redeem (holder of every share) -> burns the shares and takes the
+    // property out of the vault
+    function redeem() public noReentrant {
+        require(offeringClosed && !released && buyout.proposer == address(0), "Vault: Property cannot be redeemed");
+
+        uint256 shares = balanceOf(msg.sender);
+        require(shares == totalSupply(), "Vault: Must hold every share");
+
+        released = true;
+
+        _burn(msg.sender, shares);
+        IERC721(nftAddress).transferFrom(address(this), msg.sender, nftID);
+
+        emit Redeemed(msg.sender);
+    }
+
+    // Shares only change hands once the offering has closed, so a failed
+    // offering can always burn what it refunds. Every move is recorded against
+    // the proceeds so far, which stay with the previous holder.
+    function _beforeTokenTransfer(
+        address _from,
+        address _to,
+        uint256 _amount
+    ) internal override {
+        super._beforeTokenTransfer(_from, _to, _amount);
+
+        if (_from != address(0) && _to != address(0)) {
+            require(offeringClosed, "Vault: Shares are locked until the offering closes");
+        }
+
+        int256 correction = int256(proceedsPerShare * _amount);
+
+        if (_from != address(0)) proceedsCorrection[_from] += correction;
+        if (_to != address(0)) proceedsCorrection[_to] -= correction;
+    }
+
+    function _distribute(uint256 _amount) private {
+        require(offeringClosed && totalSupply() > 0, "Vault: No share holders to distribute to");
+
+        proceedsPerShare += (_amount * MAGNITUDE) / totalSupply();
+        held += _amount;
+
+        emit ProceedsDistributed(_amount);
+    }
+
+    function _distributeNew() private {
+        uint256 amount = _balance() - held;
+        if (amount > 0) _distribute(amount);
+    }
+
+    function _balance() private view returns (uint256) {
+        if (paymentToken == address(0)) return address(this).balance;
+        return IERC20(paymentToken).balanceOf(address(this));
+    }
+
+    function _send(address _to, uint256 _amount) private {
+        require(Payments.trySend(paymentToken, _to, _amount), "Vault: Transfer failed");
+    }
+}
@@ -0,0 +1,72 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./Vault.sol";
+
+// Fractionalizes RealEstate tokens: deploys a Vault per property and keeps
+// track of it, so the frontend can find a property's shares by its token ID
+// -> Vaults buy the shares on offer through escrows of escrowFactory
+contract VaultFactory {
+    address public nftAddress;
+    address public lease;
+    address public escrowFactory;
+
+    // Latest vault for each property (a released property can be fractionalized again)
+    mapping(uint256 => address) public vaults;
+
+    event Fractionalized(
+        uint256 indexed nftID,
+        address indexed vault,
+        address indexed curator,
+        uint256 shares,
+        uint256 sharesForSale,
+        uint256 pricePerShare
+    );
+
+    constructor(address _nftAddress, address _lease, address _escrowFactory) {
+        nftAddress = _nftAddress;
+        lease = _lease;
+        escrowFactory = _escrowFactory;
+    }
+
+    // Fractionalize (owner)
+    // -> Creates a new Vault that issues _terms.shares shares, _terms.sharesForSale
+    //    of them offered at _terms.pricePerShare
+    // -> With no shares on offer the property moves in right away, and the
+    //    owner must approve this contract for the token beforehand. Otherwise
+    //    the owner lists it in escrowFactory with the vault as buyer, see Vault.
+    function fractionalize(uint256 _nftID, Vault.Terms calldata _terms) public returns (address) {
+        require(IERC721(nftAddress).ownerOf(_nftID) == msg.sender, "VaultFactory: Only owner can fractionalize");
+
+        // A property stays with its owner while its offering is open, so only
+        // one vault at a time can be selling shares in it
+        address previous = vaults[_nftID];
+        require(
+            previous == address(0) || Vault(payable(previous)).released() || Vault(payable(previous)).sharesSold() == 0,
+            "VaultFactory: Property is already fractionalized"
+        );
+
+        string memory id = Strings.toString(_nftID);
+        Vault vault = new Vault(
+            string(abi.encodePacked("Real Estate #", id, " Shares")),
+            string(abi.encodePacked("RES", id)),
+            nftAddress,
+            _nftID,
+            msg.sender,
+            lease,
+            escrowFactory,
+            _terms
+        );
+
+        vaults[_nftID] = address(vault);
+
+        if (_terms.sharesForSale == 0) {
+            IERC721(nftAddress).transferFrom(msg.sender, address(vault), _nftID);
+        }
+
+        emit Fractionalized(_nftID, address(vault), msg.sender, _terms.shares, _terms.sharesForSale, _terms.pricePerShare);
+
+        return address(vault);
+    }
+}
@@ -1,6 +1,29 @@
 require("@nomicfoundation/hardhat-toolbox");
 
+// Remote networks are only configured when their RPC endpoint is provided
+const { SEPOLIA_RPC_URL, PRIVATE_KEY } = process.env
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.17",
+  solidity: {
+    version: "0.8.17",
+    settings: {
+      // Escrow is close to the 24KB contract size limit without it
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
+  networks: {
+    localhost: {
+      url: "http://127.0.0.1:8545",
+    },
+    ...(SEPOLIA_RPC_URL && {
+      sepolia: {
+        url: SEPOLIA_RPC_URL,
+        accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
+      },
+    }),
+  },
 };
@@ -5,58 +5,278 @@
 // will compile your contracts, add the Hardhat Runtime Environment's members to the
 // global scope, and execute the script.
 const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
 
-const tokens = (n) => {
-  return ethers.utils.parseUnits(n.toString(), 'ether')
+const CONFIG_PATH = path.join(__dirname, "..", "src", "config.json")
+const ABIS_PATH = path.join(__dirname, "..", "src", "abis")
+
+// Contracts whose ABIs the frontend imports
+const FRONTEND_CONTRACTS = ["RealEstate", "Escrow", "EscrowFactory", "Mortgage", "Lease", "VaultFactory", "Vault"]
+
+// Chains where the demo accounts exist, so properties can be minted and listed
+const LOCAL_CHAIN_IDS = [31337]
+
+const days = (n) => {
+  return n * 24 * 60 * 60
+}
+
+// Contingency periods, counted from the moment a property is listed
+const INSPECTION_PERIOD = days(10)
+const FINANCING_PERIOD = days(21)
+const CLOSING_PERIOD = days(30)
+
+// Where token metadata comes from: "ipfs" (default) mints ipfs:// URIs for the
+// published folder, "local" embeds metadata/*.json as data: URIs so no network
+// is needed to read them back.
+const METADATA_SOURCE = process.env.METADATA_SOURCE || "ipfs"
+const METADATA_CID = "QmQVcpsjrA6cr1iJjZAodYwmPekYgbnXGo4DFubJiLc2EB"
+
+const tokenURI = (id) => {
+  if (METADATA_SOURCE === "local") {
+    const metadata = fs.readFileSync(path.join(__dirname, "..", "metadata", `${id}.json`))
+    return `data:application/json;base64,${metadata.toString("base64")}`
+  }
+
+  return `ipfs://${METADATA_CID}/${id}.json`
+}
+
+// Demo loan terms: 6.5% a year, 360 monthly installments
+const LOAN_RATE_BPS = 650
+const LOAN_PAYMENTS = 360
+const LOAN_INTERVAL = days(30)
+
+// Stablecoin for token-priced listings. Local chains get a freshly deployed
+// MockERC20; elsewhere set PAYMENT_TOKEN_ADDRESS to a real one (e.g. USDC).
+const STABLECOIN = { name: "USD Coin", symbol: "USDC", decimals: 6 }
+
+// Demo listings: [nftID, purchase price, escrow amount, open to offers, paid in stablecoin]
+// -> Amounts are whole units of the payment token
+const LISTINGS = [
+  [1, 20, 10, false, false],
+  [2, 15, 5, false, true],
+  [3, 10, 5, true, false],
+]
+
+const readConfig = () => {
+  if (!fs.existsSync(CONFIG_PATH)) return {}
+  return JSON.parse(fs.readFileSync(CONFIG_PATH))
+}
+
+const writeConfig = (config) => {
+  fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 4) + "\n")
+}
+
+// Service providers for the seeded listings. They default to the local signers
+// but can be pinned per network, e.g. INSPECTOR_ADDRESS=0x...
+const roleAddress = (role, signer) => {
+  const address = process.env[`${role.toUpperCase()}_ADDRESS`] || (signer && signer.address)
+  if (!address) throw new Error(`No address for ${role}: set ${role.toUpperCase()}_ADDRESS`)
+  return ethers.utils.getAddress(address)
+}
+
+// Reuse a contract from a previous run when it is still deployed, otherwise deploy it
+const deployOrReuse = async (name, previous, args = []) => {
+  if (previous && process.env.REDEPLOY !== "true") {
+    const code = await ethers.provider.getCode(previous.address)
+
+    if (code !== "0x") {
+      console.log(`Reusing ${name} Contract at: ${previous.address}`)
+      return { contract: await ethers.getContractAt(name, previous.address), deployBlock: previous.deployBlock, isNew: false }
+    }
+  }
+
+  const Factory = await ethers.getContractFactory(name)
+  const contract = await Factory.deploy(...args)
+  const receipt = await contract.deployTransaction.wait()
+
+  console.log(`Deployed ${name} Contract at: ${contract.address}`)
+  return { contract, deployBlock: receipt.blockNumber, isNew: true }
+}
+
+const exportAbis = async () => {
+  for (const name of FRONTEND_CONTRACTS) {
+    const { abi } = await hre.artifacts.readArtifact(name)
+    fs.writeFileSync(path.join(ABIS_PATH, `${name}.json`), JSON.stringify(abi, null, 4))
+  }
+
+  console.log(`Exported ABIs for ${FRONTEND_CONTRACTS.join(", ")}`)
 }
 
 async function main() {
+  const { chainId } = await ethers.provider.getNetwork()
+  const config = readConfig()
+  const previous = config[chainId] || {}
+
+  console.log(`Deploying to ${hre.network.name} (chainId ${chainId})...\n`)
+
   // Setup accounts
-  const [buyer, seller, inspector, lender] = await ethers.getSigners()
+  const [buyer, seller, inspector, lender, lawyer, appraiser, arbitrator] = await ethers.getSigners()
+
+  const roles = {
+    inspector: roleAddress("inspector", inspector),
+    lender: roleAddress("lender", lender),
+    lawyer: roleAddress("lawyer", lawyer),
+    appraiser: roleAddress("appraiser", appraiser),
+    arbitrator: roleAddress("arbitrator", arbitrator),
+  }
 
   // Deploy Real Estate
-  const RealEstate = await ethers.getContractFactory('RealEstate')
-  const realEstate = await RealEstate.deploy()
-  await realEstate.deployed()
+  const realEstate = await deployOrReuse("RealEstate", previous.realEstate)
+
+  // Deploy Mortgage (a new RealEstate always needs a new Mortgage)
+  const mortgage = await deployOrReuse(
+    "Mortgage",
+    realEstate.isNew ? null : previous.mortgage,
+    [realEstate.contract.address]
+  )
 
-  console.log(`Deployed Real Estate Contract at: ${realEstate.address}`)
-  console.log(`Minting 3 properties...\n`)
+  // Deploy Escrow (a new Mortgage always needs a new Escrow)
+  const escrow = await deployOrReuse(
+    "Escrow",
+    mortgage.isNew ? null : previous.escrow,
+    [realEstate.contract.address, mortgage.contract.address]
+  )
+
+  // Payment token, reused from the environment or mocked on local chains
+  const stablecoin = process.env.PAYMENT_TOKEN_ADDRESS
+    ? { contract: await ethers.getContractAt("MockERC20", process.env.PAYMENT_TOKEN_ADDRESS), deployBlock: null }
+    : LOCAL_CHAIN_IDS.includes(chainId)
+      ? await deployOrReuse("MockERC20", previous.paymentToken, [STABLECOIN.name, STABLECOIN.symbol, STABLECOIN.decimals])
+      : null
+
+  // Deploy Lease (a new RealEstate always needs a new Lease)
+  const lease = await deployOrReuse(
+    "Lease",
+    realEstate.isNew ? null : previous.lease,
+    [realEstate.contract.address]
+  )
 
-  for (let i = 0; i < 3; i++) {
-    const transaction = await realEstate.connect(seller).mint(`https://ipfs.io/ipfs/QmQVcpsjrA6cr1iJjZAodYwmPekYgbnXGo4DFubJiLc2EB/${i + 1}.json`)
+  // Deploy Escrow Factory (a new Escrow always needs a new factory, since every sale is a clone of it)
+  const escrowFactory = await deployOrReuse(
+    "EscrowFactory",
+    escrow.isNew ? null : previous.escrowFactory,
+    [escrow.contract.address]
+  )
+
+  // Deploy Vault Factory (a new Lease or EscrowFactory always needs a new
+  // factory, since vaults rent out through the one and buy through the other)
+  const vaultFactory = await deployOrReuse(
+    "VaultFactory",
+    lease.isNew || escrowFactory.isNew ? null : previous.vaultFactory,
+    [realEstate.contract.address, lease.contract.address, escrowFactory.contract.address]
+  )
+
+  // Connect the Mortgage to the Escrow, and the factory's clones, that originate its loans
+  const mortgageEscrow = await mortgage.contract.escrow()
+
+  if (mortgageEscrow === ethers.constants.AddressZero) {
+    const transaction = await mortgage.contract.setEscrow(escrow.contract.address)
     await transaction.wait()
+  } else if (mortgageEscrow !== escrow.contract.address) {
+    throw new Error(`Mortgage is bound to another Escrow (${mortgageEscrow}): re-run with REDEPLOY=true`)
   }
 
-  // Deploy Escrow
-  const Escrow = await ethers.getContractFactory('Escrow')
-  const escrow = await Escrow.deploy(
-    realEstate.address,
-    seller.address,
-    inspector.address,
-    lender.address
-  )
-  await escrow.deployed()
+  const mortgageFactory = await mortgage.contract.escrowFactory()
 
-  console.log(`Deployed Escrow Contract at: ${escrow.address}`)
-  console.log(`Listing 3 properties...\n`)
+  if (mortgageFactory === ethers.constants.AddressZero) {
+    const transaction = await mortgage.contract.setEscrowFactory(escrowFactory.contract.address)
+    await transaction.wait()
+  } else if (mortgageFactory !== escrowFactory.contract.address) {
+    throw new Error(`Mortgage is bound to another EscrowFactory (${mortgageFactory}): re-run with REDEPLOY=true`)
+  }
+
+  config[chainId] = {
+    network: hre.network.name,
+    realEstate: { address: realEstate.contract.address, deployBlock: realEstate.deployBlock },
+    escrow: { address: escrow.contract.address, deployBlock: escrow.deployBlock },
+    escrowFactory: { address: escrowFactory.contract.address, deployBlock: escrowFactory.deployBlock },
+    mortgage: { address: mortgage.contract.address, deployBlock: mortgage.deployBlock },
+    lease: { address: lease.contract.address, deployBlock: lease.deployBlock },
+    vaultFactory: { address: vaultFactory.contract.address, deployBlock: vaultFactory.deployBlock },
+    ...(stablecoin && { paymentToken: { address: stablecoin.contract.address, deployBlock: stablecoin.deployBlock } }),
+    roles,
+  }
 
-  for (let i = 0; i < 3; i++) {
-    // Approve properties...
-    let transaction = await realEstate.connect(seller).approve(escrow.address, i + 1)
+  writeConfig(config)
+  await exportAbis()
+
+  if (LOCAL_CHAIN_IDS.includes(chainId) || process.env.SEED === "true") {
+    await seed(realEstate.contract, escrowFactory.contract, mortgage.contract, stablecoin && stablecoin.contract, roles, seller, buyer, lender)
+  }
+
+  console.log(`Finished.`)
+}
+
+// Mint and list the demo properties, each in its own escrow, skipping whatever
+// a previous run already did
+async function seed(realEstate, escrowFactory, mortgage, stablecoin, roles, seller, buyer, lender) {
+  if ((await realEstate.totalSupply()).eq(0)) {
+    console.log(`Minting ${LISTINGS.length} properties from ${METADATA_SOURCE} metadata...\n`)
+
+    const transaction = await realEstate.connect(seller).mintBatch(LISTINGS.map(([nftID]) => tokenURI(nftID)))
     await transaction.wait()
   }
 
-  // Listing properties...
-  transaction = await escrow.connect(seller).list(1, buyer.address, tokens(20), tokens(10))
-  await transaction.wait()
+  const decimals = stablecoin ? await stablecoin.decimals() : 18
 
-  transaction = await escrow.connect(seller).list(2, buyer.address, tokens(15), tokens(5))
-  await transaction.wait()
+  // Fund the buyer and lender so the stablecoin listing can close (mock tokens only)
+  if (stablecoin && !process.env.PAYMENT_TOKEN_ADDRESS) {
+    const [, purchasePrice, escrowAmount] = LISTINGS.find((listing) => listing[4])
+    let transaction = await stablecoin.mint(buyer.address, ethers.utils.parseUnits(escrowAmount.toString(), decimals))
+    await transaction.wait()
+    transaction = await stablecoin.mint(lender.address, ethers.utils.parseUnits(purchasePrice.toString(), decimals))
+    await transaction.wait()
+  }
+
+  // Every demo listing uses the same service providers
+  const providers = [roles.inspector, roles.lender, roles.lawyer, roles.appraiser, roles.arbitrator]
+
+  // One batchList per payment token, since a batch shares its token
+  const batches = {}
+
+  for (const [nftID, price, earnest, isOpen, inStablecoin] of LISTINGS) {
+    if (await realEstate.ownerOf(nftID) !== seller.address) continue
+    if (inStablecoin && !stablecoin) continue
+
+    const paymentToken = inStablecoin ? stablecoin.address : ethers.constants.AddressZero
+    const unitDecimals = inStablecoin ? decimals : 18
+
+    batches[paymentToken] = batches[paymentToken] || []
+    batches[paymentToken].push([
+      nftID,
+      isOpen ? ethers.constants.AddressZero : buyer.address,
+      ethers.utils.parseUnits(price.toString(), unitDecimals),
+      ethers.utils.parseUnits(earnest.toString(), unitDecimals),
+    ])
+  }
 
-  transaction = await escrow.connect(seller).list(3, buyer.address, tokens(10), tokens(5))
+  const listings = Object.values(batches).flat()
+  if (listings.length === 0) return
+
+  console.log(`Listing properties ${listings.map(([nftID]) => nftID).join(", ")}...`)
+
+  // Approve every property at once...
+  if (!(await realEstate.isApprovedForAll(seller.address, escrowFactory.address))) {
+    const transaction = await realEstate.connect(seller).setApprovalForAll(escrowFactory.address, true)
+    await transaction.wait()
+  }
+
+  // List them all in a single transaction...
+  let transaction = await escrowFactory.connect(seller).multicall(
+    Object.entries(batches).map(([paymentToken, batch]) => escrowFactory.interface.encodeFunctionData("createEscrows", [
+      batch, INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, paymentToken, providers
+    ]))
+  )
   await transaction.wait()
 
-  console.log(`Finished.`)
+  // Lender offers a mortgage for the financed part of each...
+  transaction = await mortgage.connect(lender).multicall(
+    listings.map(([nftID]) => mortgage.interface.encodeFunctionData("proposeTerms", [
+      nftID, LOAN_RATE_BPS, LOAN_PAYMENTS, LOAN_INTERVAL
+    ]))
+  )
+  await transaction.wait()
 }
 
 // We recommend this pattern to be able to use async/await everywhere
@@ -0,0 +1,120 @@
+// Checks property metadata against src/metadata.schema.json: every file in
+// metadata/, then the token URI of every property minted on the network, if
+// RealEstate is deployed there. Exits with an error when anything fails.
+//
+//   npx hardhat run scripts/validate-metadata.js --network localhost
+//
+// ipfs:// and gateway URIs are fetched through IPFS_GATEWAY (default
+// https://ipfs.io), or REACT_APP_IPFS_GATEWAY as used by the frontend.
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const schema = require("../src/metadata.schema.json");
+
+const CONFIG_PATH = path.join(__dirname, "..", "src", "config.json")
+const METADATA_PATH = path.join(__dirname, "..", "metadata")
+
+const IPFS_GATEWAY = (process.env.IPFS_GATEWAY || process.env.REACT_APP_IPFS_GATEWAY || "https://ipfs.io").replace(/\/+$/, "")
+
+// Same rewriting as src/utils/uri.js; data: URIs are fetched as they are
+const resolveURI = (uri) => {
+  if (uri.startsWith("ipfs://")) {
+    return `${IPFS_GATEWAY}/ipfs/${uri.slice("ipfs://".length).replace(/^ipfs\//, "")}`
+  }
+
+  const match = uri.match(/^https?:\/\/[^/]+\/ipfs\/(.+)$/)
+  return match ? `${IPFS_GATEWAY}/ipfs/${match[1]}` : uri
+}
+
+const validate = new Ajv({ allErrors: true, verbose: true }).compile(schema)
+
+// One line per schema error. A missing or mistyped trait fails its whole
+// `contains` clause, so report the clause's description instead of how each
+// attribute failed to match it.
+const problems = (metadata) => {
+  if (validate(metadata)) return []
+
+  return validate.errors.filter((error) => !error.schemaPath.includes("/contains/")).map((error) => {
+    if (error.keyword === "contains") return `attributes: needs ${error.parentSchema.description}`
+    return `${error.dataPath || "metadata"} ${error.message}`
+  })
+}
+
+// Prints the result for one source and returns whether it passed
+const report = (source, errors) => {
+  if (errors.length === 0) {
+    console.log(`  ok    ${source}`)
+    return true
+  }
+
+  console.log(`  FAIL  ${source}`)
+  errors.forEach((error) => console.log(`          ${error}`))
+  return false
+}
+
+const checkFiles = () => {
+  const files = fs.readdirSync(METADATA_PATH).filter((file) => file.endsWith(".json")).sort()
+  console.log(`Checking ${files.length} files in metadata/...`)
+
+  return files.map((file) => {
+    let metadata
+
+    try {
+      metadata = JSON.parse(fs.readFileSync(path.join(METADATA_PATH, file)))
+    } catch (error) {
+      return report(file, [`not valid JSON: ${error.message}`])
+    }
+
+    return report(file, problems(metadata))
+  })
+}
+
+const checkTokens = async () => {
+  const { chainId } = await ethers.provider.getNetwork()
+  const deployment = JSON.parse(fs.readFileSync(CONFIG_PATH))[chainId]
+
+  const address = deployment && deployment.realEstate.address
+  if (!address || (await ethers.provider.getCode(address)) === "0x") {
+    console.log(`\nRealEstate is not deployed on ${hre.network.name}, skipping minted tokens`)
+    return []
+  }
+
+  const realEstate = await ethers.getContractAt("RealEstate", address)
+  const totalSupply = (await realEstate.totalSupply()).toNumber()
+  const uris = totalSupply ? await realEstate.getTokenURIs(1, totalSupply) : []
+
+  console.log(`\nChecking ${uris.length} token URIs on ${hre.network.name}...`)
+
+  const results = []
+
+  // One at a time, to go easy on public gateways
+  for (const [index, uri] of uris.entries()) {
+    const source = `token ${index + 1}`
+
+    try {
+      const response = await fetch(resolveURI(uri))
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      results.push(report(source, problems(await response.json())))
+    } catch (error) {
+      results.push(report(source, [`could not load ${uri.startsWith("data:") ? "its data: URI" : uri}: ${error.message}`]))
+    }
+  }
+
+  return results
+}
+
+async function main() {
+  const results = [...checkFiles(), ...(await checkTokens())]
+  const failed = results.filter((passed) => !passed).length
+
+  console.log(`\n${results.length - failed} of ${results.length} valid`)
+  if (failed) process.exitCode = 1
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,61 +1,233 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { ethers } from 'ethers';
 
 // Components
 import Navigation from './components/Navigation';
 import Search from './components/Search';
 import Home from './components/Home';
+import Tasks from './components/Tasks';
+import Loans from './components/Loans';
+import BulkList from './components/BulkList';
+import Rent from './components/Rent';
+import Sell from './components/Sell';
+import Toasts from './components/Toasts';
+import NetworkBanner from './components/NetworkBanner';
 
 // ABIs
 import RealEstate from './abis/RealEstate.json'
 import Escrow from './abis/Escrow.json'
+import EscrowFactory from './abis/EscrowFactory.json'
+import Mortgage from './abis/Mortgage.json'
+import Lease from './abis/Lease.json'
+import VaultFactory from './abis/VaultFactory.json'
 
 // Config
 import config from './config.json';
 
+// Utils
+import { fetchEscrow, fetchEscrows, onEscrowEvents } from './utils/escrows';
+import { LISTING_EVENTS, fetchHomePage, refreshHome } from './utils/homes';
+import { TRAITS, formatAttribute } from './utils/metadata';
+import { filterHomes, parseFilters, residenceTypes, serializeFilters } from './utils/search';
+import { resolveURI } from './utils/uri';
+import { connectProvider, hasWallet, restoreAccount, toAccount } from './utils/wallet';
+
 function App() {
   const [provider, setProvider] = useState(null)
+  const [realEstate, setRealEstate] = useState(null)
   const [escrow, setEscrow] = useState(null)
+  const [escrowFactory, setEscrowFactory] = useState(null)
+  const [mortgage, setMortgage] = useState(null)
+  const [lease, setLease] = useState(null)
+  const [vaultFactory, setVaultFactory] = useState(null)
 
   const [account, setAccount] = useState(null)
+  const [walletChainId, setWalletChainId] = useState(null)
+  const [networkError, setNetworkError] = useState(null)
+  const [undeployedChainId, setUndeployedChainId] = useState(null)
 
   const [homes, setHomes] = useState([])
+  const [totalSupply, setTotalSupply] = useState(0)
+  const [isLoading, setIsLoading] = useState(false)
+  const [listed, setListed] = useState({})
+  const [currencies, setCurrencies] = useState({})
+  const [problems, setProblems] = useState({})
+  const [terms, setTerms] = useState({})
   const [home, setHome] = useState({})
+  const [homeEscrow, setHomeEscrow] = useState(null)
+  const [homeEscrows, setHomeEscrows] = useState([])
+  const [filters, setFilters] = useState(() => parseFilters(window.location.search))
   const [toggle, setToggle] = useState(false);
+  const [page, setPage] = useState(window.location.hash)
+
+  // Bottom of the card grid, loads the next page when it scrolls into view
+  const sentinel = useRef(null)
 
   const loadBlockchainData = async () => {
-    const provider = new ethers.providers.Web3Provider(window.ethereum)
+    const [provider, walletChainId] = await connectProvider()
     setProvider(provider)
+    setWalletChainId(walletChainId)
     const network = await provider.getNetwork()
+    const deployment = config[network.chainId]
 
-    const realEstate = new ethers.Contract(config[network.chainId].realEstate.address, RealEstate, provider)
-    const totalSupply = await realEstate.totalSupply()
-    const homes = []
-
-    for (var i = 1; i <= totalSupply; i++) {
-      const uri = await realEstate.tokenURI(i)
-      const response = await fetch(uri)
-      const metadata = await response.json()
-      homes.push(metadata)
+    // The read-only node may be on a chain src/config.json has no contracts for
+    if (!deployment) {
+      setUndeployedChainId(network.chainId)
+      return
     }
 
-    setHomes(homes)
+    const realEstate = new ethers.Contract(deployment.realEstate.address, RealEstate, provider)
+    setRealEstate(realEstate)
 
-    const escrow = new ethers.Contract(config[network.chainId].escrow.address, Escrow, provider)
+    const escrow = new ethers.Contract(deployment.escrow.address, Escrow, provider)
     setEscrow(escrow)
 
-    window.ethereum.on('accountsChanged', async () => {
-      const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-      const account = ethers.utils.getAddress(accounts[0])
-      setAccount(account);
-    })
+    // Deployments from before the factory list every sale in the one Escrow
+    if (deployment.escrowFactory) {
+      setEscrowFactory(new ethers.Contract(deployment.escrowFactory.address, EscrowFactory, provider))
+    }
+
+    const mortgage = new ethers.Contract(deployment.mortgage.address, Mortgage, provider)
+    setMortgage(mortgage)
+
+    // ...and from before leasing no Lease contract
+    if (deployment.lease) {
+      setLease(new ethers.Contract(deployment.lease.address, Lease, provider))
+    }
+
+    // ...and from before fractional ownership no VaultFactory
+    if (deployment.vaultFactory) {
+      setVaultFactory(new ethers.Contract(deployment.vaultFactory.address, VaultFactory, provider))
+    }
+
+    setAccount(await restoreAccount())
+    setTotalSupply((await realEstate.totalSupply()).toNumber())
   }
 
+  // Place a page of homes by token ID, replacing any already loaded
+  const addHomes = useCallback((firstID, page) => {
+    setHomes((homes) => {
+      const updated = [...homes]
+      page.forEach(({ metadata }, index) => { updated[firstID + index - 1] = metadata })
+      return updated
+    })
+    setListed((listed) => ({ ...listed, ...Object.fromEntries(page.map(({ isListed }, index) => [firstID + index, isListed])) }))
+    setCurrencies((currencies) => ({ ...currencies, ...Object.fromEntries(page.map(({ currency }, index) => [firstID + index, currency])) }))
+    setProblems((problems) => ({ ...problems, ...Object.fromEntries(page.map(({ problems }, index) => [firstID + index, problems])) }))
+    setTerms((terms) => ({ ...terms, ...Object.fromEntries(page.map(({ terms }, index) => [firstID + index, terms])) }))
+  }, [])
+
+  // Homes are appended in token ID order, so the next page starts after the last one
+  const loadNextPage = useCallback(async () => {
+    setIsLoading(true)
+
+    try {
+      const page = await fetchHomePage(realEstate, escrowFactory || escrow, homes.length + 1)
+      addHomes(homes.length + 1, page)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [realEstate, escrow, escrowFactory, homes.length, addHomes])
+
+  useEffect(() => {
+    loadBlockchainData().catch(setNetworkError)
+  }, [])
+
+  // Switching accounts only changes who signs. Everything loaded so far
+  // belongs to the old chain, including pages still in flight, so a chain
+  // change or a lost connection starts the app over.
+  useEffect(() => {
+    if (!hasWallet()) return
+
+    const accountsHandler = (accounts) => setAccount(toAccount(accounts))
+    const reloadHandler = () => window.location.reload()
+
+    window.ethereum.on('accountsChanged', accountsHandler)
+    window.ethereum.on('chainChanged', reloadHandler)
+    window.ethereum.on('disconnect', reloadHandler)
+
+    return () => {
+      window.ethereum.removeListener('accountsChanged', accountsHandler)
+      window.ethereum.removeListener('chainChanged', reloadHandler)
+      window.ethereum.removeListener('disconnect', reloadHandler)
+    }
+  }, [])
+
+  // A new observer reports straight away, so a page that does not fill the
+  // screen keeps loading until it does (or every home is in)
+  useEffect(() => {
+    if (!realEstate || !escrow || isLoading || homes.length >= totalSupply || !sentinel.current) return
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) loadNextPage()
+    })
+
+    observer.observe(sentinel.current)
+    return () => observer.disconnect()
+  }, [realEstate, escrow, isLoading, homes.length, totalSupply, loadNextPage, page])
+
+  // Listing events change what a card shows, so reload those homes (and drop
+  // their cached metadata) as they arrive
+  useEffect(() => {
+    if (!realEstate || !escrow) return
+
+    const listingHandler = async (nftID) => {
+      const id = nftID.toNumber()
+      if (id > homes.length) return
+
+      addHomes(id, [await refreshHome(realEstate, escrowFactory || escrow, id)])
+    }
+
+    return onEscrowEvents(escrowFactory, escrow, LISTING_EVENTS, listingHandler)
+  }, [realEstate, escrow, escrowFactory, homes.length, addHomes])
+
+  // Homes minted from the Sell page extend the supply, so the sentinel loads
+  // them, and edited metadata reloads the home with its new token URI
+  useEffect(() => {
+    if (!realEstate || !escrow) return
+
+    const mintFilter = realEstate.filters.Transfer(ethers.constants.AddressZero)
+    const mintHandler = async () => setTotalSupply((await realEstate.totalSupply()).toNumber())
+
+    const metadataHandler = async (nftID) => {
+      const id = nftID.toNumber()
+      if (id > homes.length) return
+
+      addHomes(id, [await refreshHome(realEstate, escrowFactory || escrow, id)])
+    }
+
+    realEstate.on(mintFilter, mintHandler)
+    realEstate.on('MetadataUpdate', metadataHandler)
+
+    return () => {
+      realEstate.off(mintFilter, mintHandler)
+      realEstate.off('MetadataUpdate', metadataHandler)
+    }
+  }, [realEstate, escrow, escrowFactory, homes.length, addHomes])
+
+  // Pages are addressed by the URL hash, e.g. #/loans
   useEffect(() => {
-    loadBlockchainData()
+    const hashHandler = () => setPage(window.location.hash)
+
+    window.addEventListener('hashchange', hashHandler)
+    return () => window.removeEventListener('hashchange', hashHandler)
   }, [])
 
-  const togglePop = (home) => {
+  // Reflect the current filters in the URL so the view can be shared
+  useEffect(() => {
+    const query = serializeFilters(filters)
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash)
+  }, [filters])
+
+  const results = useMemo(() => filterHomes(homes, filters, listed), [homes, filters, listed])
+
+  // A home opens once we know which escrow holds its sale
+  const togglePop = async (home) => {
+    if (!toggle) {
+      setHomeEscrow(await fetchEscrow(escrowFactory, escrow, home.id))
+      setHomeEscrows(await fetchEscrows(escrowFactory, escrow, home.id))
+    }
+
     setHome(home)
     toggle ? setToggle(false) : setToggle(true);
   }
@@ -63,37 +235,77 @@ function App() {
   return (
     <div>
       <Navigation account={account} setAccount={setAccount} />
-      <Search />
+      <NetworkBanner walletChainId={walletChainId} undeployedChainId={undeployedChainId} error={networkError} />
+      <Toasts />
 
-      <div className='cards__section'>
+      {page === '#/loans' ? (
+        <Loans homes={homes} provider={provider} account={account} mortgage={mortgage} />
+      ) : page === '#/rent' ? (
+        <Rent homes={homes} provider={provider} account={account} realEstate={realEstate} lease={lease} />
+      ) : page === '#/sell' ? (
+        <Sell homes={homes} provider={provider} account={account} realEstate={realEstate} escrow={escrow} escrowFactory={escrowFactory} />
+      ) : page === '#/bulk' ? (
+        <BulkList homes={homes} provider={provider} account={account} realEstate={realEstate} escrow={escrow} escrowFactory={escrowFactory} />
+      ) : (
+        <>
+          <Search filters={filters} setFilters={setFilters} residenceTypes={residenceTypes(homes)} />
 
-        <h3>Homes For You</h3>
+          <div className='cards__section'>
 
-        <hr />
+            <Tasks homes={homes} provider={provider} account={account} escrow={escrow} escrowFactory={escrowFactory} togglePop={togglePop} />
 
-        <div className='cards'>
-          {homes.map((home, index) => (
-            <div className='card' key={index} onClick={() => togglePop(home)}>
-              <div className='card__image'>
-                <img src={home.image} alt="Home" />
-              </div>
-              <div className='card__info'>
-                <h4>{home.attributes[0].value} ETH</h4>
-                <p>
-                  <strong>{home.attributes[2].value}</strong> bds |
-                  <strong>{home.attributes[3].value}</strong> ba |
-                  <strong>{home.attributes[4].value}</strong> sqft
-                </p>
-                <p>{home.address}</p>
-              </div>
+            <h3>Homes For You ({results.length} of {totalSupply})</h3>
+
+            <hr />
+
+            <div className='cards'>
+              {results.map((home) => (
+                <div className='card' key={home.id} onClick={() => togglePop(home)}>
+                  <div className='card__image'>
+                    <img src={resolveURI(home.image)} alt="Home" />
+                  </div>
+                  <div className='card__info'>
+                    {terms[home.id] ? (
+                      <h4>
+                        {terms[home.id].price} <small>{terms[home.id].earnest} earnest</small>
+                        {terms[home.id].differs && (
+                          <span className='card__badge' title='The listing price differs from the property metadata'>
+                            Metadata: {formatAttribute(home, TRAITS.price)}
+                          </span>
+                        )}
+                      </h4>
+                    ) : (
+                      <h4>{formatAttribute(home, TRAITS.price)} {currencies[home.id] || 'ETH'}</h4>
+                    )}
+                    <p>
+                      <strong>{formatAttribute(home, TRAITS.beds)}</strong> bds |
+                      <strong>{formatAttribute(home, TRAITS.baths)}</strong> ba |
+                      <strong>{formatAttribute(home, TRAITS.sqft)}</strong> sqft
+                    </p>
+                    <p>{home.address}</p>
+                    {problems[home.id] && problems[home.id].length > 0 && (
+                      <p className='card__warning' title={problems[home.id].join('\n')}>
+                        Invalid metadata: {problems[home.id][0]}
+                        {problems[home.id].length > 1 && ` (+${problems[home.id].length - 1} more)`}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              ))}
             </div>
-          ))}
-        </div>
 
-      </div>
+            {homes.length < totalSupply && (
+              <div className='cards__more' ref={sentinel}>
+                {isLoading ? 'Loading more homes...' : `${totalSupply - homes.length} more homes`}
+              </div>
+            )}
+
+          </div>
+        </>
+      )}
 
       {toggle && (
-        <Home home={home} provider={provider} account={account} escrow={escrow} togglePop={togglePop} />
+        <Home home={home} provider={provider} account={account} realEstate={realEstate} escrow={homeEscrow} escrows={homeEscrows} mortgage={mortgage} vaultFactory={vaultFactory} togglePop={togglePop} />
       )}
 
     </div>
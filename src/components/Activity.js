@@ -0,0 +1,151 @@
+import { useEffect, useRef, useState } from 'react';
+
+import { formatAmount } from '../utils/tokens';
+
+// Every Escrow event is indexed by nftID first, so each can be filtered per property
+const EVENTS = [
+    'Listed',
+    'EarnestDeposited',
+    'LoanDeposited',
+    'InspectionUpdated',
+    'LegalStatusUpdated',
+    'SaleApproved',
+    'ServiceProvidersAssigned',
+    'ReplacementProposed',
+    'ServiceProviderReplaced',
+    'Appraised',
+    'PriceProposed',
+    'PriceRenegotiated',
+    'TermsUpdated',
+    'DisputeOpened',
+    'EvidenceSubmitted',
+    'DisputeResolved',
+    'SaleCancelled',
+    'SaleExpired',
+    'Reclaimed',
+    'SaleFinalized',
+    'OfferMade',
+    'OfferCountered',
+    'OfferAccepted',
+    'OfferRejected',
+    'OfferWithdrawn',
+]
+
+const CONTINGENCIES = ['Inspection', 'Financing', 'Closing']
+
+const SERVICES = ['inspector', 'lender', 'lawyer', 'appraiser', 'arbitrator']
+
+const shorten = (address) => address.slice(0, 6) + '...' + address.slice(38, 42)
+
+const describeEvent = ({ event, args }, token) => {
+    switch (event) {
+        case 'Listed':
+            return `${shorten(args.seller)} listed for ${formatAmount(args.purchasePrice, token)}`
+        case 'EarnestDeposited':
+            return `${shorten(args.buyer)} deposited ${formatAmount(args.amount, token)} earnest`
+        case 'LoanDeposited':
+            return `${shorten(args.lender)} funded ${formatAmount(args.amount, token)}`
+        case 'InspectionUpdated':
+            return `${shorten(args.inspector)} ${args.passed ? 'passed' : 'failed'} the inspection`
+        case 'LegalStatusUpdated':
+            return `${shorten(args.lawyer)} ${args.passed ? 'passed' : 'failed'} the legal review`
+        case 'SaleApproved':
+            return `${shorten(args.approver)} approved the sale`
+        case 'ServiceProvidersAssigned':
+            return `Inspector ${shorten(args.inspector)}, lender ${shorten(args.lender)}, lawyer ${shorten(args.lawyer)}, appraiser ${shorten(args.appraiser)} and arbitrator ${shorten(args.arbitrator)} assigned`
+        case 'ReplacementProposed':
+            return `${shorten(args.proposer)} proposed ${shorten(args.replacement)} as ${SERVICES[args.service]}`
+        case 'ServiceProviderReplaced':
+            return `${shorten(args.replacement)} replaced ${shorten(args.previous)} as ${SERVICES[args.service]}`
+        case 'Appraised':
+            return `${shorten(args.appraiser)} appraised the property at ${formatAmount(args.value, token)}`
+        case 'PriceProposed':
+            return `${shorten(args.buyer)} proposed ${formatAmount(args.price, token)} after the appraisal`
+        case 'PriceRenegotiated':
+            return `Price changed from ${formatAmount(args.oldPrice, token)} to ${formatAmount(args.newPrice, token)}`
+        case 'TermsUpdated':
+            return `Seller changed the terms to ${formatAmount(args.purchasePrice, token)} with ${formatAmount(args.escrowAmount, token)} earnest`
+        case 'DisputeOpened':
+            return `${shorten(args.openedBy)} opened a dispute`
+        case 'EvidenceSubmitted':
+            return `${shorten(args.party)} submitted evidence ${args.evidenceHash.slice(0, 10)}...`
+        case 'DisputeResolved':
+            return `${shorten(args.arbitrator)} resolved the dispute: ${formatAmount(args.buyerAmount, token)} to the buyer, ${formatAmount(args.sellerAmount, token)} to the seller, property to ${shorten(args.nftRecipient)}`
+        case 'SaleCancelled':
+            return `${shorten(args.cancelledBy)} cancelled the sale`
+        case 'SaleExpired':
+            return `${CONTINGENCIES[args.contingency]} deadline expired, earnest to ${shorten(args.earnestRecipient)}`
+        case 'Reclaimed':
+            return `${shorten(args.seller)} took the property back from escrow`
+        case 'SaleFinalized':
+            return `Sold to ${shorten(args.buyer)} for ${formatAmount(args.salePrice, token)}`
+        case 'OfferMade':
+            return `${shorten(args.buyer)} offered ${formatAmount(args.price, token)}`
+        case 'OfferCountered':
+            return `Seller countered offer #${args.offerID} at ${formatAmount(args.price, token)}`
+        case 'OfferAccepted':
+            return `Offer #${args.offerID} from ${shorten(args.buyer)} accepted at ${formatAmount(args.price, token)}`
+        case 'OfferRejected':
+            return `Offer #${args.offerID} from ${shorten(args.buyer)} rejected`
+        case 'OfferWithdrawn':
+            return `${shorten(args.buyer)} withdrew offer #${args.offerID}`
+        default:
+            return event
+    }
+}
+
+const byPosition = (a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex)
+
+const Activity = ({ escrow, nftID, token, onActivity }) => {
+    const [events, setEvents] = useState([])
+
+    // Keep the latest callback without resubscribing on every render
+    const onActivityRef = useRef(onActivity)
+    onActivityRef.current = onActivity
+
+    useEffect(() => {
+        const filters = EVENTS.map((name) => escrow.filters[name](nftID))
+
+        const loadEvents = async () => {
+            const results = await Promise.all(filters.map((filter) => escrow.queryFilter(filter)))
+            setEvents(results.flat().sort(byPosition))
+        }
+
+        const eventHandler = (...args) => {
+            const event = args[args.length - 1]
+
+            setEvents((events) => {
+                const isKnown = events.some((e) => e.transactionHash === event.transactionHash && e.logIndex === event.logIndex)
+                return isKnown ? events : [...events, event].sort(byPosition)
+            })
+
+            if (onActivityRef.current) onActivityRef.current(event)
+        }
+
+        loadEvents()
+        filters.forEach((filter) => escrow.on(filter, eventHandler))
+
+        return () => {
+            filters.forEach((filter) => escrow.off(filter, eventHandler))
+        }
+    }, [escrow, nftID])
+
+    return (
+        <ol className='activity'>
+            {events.length === 0 && (
+                <li className='activity__empty'>No activity yet</li>
+            )}
+
+            {events.map((event) => (
+                <li className='activity__item' key={`${event.transactionHash}-${event.logIndex}`}>
+                    <p>{describeEvent(event, token)}</p>
+                    <small>
+                        Block #{event.blockNumber} | Tx {event.transactionHash.slice(0, 10) + '...'}
+                    </small>
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+export default Activity;
@@ -0,0 +1,158 @@
+import { ethers } from 'ethers';
+import { useEffect, useState } from 'react';
+
+import ListingTerms from './ListingTerms';
+
+import { defaultTerms, fetchTermDefaults, termsToArgs, validateListing } from '../utils/listing';
+import { TRAITS, getAttribute } from '../utils/metadata';
+import { ETH, parseAmount } from '../utils/tokens';
+import { transact } from '../utils/transactions';
+
+const BulkList = ({ homes, provider, account, realEstate, escrow, escrowFactory }) => {
+    const [owned, setOwned] = useState([])
+    const [rows, setRows] = useState({})
+    const [tokens, setTokens] = useState([ETH])
+    const [terms, setTerms] = useState(defaultTerms)
+    const [pending, setPending] = useState(false)
+
+    // Field errors of the selected rows, by token ID
+    const [errors, setErrors] = useState({})
+
+    const loadOwned = async () => {
+        // Default to the service providers and payment token of this deployment
+        const { tokens, providers } = await fetchTermDefaults(provider)
+        setTokens(tokens)
+        setTerms((terms) => ({ ...terms, providers }))
+
+        const owners = await Promise.all(homes.map((home) => realEstate.ownerOf(home.id)))
+        const owned = homes.filter((_, index) => owners[index] === account)
+        setOwned(owned)
+
+        // Suggest the metadata price with a 20% earnest, left blank when it has none
+        setRows(Object.fromEntries(owned.map((home) => {
+            const price = getAttribute(home, TRAITS.price)
+
+            return [home.id, {
+                selected: true,
+                buyer: '',
+                price: price === null ? '' : String(price),
+                earnest: price === null ? '' : String(Math.round(price * 20) / 100),
+            }]
+        })))
+    }
+
+    const updateRow = (nftID, field, value) => {
+        setRows((rows) => ({ ...rows, [nftID]: { ...rows[nftID], [field]: value } }))
+    }
+
+    const listHandler = async (e) => {
+        e.preventDefault()
+
+        const token = tokens.find((token) => token.address === terms.tokenAddress)
+        const selected = owned.filter((home) => rows[home.id].selected)
+
+        const errors = Object.fromEntries(selected
+            .map((home) => [home.id, validateListing(rows[home.id], token, terms)])
+            .filter(([, rowErrors]) => Object.keys(rowErrors).length > 0))
+        setErrors(errors)
+        if (Object.keys(errors).length > 0) return
+
+        const signer = await provider.getSigner()
+
+        // A blank buyer lists the property on the open market
+        const listings = selected
+            .map((home) => [
+                home.id,
+                rows[home.id].buyer ? ethers.utils.getAddress(rows[home.id].buyer) : ethers.constants.AddressZero,
+                parseAmount(rows[home.id].price, token),
+                parseAmount(rows[home.id].earnest, token),
+            ])
+
+        // The factory lists each property in an escrow of its own
+        const lister = escrowFactory || escrow
+
+        setPending(true)
+
+        try {
+            // One approval covers every property...
+            if (!(await realEstate.isApprovedForAll(account, lister.address))) {
+                if (!await transact('Approve escrow', realEstate.connect(signer), 'setApprovalForAll', [lister.address, true])) return
+            }
+
+            // ...and one transaction lists them all
+            await transact(`List ${listings.length} properties`, lister.connect(signer), escrowFactory ? 'createEscrows' : 'batchList', [listings, ...termsToArgs(terms)])
+        } finally {
+            setPending(false)
+            loadOwned()
+        }
+    }
+
+    useEffect(() => {
+        if (realEstate && account) loadOwned()
+        else setOwned([])
+    }, [realEstate, account, homes])
+
+    const selectedCount = owned.filter((home) => rows[home.id] && rows[home.id].selected).length
+
+    return (
+        <div className='cards__section'>
+            <h3>Bulk list</h3>
+
+            <hr />
+
+            {!account ? (
+                <p className='bulk__empty'>Connect your wallet to list your properties</p>
+            ) : owned.length === 0 ? (
+                <p className='bulk__empty'>You have no unlisted properties</p>
+            ) : (
+                <form className='bulk' onSubmit={listHandler}>
+                    <table className='bulk__table'>
+                        <thead>
+                            <tr>
+                                <th></th>
+                                <th>Property</th>
+                                <th>Price</th>
+                                <th>Earnest</th>
+                                <th>Buyer (blank for open market)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {owned.map((home) => rows[home.id] && (
+                                <tr key={home.id}>
+                                    <td>
+                                        <input type="checkbox" checked={rows[home.id].selected} onChange={(e) => updateRow(home.id, 'selected', e.target.checked)} />
+                                    </td>
+                                    <td>
+                                        <strong>{home.name}</strong>
+                                        <p>{home.address}</p>
+                                    </td>
+                                    <td>
+                                        <input type="number" step="any" min="0" value={rows[home.id].price} onChange={(e) => updateRow(home.id, 'price', e.target.value)} required={rows[home.id].selected} />
+                                        {errors[home.id] && errors[home.id].price && <span className='sell__error'>{errors[home.id].price}</span>}
+                                    </td>
+                                    <td>
+                                        <input type="number" step="any" min="0" value={rows[home.id].earnest} onChange={(e) => updateRow(home.id, 'earnest', e.target.value)} required={rows[home.id].selected} />
+                                        {errors[home.id] && errors[home.id].earnest && <span className='sell__error'>{errors[home.id].earnest}</span>}
+                                    </td>
+                                    <td>
+                                        <input type="text" placeholder="0x..." value={rows[home.id].buyer} onChange={(e) => updateRow(home.id, 'buyer', e.target.value)} />
+                                        {errors[home.id] && errors[home.id].buyer && <span className='sell__error'>{errors[home.id].buyer}</span>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    {/* Every row shares the terms, and so their errors */}
+                    <ListingTerms tokens={tokens} terms={terms} setTerms={setTerms} errors={Object.assign({}, ...Object.values(errors))} />
+
+                    <button type="submit" className='home__buy' disabled={pending || selectedCount === 0}>
+                        {pending ? 'Pending...' : `List ${selectedCount} ${selectedCount === 1 ? 'property' : 'properties'}`}
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default BulkList;
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+
+const formatRemaining = (seconds) => {
+    const d = Math.floor(seconds / 86400)
+    const h = Math.floor((seconds % 86400) / 3600)
+    const m = Math.floor((seconds % 3600) / 60)
+    const s = seconds % 60
+
+    return `${d}d ${h}h ${m}m ${s}s`
+}
+
+const Countdown = ({ label, deadline }) => {
+    const [now, setNow] = useState(Math.floor(Date.now() / 1000))
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000)
+        return () => clearInterval(timer)
+    }, [])
+
+    const remaining = deadline - now
+
+    return (
+        <li className={remaining > 0 ? 'countdown' : 'countdown countdown--expired'}>
+            <strong>{label}</strong> : {remaining > 0 ? formatRemaining(remaining) : 'Expired'}
+        </li>
+    );
+}
+
+export default Countdown;
@@ -0,0 +1,105 @@
+import { ethers } from 'ethers';
+import { useEffect, useState } from 'react';
+
+import { transact, useIsPending } from '../utils/transactions';
+
+const shorten = (address) => address.slice(0, 6) + '...' + address.slice(38, 42)
+
+const Dispute = ({ nftID, provider, account, escrow, buyer, seller, arbitrator, disputed }) => {
+    const [evidence, setEvidence] = useState([])
+    const [file, setFile] = useState(null)
+    const [buyerShare, setBuyerShare] = useState('50')
+    const [nftToBuyer, setNftToBuyer] = useState(false)
+
+    const isParty = account && (account === buyer || account === seller)
+    const isPending = useIsPending()
+
+    // Resolves to the receipt, or null when the transaction did not go through
+    const send = async (description, method, args) => {
+        const signer = await provider.getSigner()
+        return transact(description, escrow.connect(signer), method, args)
+    }
+
+    // Only the hash goes on-chain, the file itself is shared with the arbitrator off-chain
+    const fetchEvidence = async () => {
+        const events = await escrow.queryFilter(escrow.filters.EvidenceSubmitted(nftID))
+        setEvidence(events.map(({ args, transactionHash, logIndex }) => ({ party: args.party, hash: args.evidenceHash, transactionHash, logIndex })))
+    }
+
+    const openHandler = async () => {
+        await send('Open dispute', 'openDispute', [nftID])
+    }
+
+    const evidenceHandler = async (e) => {
+        e.preventDefault()
+
+        const bytes = new Uint8Array(await file.arrayBuffer())
+        if (!await send('Submit evidence', 'submitEvidence', [nftID, ethers.utils.keccak256(bytes)])) return
+
+        setFile(null)
+        e.target.reset()
+        fetchEvidence()
+    }
+
+    const resolveHandler = async (e) => {
+        e.preventDefault()
+
+        // Share of the earnest the buyer gets back, in basis points
+        const buyerShareBps = Math.round(Number(buyerShare) * 100)
+        await send('Resolve dispute', 'resolveDispute', [nftID, buyerShareBps, nftToBuyer])
+    }
+
+    useEffect(() => {
+        fetchEvidence()
+    }, [disputed])
+
+    if (!disputed) {
+        return isParty && (
+            <button className='home__contact' onClick={openHandler} disabled={isPending}>
+                Open dispute
+            </button>
+        )
+    }
+
+    return (
+        <div className='dispute'>
+            <p className='dispute__status'>
+                This sale is frozen until {shorten(arbitrator)} resolves the dispute.
+            </p>
+
+            <ul>
+                {evidence.length === 0 && (
+                    <li className='dispute__empty'>No evidence submitted yet</li>
+                )}
+
+                {/* One multicall can submit several pieces of evidence */}
+                {evidence.map(({ party, hash, transactionHash, logIndex }) => (
+                    <li key={`${transactionHash}-${logIndex}`}>
+                        <strong>{party === buyer ? 'Buyer' : 'Seller'}</strong> : {hash.slice(0, 18) + '...'}
+                    </li>
+                ))}
+            </ul>
+
+            {isParty && (
+                <form className='dispute__form' onSubmit={evidenceHandler}>
+                    <input type="file" onChange={(e) => setFile(e.target.files[0])} required />
+                    <button type="submit" className='home__contact' disabled={!file || isPending}>Submit evidence</button>
+                </form>
+            )}
+
+            {account === arbitrator && (
+                <form className='dispute__form' onSubmit={resolveHandler}>
+                    <input type="number" step="0.01" min="0" max="100" value={buyerShare} onChange={(e) => setBuyerShare(e.target.value)} required />
+                    <span>% of earnest to buyer, property to</span>
+                    <select value={nftToBuyer ? 'buyer' : 'seller'} onChange={(e) => setNftToBuyer(e.target.value === 'buyer')}>
+                        <option value='seller'>Seller</option>
+                        <option value='buyer'>Buyer</option>
+                    </select>
+                    <button type="submit" className='home__buy' disabled={isPending}>Resolve</button>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default Dispute;
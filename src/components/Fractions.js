@@ -0,0 +1,333 @@
+import { useEffect, useState } from 'react';
+
+import Countdown from './Countdown';
+
+import { fetchVault, fetchVaultDetails, fetchVaultEscrowFactory } from '../utils/fractions';
+import { defaultTerms, fetchTermDefaults, termsToArgs } from '../utils/listing';
+import { ETH, amountError, formatAmount, parseAmount, preparePayment } from '../utils/tokens';
+import { transact } from '../utils/transactions';
+
+const DAY = 24 * 60 * 60
+
+const shorten = (address) => address.slice(0, 6) + '...' + address.slice(38, 42)
+
+// Shares and days are whole numbers on-chain, and BigNumber throws on anything else
+const isWhole = (value) => /^\d+$/.test(String(value).trim())
+
+const Fractions = ({ nftID, provider, account, realEstate, vaultFactory, owner, onChange }) => {
+    const [vault, setVault] = useState(null)
+    const [details, setDetails] = useState(null)
+
+    const [tokens, setTokens] = useState([ETH])
+    const [providers, setProviders] = useState({})
+    const [terms, setTerms] = useState({ tokenAddress: ETH.address, shares: '100', sharesForSale: '50', price: '', days: '14' })
+    const [sharesInput, setSharesInput] = useState('')
+    const [buyoutInput, setBuyoutInput] = useState('')
+
+    // Why the last form was refused before anything was sent
+    const [error, setError] = useState(null)
+
+    const fetchDetails = async () => {
+        const vault = await fetchVault(vaultFactory, nftID)
+        setVault(vault)
+        setDetails(vault && await fetchVaultDetails(vault, account))
+
+        if (account === owner) {
+            const { tokens, providers } = await fetchTermDefaults(provider)
+            setTokens(tokens)
+            setProviders(providers)
+        }
+    }
+
+    const send = async (description, method, args = []) => {
+        const signer = await provider.getSigner()
+        const receipt = await transact(description, vault.connect(signer), method, args)
+
+        if (receipt) {
+            fetchDetails()
+            onChange()
+        }
+
+        return receipt
+    }
+
+    // The vault buys the shares on offer from the owner as the buyer in an
+    // escrow listing, whose contingencies run past the end of the offering
+    const listForVault = async (vaultAddress, price, tokenAddress, offeringDays) => {
+        const signer = await provider.getSigner()
+        const escrowFactory = await fetchVaultEscrowFactory(vaultFactory)
+        const { periods } = defaultTerms()
+
+        const listingTerms = {
+            tokenAddress,
+            periods: {
+                inspection: offeringDays + Number(periods.inspection),
+                financing: offeringDays + Number(periods.financing),
+                closing: offeringDays + Number(periods.closing),
+            },
+            providers,
+        }
+
+        if (!await transact('Approve escrow factory', realEstate.connect(signer), 'approve', [escrowFactory.address, nftID])) return null
+
+        return transact('List for the vault', escrowFactory.connect(signer), 'createEscrow', [
+            { nftID, buyer: vaultAddress, purchasePrice: price, escrowAmount: price },
+            ...termsToArgs(listingTerms),
+        ])
+    }
+
+    const fractionalizeHandler = async (e) => {
+        e.preventDefault()
+
+        const token = tokens.find((token) => token.address === terms.tokenAddress)
+        const sharesForSale = Number(terms.sharesForSale)
+
+        const priceError = sharesForSale > 0 ? amountError(terms.price, token) : null
+        const countError = ![terms.shares, terms.sharesForSale, terms.days].every(isWhole) && 'Shares and days must be whole numbers'
+        setError(countError || (priceError && `Price per share: ${priceError}`))
+        if (countError || priceError) return
+
+        const signer = await provider.getSigner()
+        const pricePerShare = parseAmount(terms.price || '0', token)
+
+        // With no shares on offer, the factory moves the property straight into a new vault...
+        if (sharesForSale === 0 && !await transact('Approve vault factory', realEstate.connect(signer), 'approve', [vaultFactory.address, nftID])) return
+
+        const receipt = await transact('Fractionalize', vaultFactory.connect(signer), 'fractionalize', [nftID, {
+            paymentToken: token.address,
+            shares: Number(terms.shares),
+            sharesForSale,
+            pricePerShare,
+            offeringPeriod: Number(terms.days) * DAY,
+        }])
+
+        // ...otherwise the owner lists it for the vault to buy once the shares sell
+        if (receipt && sharesForSale > 0) {
+            await listForVault(await vaultFactory.vaults(nftID), pricePerShare.mul(sharesForSale), token.address, Number(terms.days))
+        }
+
+        fetchDetails()
+        onChange()
+    }
+
+    const relistHandler = async () => {
+        const offeringDays = Math.ceil((details.offeringDeadline - Date.now() / 1000) / DAY)
+        const price = details.pricePerShare.mul(details.sharesForSale)
+
+        if (await listForVault(details.address, price, details.token.address, offeringDays)) {
+            fetchDetails()
+            onChange()
+        }
+    }
+
+    const buyHandler = async (e) => {
+        e.preventDefault()
+
+        const sharesError = !(isWhole(sharesInput) && Number(sharesInput) > 0) && 'Shares: Whole shares only'
+        setError(sharesError || null)
+        if (sharesError) return
+
+        const signer = await provider.getSigner()
+        const cost = details.pricePerShare.mul(sharesInput)
+        const overrides = await preparePayment(details.token, cost, signer, vault.address)
+        if (!overrides) return
+
+        if (await send('Buy shares', 'buyShares', [sharesInput, overrides])) setSharesInput('')
+    }
+
+    const proposeHandler = async (e) => {
+        e.preventDefault()
+
+        const priceError = amountError(buyoutInput, details.token)
+        setError(priceError && `Price: ${priceError}`)
+        if (priceError) return
+
+        const signer = await provider.getSigner()
+        const price = parseAmount(buyoutInput, details.token)
+        const overrides = await preparePayment(details.token, price, signer, vault.address)
+        if (!overrides) return
+
+        if (await send('Propose buyout', 'proposeBuyout', [price, overrides])) setBuyoutInput('')
+    }
+
+    useEffect(() => {
+        fetchDetails()
+    }, [account, owner])
+
+    // Not fractionalized (or bought out since): only the owner can lock it in a
+    // vault, and former holders can still withdraw what the buyout paid them
+    if (!details || details.released) {
+        const proceeds = details && details.stake ? details.stake.proceeds : null
+
+        return proceeds && proceeds.gt(0) ? (
+            <button className='home__buy' onClick={() => send('Withdraw proceeds', 'withdrawProceeds')}>
+                Withdraw {formatAmount(proceeds, details.token)}
+            </button>
+        ) : account && account === owner ? (
+            <form className='fractions__form' onSubmit={fractionalizeHandler}>
+                <label>
+                    Shares
+                    <input type="number" min="1" step="1" value={terms.shares} onChange={(e) => setTerms({ ...terms, shares: e.target.value })} required />
+                </label>
+                <label>
+                    On offer
+                    <input type="number" min="0" step="1" max={terms.shares} value={terms.sharesForSale} onChange={(e) => setTerms({ ...terms, sharesForSale: e.target.value })} required />
+                </label>
+                <label>
+                    Price per share
+                    <input type="number" min="0" step="any" value={terms.price} onChange={(e) => setTerms({ ...terms, price: e.target.value })} required />
+                </label>
+                <label>
+                    Paid in
+                    <select value={terms.tokenAddress} onChange={(e) => setTerms({ ...terms, tokenAddress: e.target.value })}>
+                        {tokens.map((token) => (
+                            <option key={token.address} value={token.address}>{token.symbol}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Offering (days)
+                    <input type="number" min="0" value={terms.days} onChange={(e) => setTerms({ ...terms, days: e.target.value })} required />
+                </label>
+                <button type="submit" className='home__buy'>Fractionalize</button>
+                {error && <p className='sell__error'>{error}</p>}
+            </form>
+        ) : (
+            <p className='fractions__empty'>This property is owned whole</p>
+        )
+    }
+
+    const { token, stake, buyout } = details
+    const isHolder = stake && stake.shares > 0
+
+    return (
+        <div className='fractions'>
+            <p>
+                <strong>{details.totalShares}</strong> shares at <strong>{formatAmount(details.pricePerShare, token)}</strong> each,
+                held in vault {shorten(details.address)}
+            </p>
+
+            {details.sharesForSale > 0 && (
+                <p className='fractions__offering'>
+                    {details.sharesSold} of {details.sharesForSale} shares on offer sold
+                    {details.isOfferingFailed && ' - offering failed'}
+                </p>
+            )}
+
+            {details.isOfferingOpen && account === details.curator && owner === account && (
+                <button className='home__contact' onClick={relistHandler}>
+                    List for the vault
+                </button>
+            )}
+
+            {details.escrow && !details.offeringClosed && !details.isOfferingFailed && (
+                <p className='fractions__empty'>
+                    Every share on offer is sold. The vault is buying the property through
+                    escrow {shorten(details.escrow)} and holds it once the sale closes.
+                </p>
+            )}
+
+            {!details.offeringClosed && owner === details.address && (
+                <button className='home__buy' onClick={() => send('Close offering', 'closeOffering')}>
+                    Close offering
+                </button>
+            )}
+
+            {details.isOfferingOpen && (
+                <>
+                    <ul>
+                        <Countdown label='Offering' deadline={details.offeringDeadline} />
+                    </ul>
+
+                    {account && (
+                        <form className='fractions__form' onSubmit={buyHandler}>
+                            <input type="number" min="1" step="1" max={details.sharesForSale - details.sharesSold} placeholder="Shares" value={sharesInput} onChange={(e) => setSharesInput(e.target.value)} required />
+                            {isWhole(sharesInput) && sharesInput > 0 && <span>{formatAmount(details.pricePerShare.mul(sharesInput), token)}</span>}
+                            <button type="submit" className='home__buy'>Buy shares</button>
+                        </form>
+                    )}
+                </>
+            )}
+
+            {details.isOfferingFailed && stake && stake.purchased > 0 && (
+                <button className='home__contact' onClick={() => send('Refund shares', 'refund', [account])}>
+                    Refund {stake.purchased} shares
+                </button>
+            )}
+
+            {stake && stake.proceeds.gt(0) && (
+                <button className='home__buy' onClick={() => send('Withdraw proceeds', 'withdrawProceeds')}>
+                    Withdraw {formatAmount(stake.proceeds, token)}
+                </button>
+            )}
+
+            <table className='fractions__holders'>
+                <thead>
+                    <tr>
+                        <th>Holder</th>
+                        <th>Shares</th>
+                        <th>Stake</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {details.holders.map(({ address, shares }) => (
+                        <tr key={address}>
+                            <td>{address === account ? 'You' : shorten(address)}</td>
+                            <td>{shares}</td>
+                            <td>{(shares / details.totalShares * 100).toFixed(1)}%</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <h3>Buyout</h3>
+
+            {buyout ? (
+                <div className='fractions__buyout'>
+                    <p>
+                        {buyout.proposer === account ? 'You offered' : `${shorten(buyout.proposer)} offers`} {formatAmount(buyout.price, token)} for
+                        the whole property: {buyout.votesFor} shares for, {buyout.votesAgainst} against
+                    </p>
+
+                    <ul>
+                        <Countdown label='Vote' deadline={buyout.deadline} />
+                    </ul>
+
+                    {isHolder && !stake.hasVoted && !buyout.isApproved && !buyout.isRejected && (
+                        <>
+                            <button className='home__buy' onClick={() => send('Vote for buyout', 'vote', [true])}>Vote for</button>
+                            <button className='home__contact' onClick={() => send('Vote against buyout', 'vote', [false])}>Vote against</button>
+                        </>
+                    )}
+
+                    {buyout.isApproved && (
+                        <button className='home__buy' onClick={() => send('Complete buyout', 'executeBuyout')}>Complete buyout</button>
+                    )}
+
+                    {buyout.proposer === account && !buyout.isApproved && (buyout.isRejected || Date.now() / 1000 > buyout.deadline) && (
+                        <button className='home__contact' onClick={() => send('Withdraw buyout', 'withdrawBuyout')}>Withdraw offer</button>
+                    )}
+                </div>
+            ) : (details.offeringClosed && account) ? (
+                <form className='fractions__form' onSubmit={proposeHandler}>
+                    <input type="number" min="0" step="any" placeholder="Price" value={buyoutInput} onChange={(e) => setBuyoutInput(e.target.value)} required />
+                    <span>{token.symbol}</span>
+                    <button type="submit" className='home__buy'>Propose buyout</button>
+                </form>
+            ) : (
+                <p className='fractions__empty'>A buyout can be proposed once the offering closes</p>
+            )}
+
+            {error && <p className='sell__error'>{error}</p>}
+
+            {/* Whoever holds every share */}
+            {details.offeringClosed && !buyout && isHolder && stake.shares === details.supply && (
+                <button className='home__contact' onClick={() => send('Redeem property', 'redeem')}>
+                    Redeem the property
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default Fractions;
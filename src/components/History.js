@@ -0,0 +1,111 @@
+import { ethers } from 'ethers';
+import { useEffect, useState } from 'react';
+
+import { fetchHistory } from '../utils/history';
+import { formatAmount } from '../utils/tokens';
+
+const WIDTH = 400
+const HEIGHT = 150
+const PADDING = 20
+
+const HOW = { minted: 'Minted', sale: 'Bought', transfer: 'Transferred' }
+
+const shorten = (address) => address.slice(0, 6) + '...' + address.slice(38, 42)
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString()
+
+// Several changes of hands can share a block, and so a timestamp
+const entryKey = (entry) => `${entry.transactionHash}-${entry.logIndex}`
+
+// Sale prices over time, in the currency of the latest sale (older sales in
+// another currency are left off the chart but stay in the table)
+const PriceChart = ({ sales }) => {
+    const token = sales[sales.length - 1].token
+    const points = sales
+        .filter((sale) => sale.token.address === token.address)
+        .map((sale) => ({ key: entryKey(sale), time: sale.acquiredAt, price: Number(ethers.utils.formatUnits(sale.price, token.decimals)) }))
+
+    const minTime = points[0].time
+    const spanTime = (points[points.length - 1].time - minTime) || 1
+    const maxPrice = Math.max(...points.map((point) => point.price)) || 1
+
+    const x = (time) => points.length === 1 ? WIDTH / 2 : PADDING + (time - minTime) / spanTime * (WIDTH - 2 * PADDING)
+    const y = (price) => HEIGHT - PADDING - price / maxPrice * (HEIGHT - 2 * PADDING)
+
+    return (
+        <svg className='history__chart' viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role='img' aria-label='Sale price history'>
+            <line className='history__axis' x1={PADDING} y1={HEIGHT - PADDING} x2={WIDTH - PADDING} y2={HEIGHT - PADDING} />
+
+            <polyline
+                className='history__line'
+                points={points.map((point) => `${x(point.time)},${y(point.price)}`).join(' ')}
+            />
+
+            {points.map((point) => (
+                <g key={point.key}>
+                    <circle className='history__point' cx={x(point.time)} cy={y(point.price)} r='4' />
+                    <text className='history__label' x={x(point.time)} y={y(point.price) - 8} textAnchor='middle'>
+                        {point.price} {token.symbol}
+                    </text>
+                </g>
+            ))}
+
+            <text className='history__label' x={PADDING} y={HEIGHT - 5}>{formatDate(minTime)}</text>
+            {points.length > 1 && (
+                <text className='history__label' x={WIDTH - PADDING} y={HEIGHT - 5} textAnchor='end'>
+                    {formatDate(points[points.length - 1].time)}
+                </text>
+            )}
+        </svg>
+    )
+}
+
+const History = ({ realEstate, escrows, mortgage, nftID, refresh }) => {
+    const [history, setHistory] = useState(null)
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        setError(null)
+        fetchHistory(realEstate, escrows, mortgage, nftID).then(setHistory).catch(setError)
+    }, [realEstate, escrows, mortgage, nftID, refresh])
+
+    if (error) return <p className='history__empty'>History could not be loaded: {error.message}</p>
+    if (!history) return <p className='history__empty'>Loading history...</p>
+
+    const sales = history.filter((entry) => entry.how === 'sale')
+
+    return (
+        <div className='history'>
+            {sales.length > 0 ? (
+                <PriceChart sales={sales} />
+            ) : (
+                <p className='history__empty'>Not sold on-chain yet</p>
+            )}
+
+            <table className='history__table'>
+                <thead>
+                    <tr>
+                        <th>Owner</th>
+                        <th>Since</th>
+                        <th></th>
+                        <th>Price</th>
+                        <th>Escrow</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {[...history].reverse().map((entry) => (
+                        <tr key={entryKey(entry)}>
+                            <td>{shorten(entry.owner)}</td>
+                            <td>{formatDate(entry.acquiredAt)}</td>
+                            <td>{HOW[entry.how]}</td>
+                            <td>{entry.price ? formatAmount(entry.price, entry.token) : '-'}</td>
+                            <td>{entry.escrow ? shorten(entry.escrow) : '-'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default History;
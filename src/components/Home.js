@@ -1,22 +1,97 @@
 import { ethers } from 'ethers';
 import { useEffect, useState } from 'react';
 
+import Activity from './Activity';
+import Countdown from './Countdown';
+import Dispute from './Dispute';
+import Fractions from './Fractions';
+import History from './History';
+import Offers from './Offers';
+import Providers from './Providers';
+import Relist from './Relist';
+
+import { fetchOwner } from '../utils/history';
+import { DEFAULT_LOAN, awaitsLoanTerms, termsArgs } from '../utils/loans';
+import { TRAITS, formatAttribute, priceDiffers } from '../utils/metadata';
+import { ETH, amountError, fetchPaymentToken, formatAmount, parseAmount, preparePayment } from '../utils/tokens';
+import { transact, useIsPending } from '../utils/transactions';
+import { resolveURI } from '../utils/uri';
+
 import close from '../assets/close.svg';
 
-const Home = ({ home, provider, account, escrow, togglePop }) => {
+// escrow is where this home's sale lives (null if it was never listed), escrows
+// every one it was sold through
+const Home = ({ home, provider, account, realEstate, escrow, escrows, mortgage, vaultFactory, togglePop }) => {
     const [hasBought, setHasBought] = useState(false)
     const [hasLended, setHasLended] = useState(false)
     const [hasInspected, setHasInspected] = useState(false)
+    const [hasLegal, setHasLegal] = useState(false)
     const [hasSold, setHasSold] = useState(false)
 
     const [buyer, setBuyer] = useState(null)
     const [lender, setLender] = useState(null)
     const [inspector, setInspector] = useState(null)
     const [seller, setSeller] = useState(null)
+    const [lawyer, setLawyer] = useState(null)
+    const [appraiser, setAppraiser] = useState(null)
+    const [arbitrator, setArbitrator] = useState(null)
 
     const [owner, setOwner] = useState(null)
+    const [isCollateral, setIsCollateral] = useState(false)
+    const [hasVault, setHasVault] = useState(false)
+    const [activityCount, setActivityCount] = useState(0)
+
+    const [token, setToken] = useState(ETH)
+
+    const [isListed, setIsListed] = useState(false)
+    const [purchasePrice, setPurchasePrice] = useState(ethers.constants.Zero)
+    const [escrowAmount, setEscrowAmount] = useState(ethers.constants.Zero)
+    const [hasDeposits, setHasDeposits] = useState(false)
+    const [termsInput, setTermsInput] = useState({ price: '', earnest: '' })
+
+    const [loanRate, setLoanRate] = useState(DEFAULT_LOAN.rate)
+    const [loanYears, setLoanYears] = useState(DEFAULT_LOAN.years)
+
+    // The buyer approves once their earnest is in and, when the price needs a
+    // loan, once the lender has proposed its terms
+    const [hasEarnest, setHasEarnest] = useState(false)
+    const [awaitingTerms, setAwaitingTerms] = useState(false)
+
+    const [appraisedValue, setAppraisedValue] = useState(ethers.constants.Zero)
+    const [isAppraisalLow, setIsAppraisalLow] = useState(false)
+    const [proposedPrice, setProposedPrice] = useState(ethers.constants.Zero)
+    const [appraisalInput, setAppraisalInput] = useState('')
+    const [priceInput, setPriceInput] = useState('')
+
+    // Why the amount typed for the last action was refused before sending
+    const [inputError, setInputError] = useState(null)
+
+    const [isOpen, setIsOpen] = useState(false)
+    const [offers, setOffers] = useState([])
+
+    const [disputed, setDisputed] = useState(false)
+
+    const [deadlines, setDeadlines] = useState(null)
+    const [canExpire, setCanExpire] = useState(false)
+
+    // Actions stay disabled while one of them is being checked or mined
+    const isPending = useIsPending()
 
     const fetchDetails = async () => {
+        if (!escrow) return
+
+        // -- Payment token (ETH or the ERC-20 the listing is priced in)
+
+        setToken(await fetchPaymentToken(escrow, home.id))
+
+        // -- Terms (binding, unlike the price in the metadata; the seller can
+        //    change them until the buyer or lender deposits)
+
+        setIsListed(await escrow.isListed(home.id))
+        setPurchasePrice(await escrow.purchasePrice(home.id))
+        setEscrowAmount(await escrow.escrowAmount(home.id))
+        setHasDeposits((await escrow.getListingBalance(home.id)).gt(0))
+
         // -- Buyer
 
         const buyer = await escrow.buyer(home.id)
@@ -25,9 +100,17 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
         const hasBought = await escrow.approval(home.id, buyer)
         setHasBought(hasBought)
 
+        setHasEarnest((await escrow.earnestDeposited(home.id)).gt(0))
+        setAwaitingTerms(await awaitsLoanTerms(escrow, home.id))
+
+        // -- Offers (open listings have no buyer until an offer is accepted)
+
+        setIsOpen(await escrow.isOpen(home.id))
+        setOffers(await escrow.getOffers(home.id))
+
         // -- Seller
 
-        const seller = await escrow.seller()
+        const seller = await escrow.seller(home.id)
         setSeller(seller)
 
         const hasSold = await escrow.approval(home.id, seller)
@@ -35,7 +118,7 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
 
         // -- Lender
 
-        const lender = await escrow.lender()
+        const lender = await escrow.lender(home.id)
         setLender(lender)
 
         const hasLended = await escrow.approval(home.id, lender)
@@ -43,125 +126,498 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
 
         // -- Inspector
 
-        const inspector = await escrow.inspector()
+        const inspector = await escrow.inspector(home.id)
         setInspector(inspector)
 
         const hasInspected = await escrow.inspectionPassed(home.id)
         setHasInspected(hasInspected)
+
+        // -- Lawyer
+
+        const lawyer = await escrow.lawyer(home.id)
+        setLawyer(lawyer)
+
+        const hasLegal = await escrow.legalPassed(home.id)
+        setHasLegal(hasLegal)
+
+        // -- Appraiser
+
+        const appraiser = await escrow.appraiser(home.id)
+        setAppraiser(appraiser)
+
+        setAppraisedValue(await escrow.appraisedValue(home.id))
+        setIsAppraisalLow(await escrow.isAppraisalLow(home.id))
+        setProposedPrice(await escrow.proposedPrice(home.id))
+
+        // -- Arbitrator (a dispute freezes the listing until they resolve it)
+
+        setArbitrator(await escrow.arbitrator(home.id))
+        setDisputed(await escrow.disputed(home.id))
+
+        // -- Deadlines
+
+        const inspection = (await escrow.inspectionDeadline(home.id)).toNumber()
+        const financing = (await escrow.financingDeadline(home.id)).toNumber()
+        const closing = (await escrow.closingDeadline(home.id)).toNumber()
+        setDeadlines({ inspection, financing, closing })
+
+        const now = Math.floor(Date.now() / 1000)
+        setCanExpire(
+            (await escrow.isListed(home.id)) && !(await escrow.disputed(home.id)) && (
+                (now > inspection && !hasInspected) ||
+                (now > financing && !(await escrow.isFinanced(home.id))) ||
+                now > closing
+            )
+        )
     }
 
-    const fetchOwner = async () => {
-        if (await escrow.isListed(home.id)) return
+    const loadOwner = async () => {
+        // A vault buying the shares on offer is the buyer in the escrow listing
+        if (vaultFactory) setHasVault((await vaultFactory.vaults(home.id)) !== ethers.constants.AddressZero)
 
-        const owner = await escrow.buyer(home.id)
+        if (escrow && await escrow.isListed(home.id)) {
+            setOwner(null)
+            return
+        }
+
+        // A mortgaged home is held by Mortgage, but belongs to the borrower
+        const { owner, isCollateral } = await fetchOwner(realEstate, mortgage, home.id)
         setOwner(owner)
+        setIsCollateral(isCollateral)
     }
 
+    // Every handler sends through the transaction manager, which checks each
+    // call first and reports progress and failures; a null receipt means the
+    // step did not go through, so the rest of the flow is skipped
     const buyHandler = async () => {
         const escrowAmount = await escrow.escrowAmount(home.id)
         const signer = await provider.getSigner()
 
-        // Buyer deposit earnest
-        let transaction = await escrow.connect(signer).depositEarnest(home.id, { value: escrowAmount })
-        await transaction.wait()
+        // Buyer deposit earnest (approving the token first if needed), unless
+        // they came back to approve after waiting for the loan terms
+        if ((await escrow.earnestDeposited(home.id)).eq(0)) {
+            const overrides = await preparePayment(token, escrowAmount, signer, escrow.address)
+            if (!overrides) return
+
+            if (!await transact('Deposit earnest', escrow.connect(signer), 'depositEarnest', [home.id, escrowAmount, overrides])) return
+
+            setHasEarnest(true)
+        }
+
+        // Approving accepts the lender's loan terms, so they have to be in first...
+        if (await awaitsLoanTerms(escrow, home.id)) {
+            setAwaitingTerms(true)
+            return
+        }
 
         // Buyer approves...
-        transaction = await escrow.connect(signer).approveSale(home.id)
-        await transaction.wait()
+        if (!await transact('Approve sale', escrow.connect(signer), 'approveSale', [home.id])) return
 
         setHasBought(true)
     }
 
-    const inspectHandler = async () => {
+    const inspectHandler = async (passed) => {
         const signer = await provider.getSigner()
 
         // Inspector updates status
-        const transaction = await escrow.connect(signer).updateInspectionStatus(home.id, true)
-        await transaction.wait()
+        const description = passed ? 'Pass inspection' : 'Fail inspection'
+        if (!await transact(description, escrow.connect(signer), 'updateInspectionStatus', [home.id, passed])) return
 
-        setHasInspected(true)
+        setHasInspected(passed)
+    }
+
+    const legalHandler = async (passed) => {
+        const signer = await provider.getSigner()
+
+        // Lawyer updates status
+        const description = passed ? 'Pass legal review' : 'Fail legal review'
+        if (!await transact(description, escrow.connect(signer), 'updateLegalStatus', [home.id, passed])) return
+
+        setHasLegal(passed)
     }
 
     const lendHandler = async () => {
         const signer = await provider.getSigner()
 
+        // Lender sets the mortgage terms the buyer will repay, which lock once the buyer approves...
+        if (!hasBought) {
+            if (!await transact('Propose loan terms', mortgage.connect(signer), 'proposeTerms', termsArgs(home.id, loanRate, loanYears))) return
+        }
+
         // Lender approves...
-        const transaction = await escrow.connect(signer).approveSale(home.id)
-        await transaction.wait()
+        if (!await transact('Approve sale', escrow.connect(signer), 'approveSale', [home.id])) return
+
+        // Lender funds the rest of the purchase price for this listing, up to the appraised value...
+        const remainder = (await escrow.purchasePrice(home.id)).sub(await escrow.escrowAmount(home.id))
+        const lendAmount = remainder.gt(appraisedValue) ? appraisedValue : remainder
+        const overrides = await preparePayment(token, lendAmount, signer, escrow.address)
+        if (!overrides) return
 
-        // Lender sends funds to contract...
-        const lendAmount = (await escrow.purchasePrice(home.id) - await escrow.escrowAmount(home.id))
-        await signer.sendTransaction({ to: escrow.address, value: lendAmount.toString(), gasLimit: 60000 })
+        if (!await transact('Fund loan', escrow.connect(signer), 'depositLoan', [home.id, lendAmount, overrides])) return
 
         setHasLended(true)
     }
 
+    // Checks a typed amount, showing why it was refused; true when it can be sent
+    const checkAmount = (label, value, options) => {
+        const error = amountError(value, token, options)
+        setInputError(error && `${label}: ${error}`)
+
+        return !error
+    }
+
+    const appraiseHandler = async () => {
+        if (!checkAmount('Value', appraisalInput)) return
+
+        const signer = await provider.getSigner()
+
+        // Appraiser records the value...
+        if (!await transact('Record appraisal', escrow.connect(signer), 'recordAppraisal', [home.id, parseAmount(appraisalInput, token)])) return
+
+        fetchDetails()
+    }
+
+    const proposeHandler = async () => {
+        if (!checkAmount('Price', priceInput)) return
+
+        const signer = await provider.getSigner()
+
+        // Buyer asks for a lower price after a low appraisal...
+        if (!await transact('Propose price', escrow.connect(signer), 'proposePrice', [home.id, parseAmount(priceInput, token)])) return
+
+        setPriceInput('')
+        fetchDetails()
+    }
+
+    const acceptPriceHandler = async () => {
+        const signer = await provider.getSigner()
+
+        // Seller agrees to the buyer's price (everyone approves again at the new price)...
+        if (!await transact('Accept price', escrow.connect(signer), 'acceptPrice', [home.id])) return
+
+        fetchDetails()
+    }
+
+    const termsHandler = async () => {
+        if (!checkAmount('Price', termsInput.price) || !checkAmount('Earnest', termsInput.earnest, { allowZero: true })) return
+
+        const signer = await provider.getSigner()
+
+        // Seller changes price and earnest (everyone approves again at the new terms)...
+        const args = [home.id, parseAmount(termsInput.price, token), parseAmount(termsInput.earnest, token)]
+        if (!await transact('Update terms', escrow.connect(signer), 'updateTerms', args)) return
+
+        setTermsInput({ price: '', earnest: '' })
+        fetchDetails()
+    }
+
+    const walkAwayHandler = async () => {
+        const signer = await provider.getSigner()
+
+        // Buyer cancels and takes the earnest back...
+        if (!await transact('Cancel sale', escrow.connect(signer), 'cancelSale', [home.id])) return
+
+        fetchDetails()
+    }
+
     const sellHandler = async () => {
         const signer = await provider.getSigner()
 
         // Seller approves...
-        let transaction = await escrow.connect(signer).approveSale(home.id)
-        await transaction.wait()
+        if (!await transact('Approve sale', escrow.connect(signer), 'approveSale', [home.id])) return
 
         // Seller finalize...
-        transaction = await escrow.connect(signer).finalizeSale(home.id)
-        await transaction.wait()
+        if (!await transact('Finalize sale', escrow.connect(signer), 'finalizeSale', [home.id])) return
 
         setHasSold(true)
     }
 
+    const reclaimHandler = async () => {
+        const signer = await provider.getSigner()
+
+        // Seller takes back a property whose sale fell through instead of relisting it
+        if (!await transact('Reclaim property', escrow.connect(signer), 'reclaim', [home.id])) return
+
+        loadOwner()
+    }
+
+    const expireHandler = async () => {
+        const signer = await provider.getSigner()
+
+        // Anyone can settle a listing once a deadline has passed
+        if (!await transact('Settle expired sale', escrow.connect(signer), 'expireSale', [home.id])) return
+
+        setCanExpire(false)
+    }
+
+    // Refresh whenever an Escrow event for this property arrives
+    const activityHandler = () => {
+        fetchDetails()
+        loadOwner()
+        setActivityCount((count) => count + 1)
+    }
+
     useEffect(() => {
         fetchDetails()
-        fetchOwner()
-    }, [hasSold])
+        loadOwner()
+    }, [])
+
+    // A cancelled or expired sale leaves the property with the escrow, for the seller to relist
+    const isHeldInEscrow = escrow !== null && owner === escrow.address
 
     return (
         <div className="home">
             <div className='home__details'>
                 <div className="home__image">
-                    <img src={home.image} alt="Home" />
+                    <img src={resolveURI(home.image)} alt="Home" />
                 </div>
                 <div className="home__overview">
                     <h1>{home.name}</h1>
                     <p>
-                        <strong>{home.attributes[2].value}</strong> bds |
-                        <strong>{home.attributes[3].value}</strong> ba |
-                        <strong>{home.attributes[4].value}</strong> sqft
+                        <strong>{formatAttribute(home, TRAITS.beds)}</strong> bds |
+                        <strong>{formatAttribute(home, TRAITS.baths)}</strong> ba |
+                        <strong>{formatAttribute(home, TRAITS.sqft)}</strong> sqft
                     </p>
                     <p>{home.address}</p>
 
-                    <h2>{home.attributes[0].value} ETH</h2>
+                    {isListed ? (
+                        <>
+                            <h2>
+                                {formatAmount(purchasePrice, token)}
+                                {priceDiffers(home, purchasePrice, token) && (
+                                    <span className='home__badge' title='The listing price differs from the property metadata'>
+                                        Metadata: {formatAttribute(home, TRAITS.price)} {token.symbol}
+                                    </span>
+                                )}
+                            </h2>
+                            <p className='home__earnest'>Earnest {formatAmount(escrowAmount, token)}</p>
+                        </>
+                    ) : (
+                        <h2>{formatAttribute(home, TRAITS.price)} {token.symbol}</h2>
+                    )}
+
+                    {appraisedValue.gt(0) && (
+                        <p className={isAppraisalLow ? 'home__appraisal home__appraisal--low' : 'home__appraisal'}>
+                            Appraised at {formatAmount(appraisedValue, token)}
+                        </p>
+                    )}
+
+                    {seller && (
+                        <p className='home__seller'>
+                            Listed by {seller.slice(0, 6) + '...' + seller.slice(38, 42)}
+                        </p>
+                    )}
 
-                    {owner ? (
+                    {isHeldInEscrow ? (
+                        <div className='home__owned'>
+                            Back in escrow after its sale fell through
+                        </div>
+                    ) : owner ? (
                         <div className='home__owned'>
                             Owned by {owner.slice(0, 6) + '...' + owner.slice(38, 42)}
+                            {isCollateral && ' (mortgaged)'}
                         </div>
                     ) : (
                         <div>
                             {(account === inspector) ? (
-                                <button className='home__buy' onClick={inspectHandler} disabled={hasInspected}>
-                                    Approve Inspection
-                                </button>
+                                <>
+                                    <button className='home__buy' onClick={() => inspectHandler(true)} disabled={hasInspected || isPending}>
+                                        Approve Inspection
+                                    </button>
+                                    <button className='home__contact' onClick={() => inspectHandler(false)} disabled={hasInspected || isPending}>
+                                        Fail Inspection
+                                    </button>
+                                </>
+                            ) : (account === lawyer) ? (
+                                <>
+                                    <button className='home__buy' onClick={() => legalHandler(true)} disabled={hasLegal || isPending}>
+                                        Approve Legal
+                                    </button>
+                                    <button className='home__contact' onClick={() => legalHandler(false)} disabled={hasLegal || isPending}>
+                                        Fail Legal
+                                    </button>
+                                </>
+                            ) : (account === appraiser) ? (
+                                <div className='home__loan'>
+                                    <input type="number" step="any" min="0" placeholder="Value" value={appraisalInput} onChange={(e) => setAppraisalInput(e.target.value)} disabled={appraisedValue.gt(0)} />
+                                    <span>{token.symbol}</span>
+                                    <button className='home__buy' onClick={appraiseHandler} disabled={appraisedValue.gt(0) || !appraisalInput || isPending}>
+                                        Record Appraisal
+                                    </button>
+                                </div>
                             ) : (account === lender) ? (
-                                <button className='home__buy' onClick={lendHandler} disabled={hasLended}>
-                                    Approve & Lend
-                                </button>
+                                <div className='home__loan'>
+                                    <input type="number" step="0.01" min="0" value={loanRate} onChange={(e) => setLoanRate(e.target.value)} disabled={hasLended || hasBought} />
+                                    <span>% for</span>
+                                    <input type="number" min="1" value={loanYears} onChange={(e) => setLoanYears(e.target.value)} disabled={hasLended || hasBought} />
+                                    <span>years</span>
+                                    <button className='home__buy' onClick={lendHandler} disabled={hasLended || appraisedValue.eq(0) || isPending}>
+                                        Approve & Lend
+                                    </button>
+                                </div>
                             ) : (account === seller) ? (
-                                <button className='home__buy' onClick={sellHandler} disabled={hasSold}>
-                                    Approve & Sell
-                                </button>
-                            ) : (
-                                <button className='home__buy' onClick={buyHandler} disabled={hasBought}>
-                                    Buy
-                                </button>
+                                <>
+                                    {proposedPrice.gt(0) && (
+                                        <button className='home__buy' onClick={acceptPriceHandler} disabled={isPending}>
+                                            Accept {formatAmount(proposedPrice, token)}
+                                        </button>
+                                    )}
+                                    {!hasDeposits && !disputed && (
+                                        <div className='home__loan'>
+                                            <input type="number" step="any" min="0" placeholder="Price" value={termsInput.price} onChange={(e) => setTermsInput({ ...termsInput, price: e.target.value })} />
+                                            <input type="number" step="any" min="0" placeholder="Earnest" value={termsInput.earnest} onChange={(e) => setTermsInput({ ...termsInput, earnest: e.target.value })} />
+                                            <span>{token.symbol}</span>
+                                            <button className='home__contact' onClick={termsHandler} disabled={!termsInput.price || !termsInput.earnest || isPending}>
+                                                Update terms
+                                            </button>
+                                        </div>
+                                    )}
+                                    <button className='home__buy' onClick={sellHandler} disabled={hasSold || isPending}>
+                                        Approve & Sell
+                                    </button>
+                                </>
+                            ) : (account === buyer && isAppraisalLow) ? (
+                                <div className='home__loan'>
+                                    <input type="number" step="any" min="0" placeholder="Price" value={priceInput} onChange={(e) => setPriceInput(e.target.value)} />
+                                    <span>{token.symbol}</span>
+                                    <button className='home__buy' onClick={proposeHandler} disabled={!priceInput || isPending}>
+                                        Propose Price
+                                    </button>
+                                    <button className='home__contact' onClick={walkAwayHandler} disabled={isPending}>
+                                        Walk Away
+                                    </button>
+                                </div>
+                            ) : !isOpen && (
+                                <>
+                                    <button className='home__buy' onClick={buyHandler} disabled={hasBought || (hasEarnest && awaitingTerms) || isPending}>
+                                        {hasEarnest && !hasBought ? 'Approve' : 'Buy'}
+                                    </button>
+                                    {account === buyer && hasEarnest && awaitingTerms && (
+                                        <p className='home__note'>Earnest deposited. You can approve once the lender proposes loan terms.</p>
+                                    )}
+                                </>
                             )}
 
                             <button className='home__contact'>
                                 Contact agent
                             </button>
+
+                            {inputError && <p className='sell__error'>{inputError}</p>}
+
+                            {canExpire && (
+                                <button className='home__contact' onClick={expireHandler} disabled={isPending}>
+                                    Settle expired sale
+                                </button>
+                            )}
                         </div>
                     )}
 
+                    {(isOpen || offers.length > 0) && (
+                        <>
+                            <hr />
+
+                            <h2>Offers</h2>
+
+                            <Offers
+                                offers={offers}
+                                nftID={home.id}
+                                provider={provider}
+                                account={account}
+                                escrow={escrow}
+                                seller={seller}
+                                isOpen={isOpen}
+                                token={token}
+                            />
+                        </>
+                    )}
+
+                    {!owner && seller && (
+                        <>
+                            <hr />
+
+                            <h2>Service providers</h2>
+
+                            <Providers
+                                nftID={home.id}
+                                provider={provider}
+                                account={account}
+                                escrow={escrow}
+                                buyer={buyer}
+                                seller={seller}
+                                inspector={inspector}
+                                lender={lender}
+                                lawyer={lawyer}
+                                appraiser={appraiser}
+                                arbitrator={arbitrator}
+                            />
+                        </>
+                    )}
+
+                    {!owner && buyer && buyer !== ethers.constants.AddressZero && (disputed || account === buyer || account === seller) && (
+                        <>
+                            <hr />
+
+                            <h2>Dispute</h2>
+
+                            <Dispute
+                                nftID={home.id}
+                                provider={provider}
+                                account={account}
+                                escrow={escrow}
+                                buyer={buyer}
+                                seller={seller}
+                                arbitrator={arbitrator}
+                                disputed={disputed}
+                            />
+                        </>
+                    )}
+
+                    {!owner && deadlines && deadlines.closing > 0 && (
+                        <>
+                            <hr />
+
+                            <h2>Deadlines</h2>
+
+                            <ul>
+                                <Countdown label='Inspection' deadline={deadlines.inspection} />
+                                <Countdown label='Financing' deadline={deadlines.financing} />
+                                <Countdown label='Closing' deadline={deadlines.closing} />
+                            </ul>
+                        </>
+                    )}
+
+                    {isHeldInEscrow && account === seller && (
+                        <>
+                            <hr />
+
+                            <h2>Relist</h2>
+
+                            <Relist home={home} provider={provider} escrow={escrow} paymentToken={token} />
+
+                            <button className='home__contact' onClick={reclaimHandler} disabled={isPending}>
+                                Take back instead
+                            </button>
+                        </>
+                    )}
+
+                    {vaultFactory && (hasVault || (owner && !isHeldInEscrow)) && (
+                        <>
+                            <hr />
+
+                            <h2>Fractional ownership</h2>
+
+                            <Fractions
+                                nftID={home.id}
+                                provider={provider}
+                                account={account}
+                                realEstate={realEstate}
+                                vaultFactory={vaultFactory}
+                                owner={isCollateral ? null : owner}
+                                onChange={activityHandler}
+                            />
+                        </>
+                    )}
+
                     <hr />
 
                     <h2>Overview</h2>
@@ -179,6 +635,22 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
                             <li key={index}><strong>{attribute.trait_type}</strong> : {attribute.value}</li>
                         ))}
                     </ul>
+
+                    <hr />
+
+                    <h2>Price & ownership history</h2>
+
+                    <History realEstate={realEstate} escrows={escrows} mortgage={mortgage} nftID={home.id} refresh={activityCount} />
+
+                    {escrow && (
+                        <>
+                            <hr />
+
+                            <h2>Activity</h2>
+
+                            <Activity escrow={escrow} nftID={home.id} token={token} onActivity={activityHandler} />
+                        </>
+                    )}
                 </div>
 
 
@@ -0,0 +1,38 @@
+import { SERVICES } from '../utils/listing';
+
+// errors holds the token, period and service fields validateListing rejected
+const ListingTerms = ({ tokens, terms, setTerms, errors = {} }) => {
+    const update = (field, value) => setTerms({ ...terms, [field]: value })
+
+    return (
+        <div className='bulk__shared'>
+            <label>
+                Paid in
+                <select value={terms.tokenAddress} onChange={(e) => update('tokenAddress', e.target.value)}>
+                    {tokens.map((token) => (
+                        <option key={token.address} value={token.address}>{token.symbol}</option>
+                    ))}
+                </select>
+                {errors.token && <span className='sell__error'>{errors.token}</span>}
+            </label>
+
+            {Object.keys(terms.periods).map((period) => (
+                <label key={period}>
+                    {period} (days)
+                    <input type="number" min="0" value={terms.periods[period]} onChange={(e) => update('periods', { ...terms.periods, [period]: e.target.value })} required />
+                    {errors[period] && <span className='sell__error'>{errors[period]}</span>}
+                </label>
+            ))}
+
+            {SERVICES.map((service) => (
+                <label key={service}>
+                    {service}
+                    <input type="text" placeholder="0x..." value={terms.providers[service] || ''} onChange={(e) => update('providers', { ...terms.providers, [service]: e.target.value })} required />
+                    {errors[service] && <span className='sell__error'>{errors[service]}</span>}
+                </label>
+            ))}
+        </div>
+    );
+}
+
+export default ListingTerms;
@@ -0,0 +1,177 @@
+import { ethers } from 'ethers';
+import { useEffect, useState } from 'react';
+
+import { fetchToken, formatAmount, preparePayment } from '../utils/tokens';
+import { transact } from '../utils/transactions';
+
+const WAD = ethers.constants.WeiPerEther
+
+const shorten = (address) => address.slice(0, 6) + '...' + address.slice(38, 42)
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString()
+
+// Remaining installments, using the same fixed-point math as Mortgage.makePayment
+const amortizationSchedule = (loan) => {
+    const rows = []
+    let balance = loan.balance
+
+    for (let n = loan.paymentsMade.toNumber() + 1; n <= loan.termPayments.toNumber() && balance.gt(0); n++) {
+        const interest = balance.mul(loan.periodRate).div(WAD)
+        const payoff = balance.add(interest)
+        const payment = loan.paymentAmount.lt(payoff) ? loan.paymentAmount : payoff
+
+        balance = payoff.sub(payment)
+
+        rows.push({
+            number: n,
+            dueDate: loan.nextDueDate.toNumber() + (n - loan.paymentsMade.toNumber() - 1) * loan.paymentInterval.toNumber(),
+            payment,
+            interest,
+            principal: payment.sub(interest),
+            balance,
+        })
+    }
+
+    return rows
+}
+
+const Loan = ({ home, loan, token, missed, canForeclose, isBorrower, payHandler, forecloseHandler }) => {
+    const [showSchedule, setShowSchedule] = useState(false)
+
+    const schedule = amortizationSchedule(loan)
+    const nextPayment = schedule.length > 0 ? schedule[0].payment : ethers.constants.Zero
+
+    const toFixed = (amount) => Number(ethers.utils.formatUnits(amount, token.decimals)).toFixed(4)
+
+    return (
+        <div className='loan'>
+            <div className='loan__header'>
+                <div>
+                    <h4>{home.name}</h4>
+                    <p>{home.address}</p>
+                </div>
+
+                {isBorrower ? (
+                    <button className='home__buy' onClick={() => payHandler(home.id, token, nextPayment)}>
+                        Pay {formatAmount(nextPayment, token)}
+                    </button>
+                ) : canForeclose && (
+                    <button className='home__buy' onClick={() => forecloseHandler(home.id)}>
+                        Foreclose
+                    </button>
+                )}
+            </div>
+
+            <ul className='loan__summary'>
+                <li><strong>Balance</strong> : {formatAmount(loan.balance, token)}</li>
+                <li><strong>Principal</strong> : {formatAmount(loan.principal, token)}</li>
+                <li><strong>Rate</strong> : {loan.rateBps.toNumber() / 100}%</li>
+                <li><strong>Next payment</strong> : {formatAmount(nextPayment, token)} due {formatDate(loan.nextDueDate.toNumber())}</li>
+                <li><strong>Payments made</strong> : {loan.paymentsMade.toString()} of {loan.termPayments.toString()}</li>
+                <li><strong>{isBorrower ? 'Lender' : 'Borrower'}</strong> : {shorten(isBorrower ? loan.lender : loan.borrower)}</li>
+                {missed > 0 && (
+                    <li className='loan__missed'><strong>Missed payments</strong> : {missed}</li>
+                )}
+            </ul>
+
+            <button className='home__contact' onClick={() => setShowSchedule(!showSchedule)}>
+                {showSchedule ? 'Hide' : 'Show'} amortization table
+            </button>
+
+            {showSchedule && (
+                <table className='loan__schedule'>
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Due</th>
+                            <th>Payment</th>
+                            <th>Interest</th>
+                            <th>Principal</th>
+                            <th>Balance</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {schedule.map((row) => (
+                            <tr key={row.number}>
+                                <td>{row.number}</td>
+                                <td>{formatDate(row.dueDate)}</td>
+                                <td>{toFixed(row.payment)}</td>
+                                <td>{toFixed(row.interest)}</td>
+                                <td>{toFixed(row.principal)}</td>
+                                <td>{toFixed(row.balance)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+const Loans = ({ homes, provider, account, mortgage }) => {
+    const [loans, setLoans] = useState([])
+
+    const loadLoans = async () => {
+        const threshold = await mortgage.MISSED_PAYMENTS_TO_FORECLOSE()
+        const loans = []
+
+        for (const home of homes) {
+            const loan = await mortgage.loans(home.id)
+            if (!loan.active || (loan.borrower !== account && loan.lender !== account)) continue
+
+            const token = await fetchToken(loan.token, mortgage.provider)
+            const missed = (await mortgage.missedPayments(home.id)).toNumber()
+            loans.push({ home, loan, token, missed, canForeclose: loan.lender === account && threshold.lte(missed) })
+        }
+
+        setLoans(loans)
+    }
+
+    const payHandler = async (nftID, token, amount) => {
+        const signer = await provider.getSigner()
+
+        const overrides = await preparePayment(token, amount, signer, mortgage.address)
+        if (!overrides) return
+
+        if (await transact('Make payment', mortgage.connect(signer), 'makePayment', [nftID, amount, overrides])) loadLoans()
+    }
+
+    const forecloseHandler = async (nftID) => {
+        const signer = await provider.getSigner()
+
+        if (await transact('Foreclose', mortgage.connect(signer), 'foreclose', [nftID])) loadLoans()
+    }
+
+    useEffect(() => {
+        if (mortgage && account) loadLoans()
+        else setLoans([])
+    }, [mortgage, account, homes])
+
+    return (
+        <div className='cards__section'>
+            <h3>My loans</h3>
+
+            <hr />
+
+            {!account ? (
+                <p className='loans__empty'>Connect your wallet to see your loans</p>
+            ) : loans.length === 0 ? (
+                <p className='loans__empty'>No active loans</p>
+            ) : loans.map(({ home, loan, token, missed, canForeclose }) => (
+                <Loan
+                    key={home.id}
+                    home={home}
+                    loan={loan}
+                    token={token}
+                    missed={missed}
+                    canForeclose={canForeclose}
+                    isBorrower={loan.borrower === account}
+                    payHandler={payHandler}
+                    forecloseHandler={forecloseHandler}
+                />
+            ))}
+        </div>
+    );
+}
+
+export default Loans;
@@ -1,19 +1,20 @@
-import { ethers } from 'ethers';
 import logo from '../assets/logo.svg';
 
+import { hasWallet, requestAccount } from '../utils/wallet';
+
 const Navigation = ({ account, setAccount }) => {
     const connectHandler = async () => {
-        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-        const account = ethers.utils.getAddress(accounts[0])
-        setAccount(account);
+        setAccount(await requestAccount());
     }
 
     return (
         <nav>
             <ul className='nav__links'>
-                <li><a href="#">Buy</a></li>
-                <li><a href="#">Rent</a></li>
-                <li><a href="#">Sell</a></li>
+                <li><a href="#/">Buy</a></li>
+                <li><a href="#/rent">Rent</a></li>
+                <li><a href="#/sell">Sell</a></li>
+                <li><a href="#/bulk">Bulk list</a></li>
+                <li><a href="#/loans">Loans</a></li>
             </ul>
 
             <div className='nav__brand'>
@@ -28,7 +29,7 @@ const Navigation = ({ account, setAccount }) => {
                 >
                     {account.slice(0, 6) + '...' + account.slice(38, 42)}
                 </button>
-            ) : (
+            ) : hasWallet() ? (
                 <button
                     type="button"
                     className='nav__connect'
@@ -36,6 +37,14 @@ const Navigation = ({ account, setAccount }) => {
                 >
                     Connect
                 </button>
+            ) : (
+                <button
+                    type="button"
+                    className='nav__connect'
+                    disabled
+                >
+                    Read-only
+                </button>
             )}
         </nav>
     );
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+
+import { decodeError } from '../utils/transactions';
+import { DEFAULT_CHAIN_ID, RPC_URL, chainName, hasWallet, isSupported, switchChain } from '../utils/wallet';
+
+// Explains why the app is read-only, if it is, and what to do about it
+const NetworkBanner = ({ walletChainId, undeployedChainId, error }) => {
+    const [switchError, setSwitchError] = useState(null)
+
+    // A successful switch fires chainChanged, which reloads the app
+    const switchHandler = async () => {
+        setSwitchError(null)
+
+        try {
+            await switchChain()
+        } catch (error) {
+            setSwitchError(decodeError(error))
+        }
+    }
+
+    if (error) {
+        return (
+            <div className='banner banner--error'>
+                <p>Listings could not be loaded from {isSupported(walletChainId) ? chainName(walletChainId) : RPC_URL}: {error.message}</p>
+            </div>
+        )
+    }
+
+    // Nothing to read: the chain the app connected to has no deployment
+    if (undeployedChainId !== null) {
+        return (
+            <div className='banner banner--error'>
+                <p>
+                    BlockEstate is not deployed on {chainName(undeployedChainId)}, so no listings can be loaded.
+                    {hasWallet() ? ` Switch to ${chainName(DEFAULT_CHAIN_ID)} to browse them.` : ` Point REACT_APP_RPC_URL at ${chainName(DEFAULT_CHAIN_ID)}.`}
+                </p>
+
+                {hasWallet() && (
+                    <button type="button" className='banner__switch' onClick={switchHandler}>
+                        Switch network
+                    </button>
+                )}
+
+                {switchError && <p className='banner__message'>{switchError}</p>}
+            </div>
+        )
+    }
+
+    if (!hasWallet()) {
+        return (
+            <div className='banner'>
+                <p>You are browsing read-only. Install a wallet such as MetaMask to buy, sell or rent.</p>
+            </div>
+        )
+    }
+
+    if (walletChainId === null) {
+        return (
+            <div className='banner'>
+                <p>Your wallet is not connected to a network, so you are browsing read-only.</p>
+            </div>
+        )
+    }
+
+    if (!isSupported(walletChainId)) {
+        return (
+            <div className='banner banner--error'>
+                <p>
+                    Your wallet is on {chainName(walletChainId)}, where BlockEstate is not deployed.
+                    Switch to {chainName(DEFAULT_CHAIN_ID)} to buy, sell or rent.
+                </p>
+
+                <button type="button" className='banner__switch' onClick={switchHandler}>
+                    Switch network
+                </button>
+
+                {switchError && <p className='banner__message'>{switchError}</p>}
+            </div>
+        )
+    }
+
+    return null
+}
+
+export default NetworkBanner;
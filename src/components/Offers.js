@@ -0,0 +1,136 @@
+import { useState } from 'react';
+
+import { amountError, formatAmount, parseAmount, preparePayment } from '../utils/tokens';
+import { transact, useIsPending } from '../utils/transactions';
+
+const STATUS = ['Pending', 'Countered', 'Accepted', 'Rejected', 'Withdrawn']
+
+const shorten = (address) => address.slice(0, 6) + '...' + address.slice(38, 42)
+
+const Offers = ({ offers, nftID, provider, account, escrow, seller, isOpen, token }) => {
+    const [price, setPrice] = useState('')
+    const [earnest, setEarnest] = useState('')
+    const [expiresIn, setExpiresIn] = useState('3')
+    const [counterPrices, setCounterPrices] = useState({})
+    const [error, setError] = useState(null)
+
+    const isSeller = account === seller
+    const isPending = useIsPending()
+
+    // Resolves to the receipt, or null when the transaction did not go through
+    const send = async (description, method, args) => {
+        const signer = await provider.getSigner()
+        return transact(description, escrow.connect(signer), method, args)
+    }
+
+    const offerHandler = async (e) => {
+        e.preventDefault()
+
+        const priceError = amountError(price, token)
+        const earnestError = amountError(earnest, token)
+        setError(priceError ? `Price: ${priceError}` : earnestError ? `Earnest: ${earnestError}` : null)
+        if (priceError || earnestError) return
+
+        const expiresAt = Math.floor(Date.now() / 1000) + Number(expiresIn) * 24 * 60 * 60
+        const deposit = parseAmount(earnest, token)
+
+        // The earnest is held with the offer, so the token allowance has to cover it
+        const signer = await provider.getSigner()
+        const overrides = await preparePayment(token, deposit, signer, escrow.address)
+        if (!overrides) return
+
+        if (!await send('Make offer', 'makeOffer', [nftID, parseAmount(price, token), deposit, expiresAt, overrides])) return
+
+        setPrice('')
+        setEarnest('')
+    }
+
+    const counterHandler = async (offerID) => {
+        const counterError = amountError(counterPrices[offerID], token)
+        setError(counterError && `Counter: ${counterError}`)
+        if (counterError) return
+
+        const expiresAt = Math.floor(Date.now() / 1000) + 3 * 24 * 60 * 60
+        await send('Counter offer', 'counterOffer', [nftID, offerID, parseAmount(counterPrices[offerID], token), expiresAt])
+    }
+
+    const isActive = (offer) => offer.status === 0 || offer.status === 1
+
+    return (
+        <div className='offers'>
+            {offers.length === 0 ? (
+                <p className='offers__empty'>No offers yet</p>
+            ) : (
+                <table className='offers__book'>
+                    <thead>
+                        <tr>
+                            <th>Buyer</th>
+                            <th>Price</th>
+                            <th>Earnest</th>
+                            <th>Expires</th>
+                            <th>Status</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {offers.map((offer, offerID) => (
+                            <tr key={offerID}>
+                                <td>{shorten(offer.buyer)}</td>
+                                <td>{formatAmount(offer.price, token)}</td>
+                                <td>{formatAmount(offer.earnest, token)}</td>
+                                <td>{new Date(offer.expiresAt.toNumber() * 1000).toLocaleDateString()}</td>
+                                <td>
+                                    {STATUS[offer.status]}
+                                    {offer.status === 1 && ` at ${formatAmount(offer.counterPrice, token)}`}
+                                </td>
+                                <td className='offers__actions'>
+                                    {isOpen && isSeller && offer.status === 0 && (
+                                        <>
+                                            <button onClick={() => send('Accept offer', 'acceptOffer', [nftID, offerID])} disabled={isPending}>Accept</button>
+                                            <input
+                                                type="number"
+                                                placeholder={`Counter (${token.symbol})`}
+                                                value={counterPrices[offerID] || ''}
+                                                onChange={(e) => setCounterPrices({ ...counterPrices, [offerID]: e.target.value })}
+                                            />
+                                            <button onClick={() => counterHandler(offerID)} disabled={isPending || !counterPrices[offerID]}>Counter</button>
+                                        </>
+                                    )}
+
+                                    {isOpen && isSeller && isActive(offer) && (
+                                        <button onClick={() => send('Reject offer', 'rejectOffer', [nftID, offerID])} disabled={isPending}>Reject</button>
+                                    )}
+
+                                    {isOpen && account === offer.buyer && offer.status === 1 && (
+                                        <button onClick={() => send('Accept counter', 'acceptCounter', [nftID, offerID])} disabled={isPending}>Accept counter</button>
+                                    )}
+
+                                    {account === offer.buyer && isActive(offer) && (
+                                        <button onClick={() => send('Withdraw offer', 'withdrawOffer', [nftID, offerID])} disabled={isPending}>Withdraw</button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {isOpen && account && !isSeller && (
+                <form className='offers__form' onSubmit={offerHandler}>
+                    <input type="number" step="any" min="0" placeholder={`Offer price (${token.symbol})`} value={price} onChange={(e) => setPrice(e.target.value)} required />
+                    <input type="number" step="any" min="0" placeholder={`Earnest deposit (${token.symbol})`} value={earnest} onChange={(e) => setEarnest(e.target.value)} required />
+                    <select value={expiresIn} onChange={(e) => setExpiresIn(e.target.value)}>
+                        <option value="1">Expires in 1 day</option>
+                        <option value="3">Expires in 3 days</option>
+                        <option value="7">Expires in 7 days</option>
+                    </select>
+                    <button type="submit" className='home__buy' disabled={isPending}>Make offer</button>
+                </form>
+            )}
+
+            {error && <p className='sell__error'>{error}</p>}
+        </div>
+    );
+}
+
+export default Offers;
@@ -0,0 +1,79 @@
+import { ethers } from 'ethers';
+import { useEffect, useState } from 'react';
+
+import { transact, useIsPending } from '../utils/transactions';
+
+// Same order as Escrow.Service
+const SERVICES = ['Inspector', 'Lender', 'Lawyer', 'Appraiser', 'Arbitrator']
+
+const shorten = (address) => address.slice(0, 6) + '...' + address.slice(38, 42)
+
+const Providers = ({ nftID, provider, account, escrow, buyer, seller, inspector, lender, lawyer, appraiser, arbitrator }) => {
+    const [hasActed, setHasActed] = useState([])
+    const [service, setService] = useState('0')
+    const [replacement, setReplacement] = useState('')
+    const [error, setError] = useState(null)
+
+    const isPending = useIsPending()
+
+    const assigned = [inspector, lender, lawyer, appraiser, arbitrator]
+    const canPropose = account && (account === buyer || account === seller)
+
+    const fetchActed = async () => {
+        const acted = await Promise.all(SERVICES.map((_, index) => escrow.hasActed(nftID, index)))
+        setHasActed(acted)
+
+        // Default the form to the first provider that can still be replaced
+        const open = acted.indexOf(false)
+        if (open >= 0) setService(String(open))
+    }
+
+    // Replacement only takes effect once buyer and seller propose the same address
+    const replaceHandler = async (e) => {
+        e.preventDefault()
+
+        if (!ethers.utils.isAddress(replacement)) {
+            setError('Not an address')
+            return
+        }
+
+        setError(null)
+
+        const signer = await provider.getSigner()
+        const args = [nftID, service, ethers.utils.getAddress(replacement)]
+        if (await transact('Propose replacement', escrow.connect(signer), 'proposeReplacement', args)) setReplacement('')
+    }
+
+    useEffect(() => {
+        fetchActed()
+    }, [inspector, lender, lawyer, appraiser, arbitrator])
+
+    return (
+        <div className='providers'>
+            <ul>
+                {SERVICES.map((name, index) => assigned[index] && (
+                    <li key={name}>
+                        <strong>{name}</strong> : {shorten(assigned[index])}
+                        {hasActed[index] && <span className='providers__acted'> (acted)</span>}
+                    </li>
+                ))}
+            </ul>
+
+            {canPropose && hasActed.some((acted) => !acted) && (
+                <form className='providers__form' onSubmit={replaceHandler}>
+                    <select value={service} onChange={(e) => setService(e.target.value)}>
+                        {SERVICES.map((name, index) => !hasActed[index] && (
+                            <option key={name} value={index}>{name}</option>
+                        ))}
+                    </select>
+                    <input type="text" placeholder="Replacement address" value={replacement} onChange={(e) => setReplacement(e.target.value)} required />
+                    <button type="submit" className='home__contact' disabled={isPending}>Propose replacement</button>
+                </form>
+            )}
+
+            {error && <p className='sell__error'>{error}</p>}
+        </div>
+    );
+}
+
+export default Providers;
@@ -0,0 +1,83 @@
+import { ethers } from 'ethers';
+import { useEffect, useState } from 'react';
+
+import ListingTerms from './ListingTerms';
+
+import { defaultTerms, fetchTermDefaults, termsToArgs, validateListing } from '../utils/listing';
+import { TRAITS, getAttribute } from '../utils/metadata';
+import { ETH, parseAmount } from '../utils/tokens';
+import { transact, useIsPending } from '../utils/transactions';
+
+// Puts a property whose sale was cancelled or expired back on the market. The
+// token never left the escrow, so list() takes it with new terms and no approval.
+const Relist = ({ home, provider, escrow, paymentToken }) => {
+    const price = getAttribute(home, TRAITS.price)
+
+    const [tokens, setTokens] = useState([ETH])
+    const [terms, setTerms] = useState(() => ({ ...defaultTerms(), tokenAddress: paymentToken.address }))
+    const [buyer, setBuyer] = useState('')
+    const [priceInput, setPriceInput] = useState(price === null ? '' : String(price))
+    const [earnestInput, setEarnestInput] = useState(price === null ? '' : String(Math.round(price * 20) / 100))
+    const [errors, setErrors] = useState({})
+
+    const isPending = useIsPending()
+
+    const relistHandler = async (e) => {
+        e.preventDefault()
+
+        const token = tokens.find((token) => token.address === terms.tokenAddress)
+
+        const errors = validateListing({ buyer, price: priceInput, earnest: earnestInput }, token, terms)
+        setErrors(errors)
+        if (Object.keys(errors).length > 0) return
+
+        const signer = await provider.getSigner()
+
+        // A blank buyer relists the property on the open market
+        await transact('Relist', escrow.connect(signer), 'list', [
+            home.id,
+            buyer ? ethers.utils.getAddress(buyer) : ethers.constants.AddressZero,
+            parseAmount(priceInput, token),
+            parseAmount(earnestInput, token),
+            ...termsToArgs(terms),
+        ])
+    }
+
+    // Default to the service providers and payment tokens of this deployment
+    useEffect(() => {
+        fetchTermDefaults(provider).then(({ tokens, providers }) => {
+            setTokens(tokens)
+            setTerms((terms) => ({ ...terms, providers }))
+        })
+    }, [provider])
+
+    return (
+        <form onSubmit={relistHandler}>
+            <div className='bulk__shared'>
+                <label>
+                    Price
+                    <input type="number" step="any" min="0" value={priceInput} onChange={(e) => setPriceInput(e.target.value)} required />
+                    {errors.price && <span className='sell__error'>{errors.price}</span>}
+                </label>
+                <label>
+                    Earnest
+                    <input type="number" step="any" min="0" value={earnestInput} onChange={(e) => setEarnestInput(e.target.value)} required />
+                    {errors.earnest && <span className='sell__error'>{errors.earnest}</span>}
+                </label>
+                <label>
+                    Buyer (blank for open market)
+                    <input type="text" placeholder="0x..." value={buyer} onChange={(e) => setBuyer(e.target.value)} />
+                    {errors.buyer && <span className='sell__error'>{errors.buyer}</span>}
+                </label>
+            </div>
+
+            <ListingTerms tokens={tokens} terms={terms} setTerms={setTerms} errors={errors} />
+
+            <button type="submit" className='home__buy' disabled={isPending}>
+                Relist
+            </button>
+        </form>
+    );
+}
+
+export default Relist;
@@ -0,0 +1,269 @@
+import { ethers } from 'ethers';
+import { useEffect, useState } from 'react';
+
+import config from '../config.json';
+
+import { ETH, amountError, fetchToken, formatAmount, parseAmount, preparePayment } from '../utils/tokens';
+import { transact } from '../utils/transactions';
+
+const DAY = 24 * 60 * 60
+
+const shorten = (address) => address.slice(0, 6) + '...' + address.slice(38, 42)
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString()
+
+const formatPeriod = (seconds) => `${seconds / DAY} days`
+
+// Landlord's form for offering (or re-offering) one of their homes
+const OfferForm = ({ tokens, offerHandler }) => {
+    const [tokenAddress, setTokenAddress] = useState(ETH.address)
+    const [rent, setRent] = useState('')
+    const [deposit, setDeposit] = useState('')
+    const [periodDays, setPeriodDays] = useState('30')
+    const [periods, setPeriods] = useState('12')
+    const [error, setError] = useState(null)
+
+    const submitHandler = (e) => {
+        e.preventDefault()
+
+        const token = tokens.find((token) => token.address === tokenAddress)
+
+        // Checked here, since parseAmount throws on what the inputs let through
+        const rentError = amountError(rent, token)
+        const depositError = amountError(deposit, token, { allowZero: true })
+        const lengthError = [periodDays, periods].some((value) => !/^[1-9]\d*$/.test(value)) && 'Whole numbers of days and periods only'
+        setError(rentError ? `Rent: ${rentError}` : depositError ? `Deposit: ${depositError}` : lengthError || null)
+        if (rentError || depositError || lengthError) return
+
+        offerHandler(token, parseAmount(rent, token), parseAmount(deposit, token), Number(periodDays) * DAY, Number(periods))
+    }
+
+    return (
+        <form className='rental__form' onSubmit={submitHandler}>
+            <input type="number" step="any" min="0" placeholder="Rent" value={rent} onChange={(e) => setRent(e.target.value)} required />
+            <select value={tokenAddress} onChange={(e) => setTokenAddress(e.target.value)}>
+                {tokens.map((token) => (
+                    <option key={token.address} value={token.address}>{token.symbol}</option>
+                ))}
+            </select>
+            <span>every</span>
+            <input type="number" min="1" value={periodDays} onChange={(e) => setPeriodDays(e.target.value)} required />
+            <span>days, for</span>
+            <input type="number" min="1" value={periods} onChange={(e) => setPeriods(e.target.value)} required />
+            <span>periods, deposit</span>
+            <input type="number" step="any" min="0" placeholder="Deposit" value={deposit} onChange={(e) => setDeposit(e.target.value)} required />
+            <button type="submit" className='home__buy'>Offer for rent</button>
+            {error && <p className='sell__error'>{error}</p>}
+        </form>
+    )
+}
+
+const Rental = ({ home, rental, agreement, token, status, children }) => (
+    <div className='rental'>
+        <div className='rental__header'>
+            <div>
+                <h4>{home.name}</h4>
+                <p>{home.address}</p>
+            </div>
+
+            <div className='rental__actions'>{children}</div>
+        </div>
+
+        {agreement ? (
+            <p className='rental__summary'>
+                Leased to {shorten(agreement.tenant)} until {formatDate(agreement.expires.toNumber())},
+                {' '}rent {formatAmount(agreement.rent, token)} every {formatPeriod(agreement.period.toNumber())},
+                {' '}paid until {formatDate(status.paidUntil)}
+                {status.isLate && <strong className='rental__late'> (rent overdue)</strong>}
+            </p>
+        ) : rental && (
+            <p className='rental__summary'>
+                {formatAmount(rental.rent, token)} every {formatPeriod(rental.period.toNumber())}
+                {' '}for {rental.periods.toString()} periods, {formatAmount(rental.deposit, token)} deposit
+            </p>
+        )}
+    </div>
+)
+
+const Rent = ({ homes, provider, account, realEstate, lease }) => {
+    const [entries, setEntries] = useState([])
+    const [tokens, setTokens] = useState([ETH])
+
+    const loadRentals = async () => {
+        const { chainId } = await provider.getNetwork()
+        if (config[chainId].paymentToken) {
+            setTokens([ETH, await fetchToken(config[chainId].paymentToken.address, provider)])
+        }
+
+        const now = Math.floor(Date.now() / 1000)
+
+        const entries = await Promise.all(homes.map(async (home) => {
+            const [owner, rental, agreement] = await Promise.all([
+                realEstate.ownerOf(home.id),
+                lease.rentals(home.id),
+                lease.leases(home.id),
+            ])
+
+            const isLeased = agreement.tenant !== ethers.constants.AddressZero
+            const token = await fetchToken(isLeased ? agreement.token : rental.token, provider)
+
+            const status = isLeased ? {
+                paidUntil: (await lease.paidUntil(home.id)).toNumber(),
+                isLate: await lease.isLate(home.id),
+                hasEnded: now >= agreement.expires.toNumber() || (await realEstate.userOf(home.id)) !== agreement.tenant,
+            } : null
+
+            return {
+                home,
+                owner,
+                token,
+                rental: rental.available ? rental : null,
+                agreement: isLeased ? agreement : null,
+                status,
+            }
+        }))
+
+        setEntries(entries)
+    }
+
+    const send = async (description, method, args, payment) => {
+        const signer = await provider.getSigner()
+
+        // Deposits and rent are approved first when the lease is in an ERC-20
+        const overrides = payment ? await preparePayment(payment.token, payment.amount, signer, lease.address) : {}
+        if (!overrides) return
+
+        if (await transact(description, lease.connect(signer), method, [...args, overrides])) loadRentals()
+    }
+
+    const offerHandler = async (nftID, token, rent, deposit, period, periods) => {
+        const signer = await provider.getSigner()
+
+        // Lease sets the tenant's user right, so it has to be approved for the token
+        if (await realEstate.getApproved(nftID) !== lease.address && !(await realEstate.isApprovedForAll(account, lease.address))) {
+            if (!await transact('Approve lease', realEstate.connect(signer), 'approve', [lease.address, nftID])) return
+        }
+
+        await send('Offer rental', 'offerRental', [nftID, token.address, rent, deposit, period, periods])
+    }
+
+    useEffect(() => {
+        if (realEstate && lease && provider) loadRentals()
+        else setEntries([])
+    }, [realEstate, lease, provider, homes])
+
+    const available = entries.filter(({ rental, agreement }) => rental && !agreement)
+    const tenancies = entries.filter(({ agreement }) => agreement && agreement.tenant === account)
+    const properties = entries.filter(({ owner, agreement }) => owner === account || (agreement && agreement.landlord === account))
+
+    return (
+        <div className='cards__section'>
+            <h3>Homes for rent</h3>
+
+            <hr />
+
+            {!lease ? (
+                <p className='rentals__empty'>Renting is not available on this network</p>
+            ) : available.length === 0 ? (
+                <p className='rentals__empty'>No homes for rent right now</p>
+            ) : available.map(({ home, owner, rental, token }) => (
+                <Rental key={home.id} home={home} rental={rental} token={token}>
+                    {account && account !== owner && (
+                        <button
+                            className='home__buy'
+                            onClick={() => send(
+                                'Start lease', 'startLease', [home.id],
+                                { token, amount: rental.deposit.add(rental.rent) }
+                            )}
+                        >
+                            Rent for {formatAmount(rental.deposit.add(rental.rent), token)}
+                        </button>
+                    )}
+                </Rental>
+            ))}
+
+            {account && tenancies.length > 0 && (
+                <>
+                    <h3>My leases</h3>
+
+                    <hr />
+
+                    {tenancies.map(({ home, rental, agreement, token, status }) => (
+                        <Rental key={home.id} home={home} agreement={agreement} token={token} status={status}>
+                            {status.hasEnded ? (
+                                <button className='home__buy' onClick={() => send('End lease', 'endLease', [home.id])}>
+                                    Get deposit back
+                                </button>
+                            ) : (
+                                <>
+                                    {status.paidUntil < agreement.expires.toNumber() && (
+                                        <button
+                                            className='home__buy'
+                                            onClick={() => send(
+                                                'Pay rent', 'payRent', [home.id],
+                                                { token, amount: agreement.rent }
+                                            )}
+                                        >
+                                            Pay {formatAmount(agreement.rent, token)}
+                                        </button>
+                                    )}
+                                    {rental && (
+                                        <button className='home__contact' onClick={() => send('Renew lease', 'renew', [home.id, rental.periods])}>
+                                            Renew
+                                        </button>
+                                    )}
+                                    <button className='home__contact' onClick={() => send('Give notice', 'terminate', [home.id])}>
+                                        Give notice
+                                    </button>
+                                </>
+                            )}
+                        </Rental>
+                    ))}
+                </>
+            )}
+
+            {account && properties.length > 0 && (
+                <>
+                    <h3>My properties</h3>
+
+                    <hr />
+
+                    {properties.filter(({ rental, agreement }) => rental || agreement).map(({ home, rental, agreement, token, status }) => (
+                        <Rental key={home.id} home={home} rental={rental} agreement={agreement} token={token} status={status}>
+                            {agreement ? (
+                                <>
+                                    <button className='home__buy' onClick={() => send('Claim rent', 'claimRent', [home.id])}>
+                                        Claim rent
+                                    </button>
+                                    {status.isLate && (
+                                        <button className='home__contact' onClick={() => send('Evict', 'evict', [home.id])}>
+                                            Evict
+                                        </button>
+                                    )}
+                                    {status.hasEnded && (
+                                        <button className='home__contact' onClick={() => send('End lease', 'endLease', [home.id])}>
+                                            End lease
+                                        </button>
+                                    )}
+                                </>
+                            ) : rental && (
+                                <button className='home__contact' onClick={() => send('Stop renting', 'withdrawRental', [home.id])}>
+                                    Stop renting
+                                </button>
+                            )}
+                        </Rental>
+                    ))}
+
+                    {properties.filter(({ rental, agreement }) => !rental && !agreement).map(({ home }) => (
+                        <div className='rental' key={home.id}>
+                            <h4>{home.name}</h4>
+                            <OfferForm tokens={tokens} offerHandler={(...terms) => offerHandler(home.id, ...terms)} />
+                        </div>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default Rent;
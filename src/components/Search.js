@@ -1,14 +1,58 @@
-const Search = () => {
+import { SORT_OPTIONS } from '../utils/search';
+
+const Search = ({ filters, setFilters, residenceTypes }) => {
+    const changeHandler = (e) => {
+        setFilters({ ...filters, [e.target.name]: e.target.value })
+    }
+
     return (
-        <header>
-            <h2 className="header__title">Search it. Explore it. Buy it.</h2>
-            <input
-                type="text"
-                className="header__search"
-                placeholder="Enter an address, neighborhood, city, or ZIP code"
-            />
-        </header>
+        <>
+            <header>
+                <h2 className="header__title">Search it. Explore it. Buy it.</h2>
+                <input
+                    type="text"
+                    name="query"
+                    className="header__search"
+                    placeholder="Enter an address, neighborhood, city, or ZIP code"
+                    value={filters.query}
+                    onChange={changeHandler}
+                />
+            </header>
+
+            <div className='filters'>
+                <input type="number" name="minPrice" placeholder="Min price (ETH)" min="0" value={filters.minPrice} onChange={changeHandler} />
+                <input type="number" name="maxPrice" placeholder="Max price (ETH)" min="0" value={filters.maxPrice} onChange={changeHandler} />
+
+                <select name="beds" value={filters.beds} onChange={changeHandler}>
+                    <option value="">Any beds</option>
+                    {[1, 2, 3, 4, 5].map((n) => <option key={n} value={n}>{n}+ bds</option>)}
+                </select>
+
+                <select name="baths" value={filters.baths} onChange={changeHandler}>
+                    <option value="">Any baths</option>
+                    {[1, 2, 3, 4].map((n) => <option key={n} value={n}>{n}+ ba</option>)}
+                </select>
+
+                <input type="number" name="minSqft" placeholder="Min sqft" min="0" value={filters.minSqft} onChange={changeHandler} />
+                <input type="number" name="maxSqft" placeholder="Max sqft" min="0" value={filters.maxSqft} onChange={changeHandler} />
+
+                <select name="type" value={filters.type} onChange={changeHandler}>
+                    <option value="">Any type</option>
+                    {residenceTypes.map((type) => <option key={type} value={type}>{type}</option>)}
+                </select>
+
+                <select name="status" value={filters.status} onChange={changeHandler}>
+                    <option value="all">Listed & sold</option>
+                    <option value="listed">Listed</option>
+                    <option value="sold">Sold</option>
+                </select>
+
+                <select name="sort" value={filters.sort} onChange={changeHandler}>
+                    {SORT_OPTIONS.map((option) => <option key={option.value} value={option.value}>Sort: {option.label}</option>)}
+                </select>
+            </div>
+        </>
     );
 }
 
-export default Search;
\ No newline at end of file
+export default Search;
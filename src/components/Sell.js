@@ -0,0 +1,297 @@
+import { ethers } from 'ethers';
+import { useEffect, useState } from 'react';
+
+import ListingTerms from './ListingTerms';
+
+import { defaultTerms, fetchTermDefaults, termsToArgs, validateListing } from '../utils/listing';
+import { ATTRIBUTES, TRAITS, buildMetadata, emptyForm, formFromMetadata, validateForm } from '../utils/metadata';
+import { STORAGE_BACKEND, storeFile, storeJSON } from '../utils/storage';
+import { ETH, parseAmount } from '../utils/tokens';
+import { decodeError, transact } from '../utils/transactions';
+import { resolveURI } from '../utils/uri';
+
+const CREATE_STEPS = ['Upload photo', 'Upload metadata', 'Mint', 'Approve', 'List']
+const UPDATE_STEPS = ['Upload photo', 'Upload metadata', 'Update']
+
+// One line per step: done, in progress, failed or still to come
+const Progress = ({ steps, current, error }) => (
+    <ol className='sell__progress'>
+        {steps.map((step, index) => (
+            <li
+                key={step}
+                className={
+                    index < current ? 'sell__step sell__step--done' :
+                    index === current ? (error ? 'sell__step sell__step--failed' : 'sell__step sell__step--active') :
+                    'sell__step'
+                }
+            >
+                {step}
+                {index === current && error && `: ${error}`}
+            </li>
+        ))}
+    </ol>
+)
+
+const Field = ({ label, error, children }) => (
+    <label className='sell__field'>
+        {label}
+        {children}
+        {error && <span className='sell__error'>{error}</span>}
+    </label>
+)
+
+const Sell = ({ homes, provider, account, realEstate, escrow, escrowFactory }) => {
+    const [form, setForm] = useState(emptyForm)
+    const [image, setImage] = useState(null)
+    const [errors, setErrors] = useState({})
+
+    const [price, setPrice] = useState('')
+    const [earnest, setEarnest] = useState('')
+    const [buyer, setBuyer] = useState('')
+    const [tokens, setTokens] = useState([ETH])
+    const [terms, setTerms] = useState(defaultTerms)
+
+    // Token being edited, or null when creating a new property
+    const [editing, setEditing] = useState(null)
+    const [editable, setEditable] = useState([])
+
+    const [steps, setSteps] = useState(null)
+    const [current, setCurrent] = useState(0)
+    const [stepError, setStepError] = useState(null)
+
+    const loadEditable = async () => {
+        const { tokens, providers } = await fetchTermDefaults(provider)
+        setTokens(tokens)
+        setTerms((terms) => ({ ...terms, providers }))
+
+        const allowed = await Promise.all(homes.map((home) => realEstate.canUpdate(home.id, account)))
+        setEditable(homes.filter((_, index) => allowed[index]))
+    }
+
+    const updateAttribute = (index, value) => {
+        setForm({ ...form, attributes: form.attributes.map((attribute, i) => i === index ? value : attribute) })
+
+        // Suggest the listing price from the Purchase Price attribute
+        if (ATTRIBUTES[index].trait_type === TRAITS.price && !editing) setPrice(value)
+    }
+
+    const editHandler = (home) => {
+        setEditing(home)
+        setForm(formFromMetadata(home))
+        setImage(null)
+        setErrors({})
+        setSteps(null)
+    }
+
+    const resetHandler = () => {
+        setEditing(null)
+        setForm(emptyForm())
+        setImage(null)
+        setErrors({})
+    }
+
+    // Run each step in turn, stopping at the first failure
+    const run = async (steps, actions) => {
+        setSteps(steps)
+        setStepError(null)
+
+        for (let index = 0; index < actions.length; index++) {
+            setCurrent(index)
+
+            try {
+                await actions[index]()
+            } catch (error) {
+                setStepError(decodeError(error))
+                return false
+            }
+        }
+
+        setCurrent(actions.length)
+        return true
+    }
+
+    // A transaction step, tracked in the toasts like any other; the toast says why it failed
+    const send = async (description, contract, method, args) => {
+        const receipt = await transact(description, contract, method, args)
+        if (!receipt) throw new Error(`${description} failed`)
+
+        return receipt
+    }
+
+    const submitHandler = async (e) => {
+        e.preventDefault()
+
+        const token = tokens.find((token) => token.address === terms.tokenAddress)
+
+        const errors = {
+            ...validateForm(form, { requireImage: !editing, image }),
+            ...(editing ? {} : validateListing({ buyer, price, earnest }, token, terms)),
+        }
+
+        setErrors(errors)
+        if (Object.keys(errors).length > 0) return
+
+        const signer = await provider.getSigner()
+        let imageURI = editing ? editing.image : null
+        let tokenURI = null
+        let nftID = editing ? editing.id : null
+
+        const upload = [
+            async () => { if (image) imageURI = await storeFile(image) },
+            async () => { tokenURI = await storeJSON(buildMetadata(form, imageURI)) },
+        ]
+
+        if (editing) {
+            const done = await run(UPDATE_STEPS, [
+                ...upload,
+                () => send('Update property', realEstate.connect(signer), 'setTokenURI', [nftID, tokenURI]),
+            ])
+
+            if (done) resetHandler()
+            return
+        }
+
+        const done = await run(CREATE_STEPS, [
+            ...upload,
+            async () => {
+                const receipt = await send('Mint property', realEstate.connect(signer), 'mint', [tokenURI])
+
+                const minted = receipt.logs
+                    .filter((log) => log.address.toLowerCase() === realEstate.address.toLowerCase())
+                    .map((log) => realEstate.interface.parseLog(log))
+                    .find((event) => event.name === 'Transfer')
+                nftID = minted.args.tokenId
+            },
+            () => send('Approve escrow', realEstate.connect(signer), 'approve', [(escrowFactory || escrow).address, nftID]),
+            async () => {
+                const listing = [
+                    nftID,
+                    buyer ? ethers.utils.getAddress(buyer) : ethers.constants.AddressZero,
+                    parseAmount(price, token),
+                    parseAmount(earnest, token),
+                ]
+
+                // The factory gives the sale an escrow of its own
+                return escrowFactory
+                    ? send('List property', escrowFactory.connect(signer), 'createEscrow', [listing, ...termsToArgs(terms)])
+                    : send('List property', escrow.connect(signer), 'list', [...listing, ...termsToArgs(terms)])
+            },
+        ])
+
+        if (done) {
+            resetHandler()
+            setPrice('')
+            setEarnest('')
+            setBuyer('')
+        }
+    }
+
+    useEffect(() => {
+        if (realEstate && account) loadEditable()
+        else setEditable([])
+    }, [realEstate, account, homes])
+
+    const isRunning = steps !== null && current < steps.length && !stepError
+
+    return (
+        <div className='cards__section'>
+            <h3>{editing ? `Edit ${editing.name}` : 'Sell a property'}</h3>
+
+            <hr />
+
+            {!account ? (
+                <p className='sell__empty'>Connect your wallet to sell a property</p>
+            ) : (
+                <form className='sell' onSubmit={submitHandler} noValidate>
+                    <Field label='Name' error={errors.name}>
+                        <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                    </Field>
+
+                    <Field label='Address' error={errors.address}>
+                        <input type="text" value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} />
+                    </Field>
+
+                    <Field label='Description' error={errors.description}>
+                        <textarea rows="4" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+                    </Field>
+
+                    <Field label={editing ? 'Photo (leave empty to keep the current one)' : 'Photo'} error={errors.image}>
+                        <input type="file" accept="image/*" onChange={(e) => setImage(e.target.files[0] || null)} />
+                    </Field>
+
+                    {editing && !image && editing.image && (
+                        <img className='sell__preview' src={resolveURI(editing.image)} alt="Current" />
+                    )}
+
+                    <div className='bulk__shared'>
+                        {ATTRIBUTES.map(({ trait_type, type }, index) => (
+                            <Field key={trait_type} label={trait_type} error={errors[trait_type]}>
+                                <input type={type} value={form.attributes[index]} onChange={(e) => updateAttribute(index, e.target.value)} />
+                            </Field>
+                        ))}
+                    </div>
+
+                    {!editing && (
+                        <>
+                            <h4>Listing</h4>
+
+                            <div className='bulk__shared'>
+                                <Field label='Price' error={errors.price}>
+                                    <input type="number" step="any" min="0" value={price} onChange={(e) => setPrice(e.target.value)} />
+                                </Field>
+                                <Field label='Earnest' error={errors.earnest}>
+                                    <input type="number" step="any" min="0" value={earnest} onChange={(e) => setEarnest(e.target.value)} />
+                                </Field>
+                                <Field label='Buyer (blank for open market)' error={errors.buyer}>
+                                    <input type="text" placeholder="0x..." value={buyer} onChange={(e) => setBuyer(e.target.value)} />
+                                </Field>
+                            </div>
+
+                            <ListingTerms tokens={tokens} terms={terms} setTerms={setTerms} errors={errors} />
+                        </>
+                    )}
+
+                    {STORAGE_BACKEND === 'data' && (
+                        <p className='sell__note'>Photos and metadata will be stored on-chain as data URIs. Set REACT_APP_IPFS_API to upload them to IPFS instead.</p>
+                    )}
+
+                    {steps && <Progress steps={steps} current={current} error={stepError} />}
+
+                    <button type="submit" className='home__buy' disabled={isRunning}>
+                        {isRunning ? 'Pending...' : editing ? 'Save changes' : 'Mint & list'}
+                    </button>
+
+                    {editing && (
+                        <button type="button" className='home__contact' onClick={resetHandler} disabled={isRunning}>
+                            Cancel
+                        </button>
+                    )}
+                </form>
+            )}
+
+            {editable.length > 0 && (
+                <>
+                    <h3>My unsold properties</h3>
+
+                    <hr />
+
+                    <ul className='sell__editable'>
+                        {editable.map((home) => (
+                            <li key={home.id}>
+                                <div>
+                                    <strong>{home.name}</strong>
+                                    <p>{home.address}</p>
+                                </div>
+                                <button className='home__contact' onClick={() => editHandler(home)} disabled={isRunning}>
+                                    Edit
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default Sell;
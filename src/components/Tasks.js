@@ -0,0 +1,121 @@
+import { Fragment, useEffect, useState } from 'react';
+
+import { ACTIONS, fetchTasks, runBatch } from '../utils/tasks';
+
+const Tasks = ({ homes, provider, account, escrow, escrowFactory, togglePop }) => {
+    const [tasks, setTasks] = useState([])
+    const [pending, setPending] = useState(null)
+
+    // What was typed for actions that take a value, by `${nftID}-${action}`
+    const [inputs, setInputs] = useState({})
+
+    const loadTasks = async () => {
+        setTasks(await fetchTasks(escrowFactory, escrow, account, homes))
+    }
+
+    const actionHandler = async (home, escrow, action) => {
+        const signer = await provider.getSigner()
+
+        setPending(`${home.id}-${action}`)
+
+        try {
+            await ACTIONS[action].run(escrow.connect(signer), home.id, inputs[`${home.id}-${action}`])
+        } finally {
+            setPending(null)
+            loadTasks()
+        }
+    }
+
+    const batchHandler = async (action, listings) => {
+        const signer = await provider.getSigner()
+
+        setPending(`all-${action}`)
+
+        try {
+            await runBatch(signer, action, listings)
+        } finally {
+            setPending(null)
+            loadTasks()
+        }
+    }
+
+    // Listings waiting on the same batchable action, when there is more than one
+    const batches = Object.entries(
+        tasks.reduce((batches, { home, escrow, actions }) => {
+            for (const action of actions.filter((action) => ACTIONS[action].call)) {
+                const listings = batches[action] || []
+                if (!listings.some(({ nftID }) => nftID === home.id)) batches[action] = [...listings, { escrow, nftID: home.id }]
+            }
+            return batches
+        }, {})
+    ).filter(([, listings]) => listings.length > 1)
+
+    useEffect(() => {
+        if (escrow && account) loadTasks()
+        else setTasks([])
+    }, [escrow, escrowFactory, account, homes])
+
+    if (tasks.length === 0) return null
+
+    return (
+        <div className='tasks'>
+            <h3>My tasks</h3>
+
+            <hr />
+
+            {batches.length > 0 && (
+                <div className='tasks__batch'>
+                    {batches.map(([action, listings]) => (
+                        <button
+                            key={action}
+                            className={action.startsWith('fail') ? 'task__action task__action--reject' : 'task__action'}
+                            onClick={() => batchHandler(action, listings)}
+                            disabled={pending !== null}
+                        >
+                            {pending === `all-${action}` ? 'Pending...' : `${ACTIONS[action].label} on all ${listings.length}`}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <ul className='tasks__list'>
+                {tasks.map(({ home, escrow, role, actions }) => (
+                    <li className='task' key={`${home.id}-${role}`}>
+                        <div className='task__info' onClick={() => togglePop(home)}>
+                            <strong>{home.name}</strong>
+                            <p>{home.address}</p>
+                            <span className='task__role'>{role}</span>
+                        </div>
+
+                        <div className='task__actions'>
+                            {actions.map((action) => (
+                                <Fragment key={action}>
+                                    {ACTIONS[action].input && (
+                                        <input
+                                            className='task__input'
+                                            type="number"
+                                            step="any"
+                                            min="0"
+                                            placeholder={ACTIONS[action].input}
+                                            value={inputs[`${home.id}-${action}`] || ''}
+                                            onChange={(e) => setInputs({ ...inputs, [`${home.id}-${action}`]: e.target.value })}
+                                        />
+                                    )}
+                                    <button
+                                        className={action.startsWith('fail') ? 'task__action task__action--reject' : 'task__action'}
+                                        onClick={() => actionHandler(home, escrow, action)}
+                                        disabled={pending !== null || (ACTIONS[action].input && !(Number(inputs[`${home.id}-${action}`]) > 0))}
+                                    >
+                                        {pending === `${home.id}-${action}` ? 'Pending...' : ACTIONS[action].label}
+                                    </button>
+                                </Fragment>
+                            ))}
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default Tasks;
@@ -0,0 +1,42 @@
+import { dismiss, useTransactions } from '../utils/transactions';
+
+const STATUS = {
+    checking: 'Checking...',
+    pending: 'Pending',
+    mined: 'Confirmed',
+    replaced: 'Confirmed',
+    failed: 'Failed',
+}
+
+const Toasts = () => {
+    const transactions = useTransactions()
+
+    return (
+        <ul className='toasts'>
+            {transactions.map(({ id, description, status, hash, message }) => (
+                <li key={id} className={`toast toast--${status}`}>
+                    <div className='toast__header'>
+                        <strong>{description}</strong>
+                        <span>{STATUS[status]}</span>
+                    </div>
+
+                    {message && <p>{message}</p>}
+
+                    {hash && (
+                        <p className='toast__hash' title={hash}>
+                            {hash.slice(0, 10) + '...' + hash.slice(58, 66)}
+                        </p>
+                    )}
+
+                    {status !== 'checking' && status !== 'pending' && (
+                        <button className='toast__close' onClick={() => dismiss(id)} aria-label="Dismiss">
+                            &times;
+                        </button>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+export default Toasts;
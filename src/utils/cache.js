@@ -0,0 +1,44 @@
+// Token metadata cached in IndexedDB, keyed by token URI, so returning
+// visitors only hit IPFS for homes they have not seen before. Any IndexedDB
+// failure (private browsing, old browsers) falls back to no caching.
+
+const DB_NAME = 'blockestate'
+const DB_VERSION = 1
+const STORE = 'metadata'
+
+let db = null
+
+const openDB = () => {
+    if (!db) {
+        db = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE)
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        }).catch((error) => {
+            db = null
+            throw error
+        })
+    }
+
+    return db
+}
+
+// Run a single request against the metadata store
+const run = async (mode, operation) => {
+    const database = await openDB()
+
+    return new Promise((resolve, reject) => {
+        const request = operation(database.transaction(STORE, mode).objectStore(STORE))
+
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+export const getCached = (uri) => run('readonly', (store) => store.get(uri)).catch(() => undefined)
+
+export const setCached = (uri, metadata) => run('readwrite', (store) => store.put(metadata, uri)).catch(() => undefined)
+
+export const evictCached = (uri) => run('readwrite', (store) => store.delete(uri)).catch(() => undefined)
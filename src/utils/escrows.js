@@ -0,0 +1,68 @@
+// Where a property's sale lives. Deployments with an EscrowFactory list each
+// sale in its own Escrow clone, found through the factory's registry; older
+// ones list everything in the single Escrow from config.json. With a factory,
+// that Escrow is only the implementation the clones copy and never holds a sale.
+
+import { ethers } from 'ethers';
+
+import Escrow from '../abis/Escrow.json';
+
+// EscrowFactory.Status of a deal that was sold, cancelled, expired or resolved
+const CLOSED = 3
+
+const escrowAt = (address, provider) => new ethers.Contract(address, Escrow, provider)
+
+// The escrow holding a property's latest deal, null when the factory never listed it
+export const fetchEscrow = async (escrowFactory, escrow, nftID) => {
+    if (!escrowFactory) return escrow
+
+    const address = await escrowFactory.escrowOf(nftID)
+    return address === ethers.constants.AddressZero ? null : escrowAt(address, escrow.provider)
+}
+
+// Every escrow a property may have been sold through, for its history: only
+// the factory's clones, since the implementation never holds a sale
+export const fetchEscrows = async (escrowFactory, escrow, nftID) => {
+    if (!escrowFactory) return [escrow]
+
+    const deals = await escrowFactory.getDeals(await escrowFactory.dealsForNFT(nftID))
+    return deals.map((deal) => escrowAt(deal.escrow, escrow.provider))
+}
+
+// Deals the account is a party to and that are still running, each as
+// { nftID, escrow }. Without a factory, every listed home in the shared escrow.
+export const fetchActiveDeals = async (escrowFactory, escrow, account, homes) => {
+    if (!escrowFactory) {
+        const listed = await Promise.all(homes.map((home) => escrow.isListed(home.id)))
+        return homes.filter((_, index) => listed[index]).map((home) => ({ nftID: home.id, escrow }))
+    }
+
+    const deals = await escrowFactory.getDeals(await escrowFactory.dealsForParty(account))
+
+    return deals
+        .filter((deal) => deal.status !== CLOSED)
+        .map((deal) => ({ nftID: deal.nftID.toString(), escrow: escrowAt(deal.escrow, escrow.provider) }))
+}
+
+// Call handler(nftID) for each of the named events from any of the app's escrows
+// -> Clones have no address to filter on, so match the event from any contract
+//    and check the factory made the one that emitted it. Returns an unsubscribe.
+export const onEscrowEvents = (escrowFactory, escrow, names, handler) => {
+    if (!escrowFactory) {
+        const filters = names.map((name) => escrow.filters[name]())
+        filters.forEach((filter) => escrow.on(filter, handler))
+
+        return () => filters.forEach((filter) => escrow.off(filter, handler))
+    }
+
+    const provider = escrow.provider
+    const filter = { topics: [names.map((name) => escrow.interface.getEventTopic(name))] }
+
+    const logHandler = async (log) => {
+        if (log.address !== escrow.address && !(await escrowFactory.isEscrow(log.address))) return
+        handler(escrow.interface.parseLog(log).args.nftID)
+    }
+
+    provider.on(filter, logHandler)
+    return () => provider.off(filter, logHandler)
+}
@@ -0,0 +1,108 @@
+// Fractional ownership: a property locked in a Vault (found through the
+// VaultFactory registry) is owned by whoever holds the vault's ERC-20 shares.
+// Holders are rebuilt from the share token's Transfer events.
+
+import { ethers } from 'ethers';
+
+import EscrowFactory from '../abis/EscrowFactory.json';
+import Vault from '../abis/Vault.json';
+
+import { fetchToken } from './tokens';
+
+// The property's current vault contract, or null when it was never fractionalized
+export const fetchVault = async (vaultFactory, nftID) => {
+    const address = await vaultFactory.vaults(nftID)
+    if (address === ethers.constants.AddressZero) return null
+
+    return new ethers.Contract(address, Vault, vaultFactory.provider)
+}
+
+// The EscrowFactory vaults buy the shares on offer through
+export const fetchVaultEscrowFactory = async (vaultFactory) => {
+    return new ethers.Contract(await vaultFactory.escrowFactory(), EscrowFactory, vaultFactory.provider)
+}
+
+// Share balances by holder, largest first
+const fetchHolders = async (vault) => {
+    const transfers = await vault.queryFilter(vault.filters.Transfer())
+    const balances = {}
+
+    for (const { args: { from, to, value } } of transfers) {
+        if (from !== ethers.constants.AddressZero) balances[from] = balances[from].sub(value)
+        if (to !== ethers.constants.AddressZero) balances[to] = (balances[to] || ethers.constants.Zero).add(value)
+    }
+
+    return Object.entries(balances)
+        .filter(([, shares]) => shares.gt(0))
+        .map(([address, shares]) => ({ address, shares: shares.toNumber() }))
+        .sort((a, b) => b.shares - a.shares)
+}
+
+// Everything the Home modal shows about a vault, plus `account`'s stake in it
+export const fetchVaultDetails = async (vault, account) => {
+    const [
+        token, curator, supply, pricePerShare, sharesForSale, sharesSold, offeringDeadline,
+        escrow, offeringClosed, isOfferingOpen, isOfferingFailed, released, buyout, isBuyoutApproved, isBuyoutRejected, holders,
+    ] = await Promise.all([
+        vault.paymentToken().then((address) => fetchToken(address, vault.provider)),
+        vault.curator(),
+        vault.totalSupply(),
+        vault.pricePerShare(),
+        vault.sharesForSale(),
+        vault.sharesSold(),
+        vault.offeringDeadline(),
+        vault.escrow(),
+        vault.offeringClosed(),
+        vault.isOfferingOpen(),
+        vault.isOfferingFailed(),
+        vault.released(),
+        vault.buyout(),
+        vault.isBuyoutApproved(),
+        vault.isBuyoutRejected(),
+        fetchHolders(vault),
+    ])
+
+    const hasBuyout = buyout.proposer !== ethers.constants.AddressZero
+
+    const stake = account ? await Promise.all([
+        vault.balanceOf(account),
+        vault.sharesPurchased(account),
+        vault.withdrawableProceeds(account),
+        hasBuyout ? vault.hasVoted(buyout.snapshotId, account) : false,
+    ]) : null
+
+    return {
+        address: vault.address,
+        token,
+        curator,
+        supply: supply.toNumber(),
+        // Shares on offer are only minted as they sell
+        totalShares: supply.add(sharesForSale).sub(sharesSold).toNumber(),
+        pricePerShare,
+        sharesForSale: sharesForSale.toNumber(),
+        sharesSold: sharesSold.toNumber(),
+        offeringDeadline: offeringDeadline.toNumber(),
+        // Set once every share on offer is sold and the vault is buying through it
+        escrow: escrow === ethers.constants.AddressZero ? null : escrow,
+        offeringClosed,
+        isOfferingOpen,
+        isOfferingFailed,
+        released,
+        buyout: hasBuyout ? {
+            proposer: buyout.proposer,
+            price: buyout.price,
+            deadline: buyout.deadline.toNumber(),
+            votesFor: buyout.votesFor.toNumber(),
+            votesAgainst: buyout.votesAgainst.toNumber(),
+            isApproved: isBuyoutApproved,
+            isRejected: isBuyoutRejected,
+        } : null,
+        holders,
+        stake: stake && {
+            shares: stake[0].toNumber(),
+            purchased: stake[1].toNumber(),
+            proceeds: stake[2],
+            hasVoted: stake[3],
+        },
+    }
+}
@@ -0,0 +1,69 @@
+// Provenance for a property, rebuilt from events: RealEstate Transfer events
+// give every change of hands, Escrow SaleFinalized events give the price and
+// the escrow contract that settled it. Transfers into or out of a custodian
+// (an escrow holding a listing, the mortgage holding collateral) are not
+// changes of ownership on their own.
+
+import { ethers } from 'ethers';
+
+import { fetchToken } from './tokens';
+
+const byPosition = (a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex)
+
+// Each entry is { owner, acquiredAt, how, price, token, escrow, transactionHash,
+// logIndex }, oldest first. `how` is 'minted', 'sale' or 'transfer'; only sales
+// carry a price. The transfer's transaction hash and log index identify it.
+export const fetchHistory = async (realEstate, escrows, mortgage, nftID) => {
+    const custodians = [...escrows, mortgage].map((contract) => contract.address)
+
+    const [transfers, ...sales] = await Promise.all([
+        realEstate.queryFilter(realEstate.filters.Transfer(null, null, nftID)),
+        ...escrows.map((escrow) => escrow.queryFilter(escrow.filters.SaleFinalized(nftID))),
+    ])
+
+    const saleByTransaction = Object.fromEntries(sales.flat().map((sale) => [sale.transactionHash, sale]))
+
+    const changes = []
+
+    for (const transfer of transfers.sort(byPosition)) {
+        const { from, to } = transfer.args
+        const sale = saleByTransaction[transfer.transactionHash]
+        const previous = changes.length > 0 ? changes[changes.length - 1].owner : null
+
+        if (sale) {
+            // The closing transfer goes to the buyer, or to the mortgage on their behalf
+            if (previous !== sale.args.buyer) changes.push({ event: transfer, owner: sale.args.buyer, how: 'sale', sale })
+        } else if (from === ethers.constants.AddressZero) {
+            changes.push({ event: transfer, owner: to, how: 'minted' })
+        } else if (!custodians.includes(to) && to !== previous) {
+            // Private transfers, disputes settled in the buyer's favour and foreclosures
+            changes.push({ event: transfer, owner: to, how: 'transfer' })
+        }
+    }
+
+    const provider = realEstate.provider
+    const blocks = {}
+    await Promise.all([...new Set(changes.map(({ event }) => event.blockNumber))].map(async (blockNumber) => {
+        blocks[blockNumber] = await provider.getBlock(blockNumber)
+    }))
+
+    return Promise.all(changes.map(async ({ event, owner, how, sale }) => ({
+        owner,
+        how,
+        acquiredAt: blocks[event.blockNumber].timestamp,
+        price: sale ? sale.args.salePrice : null,
+        token: sale ? await fetchToken(sale.args.paymentToken, provider) : null,
+        escrow: sale ? sale.address : null,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+    })))
+}
+
+// Who the property belongs to, looking through the mortgage to the borrower
+export const fetchOwner = async (realEstate, mortgage, nftID) => {
+    const holder = await realEstate.ownerOf(nftID)
+    if (holder !== mortgage.address) return { owner: holder, isCollateral: false }
+
+    const loan = await mortgage.loans(nftID)
+    return { owner: loan.borrower, isCollateral: true }
+}
@@ -0,0 +1,106 @@
+// Loads homes a page at a time: one call each to RealEstate.getTokenURIs and
+// getListings, then every metadata file in parallel through the cache.
+// -> getListings comes from the EscrowFactory when there is one, which reads
+//    each home's own escrow, or else from the shared Escrow
+
+import { evictCached, getCached, setCached } from './cache';
+import { priceDiffers, validateMetadata } from './metadata';
+import { fetchToken, formatAmount } from './tokens';
+import { resolveURI } from './uri';
+
+export const PAGE_SIZE = 12
+
+// Escrow events that change what a card shows
+export const LISTING_EVENTS = [
+    'Listed',
+    'TermsUpdated',
+    'SaleFinalized',
+    'SaleCancelled',
+    'SaleExpired',
+    'Reclaimed',
+    'DisputeResolved',
+]
+
+export const fetchMetadata = async (uri) => {
+    const cached = await getCached(uri)
+    if (cached) return cached
+
+    const response = await fetch(resolveURI(uri))
+    const metadata = await response.json()
+
+    await setCached(uri, metadata)
+    return metadata
+}
+
+// Stands in for the fields of metadata that could not be read
+const EMPTY_METADATA = { name: '', address: '', description: '', image: '', attributes: [] }
+
+const isAttribute = (attribute) => {
+    return Boolean(attribute) && ['string', 'number'].includes(typeof attribute.value)
+}
+
+// Metadata and what is wrong with it. A token whose metadata fails to load or
+// is malformed still gets a card, with the problems reported on it, rather
+// than failing the whole page.
+const loadMetadata = async (uri) => {
+    let metadata
+
+    try {
+        metadata = await fetchMetadata(uri)
+    } catch (error) {
+        return [EMPTY_METADATA, [`Metadata could not be loaded: ${error.message}`]]
+    }
+
+    const problems = validateMetadata(metadata)
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return [EMPTY_METADATA, problems]
+
+    const attributes = Array.isArray(metadata.attributes) ? metadata.attributes.filter(isAttribute) : []
+    return [{ ...EMPTY_METADATA, ...metadata, attributes }, problems]
+}
+
+// The binding price and earnest of a listed home, as the card shows them
+const toTerms = (metadata, listing, token) => {
+    if (!listing.isListed) return null
+
+    return {
+        price: formatAmount(listing.purchasePrice, token),
+        earnest: formatAmount(listing.escrowAmount, token),
+        differs: priceDiffers(metadata, listing.purchasePrice, token),
+    }
+}
+
+// Card data for one home: its metadata and any problems with it, plus whether
+// it is listed, in which currency and on what terms. The id comes from the
+// token, since metadata minted from the Sell page does not carry one.
+const toHome = async (nftID, uri, listing, provider) => {
+    const [[metadata, problems], token] = await Promise.all([
+        loadMetadata(uri),
+        fetchToken(listing.paymentToken, provider),
+    ])
+
+    return {
+        metadata: { ...metadata, id: String(nftID) },
+        problems,
+        isListed: listing.isListed,
+        currency: token.symbol,
+        terms: toTerms(metadata, listing, token),
+    }
+}
+
+export const fetchHomePage = async (realEstate, escrow, firstID, count = PAGE_SIZE) => {
+    const [uris, listings] = await Promise.all([
+        realEstate.getTokenURIs(firstID, count),
+        escrow.getListings(firstID, count),
+    ])
+
+    return Promise.all(uris.map((uri, index) => toHome(firstID + index, uri, listings[index], escrow.provider)))
+}
+
+// Re-read a single home after a listing or metadata event, dropping its cached metadata first
+export const refreshHome = async (realEstate, escrow, nftID) => {
+    const uri = await realEstate.tokenURI(nftID)
+    await evictCached(uri)
+
+    const [listing] = await escrow.getListings(nftID, 1)
+    return toHome(nftID, uri, listing, escrow.provider)
+}
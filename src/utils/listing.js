@@ -0,0 +1,67 @@
+// Terms shared by every property in a list() or batchList() call: contingency
+// periods, payment token and service providers.
+
+import { ethers } from 'ethers';
+
+import config from '../config.json';
+
+import { ETH, amountError, fetchToken } from './tokens';
+
+const DAY = 24 * 60 * 60
+
+// Same order as Escrow.ServiceProviders
+export const SERVICES = ['inspector', 'lender', 'lawyer', 'appraiser', 'arbitrator']
+
+export const defaultTerms = () => ({
+    tokenAddress: ETH.address,
+    periods: { inspection: '10', financing: '21', closing: '30' },
+    providers: {},
+})
+
+// Payment tokens to offer and the deployment's service providers as defaults
+export const fetchTermDefaults = async (provider) => {
+    const { chainId } = await provider.getNetwork()
+    const deployment = config[chainId]
+
+    const tokens = deployment.paymentToken
+        ? [ETH, await fetchToken(deployment.paymentToken.address, provider)]
+        : [ETH]
+
+    return { tokens, providers: deployment.roles || {} }
+}
+
+// The trailing list() / batchList() arguments, after the per-property ones
+export const termsToArgs = ({ tokenAddress, periods, providers }) => [
+    Number(periods.inspection) * DAY,
+    Number(periods.financing) * DAY,
+    Number(periods.closing) * DAY,
+    tokenAddress,
+    SERVICES.map((service) => ethers.utils.getAddress(providers[service])),
+]
+
+// Errors for a listing's buyer, price, earnest and terms, keyed by field (the
+// period or service name for terms), before anything is parsed or sent.
+// Empty when the listing can be sent as is.
+export const validateListing = ({ buyer, price, earnest }, token, { periods, providers }) => {
+    const errors = {}
+
+    if (!token) errors.token = 'Choose a payment token'
+    if (buyer && !ethers.utils.isAddress(buyer)) errors.buyer = 'Not an address'
+
+    // Checked against ETH's 18 decimals until a token is chosen
+    const priceError = amountError(price, token || ETH)
+    const earnestError = amountError(earnest, token || ETH, { allowZero: true })
+    if (priceError) errors.price = priceError
+    if (earnestError) errors.earnest = earnestError
+
+    // Deadlines are sent in seconds, which have to be whole
+    Object.entries(periods).forEach(([period, days]) => {
+        if (!/^\d+$/.test(String(days).trim())) errors[period] = 'Whole days only'
+    })
+
+    SERVICES.forEach((service) => {
+        if (!ethers.utils.isAddress(providers[service] || '')) errors[service] = 'Not an address'
+    })
+
+    return errors
+}
@@ -0,0 +1,40 @@
+import { defaultTerms, validateListing } from './listing';
+
+const USDC = { address: '0x5FbDB2315678afecb367f032d93F642f64180aa3', symbol: 'USDC', decimals: 6 }
+
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8'
+
+const terms = (changes = {}) => ({
+    ...defaultTerms(),
+    providers: { inspector: ADDRESS, lender: ADDRESS, lawyer: ADDRESS, appraiser: ADDRESS, arbitrator: ADDRESS },
+    ...changes,
+})
+
+describe('validateListing', () => {
+    it('accepts a complete listing', () => {
+        expect(validateListing({ buyer: '', price: '10', earnest: '2' }, USDC, terms())).toEqual({})
+    })
+
+    it('rejects a bad buyer and amounts the token cannot hold', () => {
+        expect(validateListing({ buyer: '0x123', price: '1.0000001', earnest: '' }, USDC, terms())).toEqual({
+            buyer: 'Not an address',
+            price: 'At most 6 decimal places',
+            earnest: 'Must be 0 or more',
+        })
+    })
+
+    it('rejects fractional periods and bad provider addresses', () => {
+        const { periods, providers } = terms()
+
+        const errors = validateListing({ buyer: '', price: '10', earnest: '2' }, USDC, terms({
+            periods: { ...periods, inspection: '1.5' },
+            providers: { ...providers, lender: 'nobody', arbitrator: undefined },
+        }))
+
+        expect(errors).toEqual({ inspection: 'Whole days only', lender: 'Not an address', arbitrator: 'Not an address' })
+    })
+
+    it('needs a payment token', () => {
+        expect(validateListing({ buyer: '', price: '10', earnest: '2' }, undefined, terms())).toEqual({ token: 'Choose a payment token' })
+    })
+})
@@ -0,0 +1,39 @@
+// Mortgage terms for a listing's loan. The buyer's approval accepts the terms
+// the lender has proposed, so unless the earnest pays the whole price the
+// lender proposes them first and the buyer waits.
+
+import { ethers } from 'ethers';
+
+import Mortgage from '../abis/Mortgage.json';
+
+// Monthly installments, as Mortgage counts them
+export const LOAN_INTERVAL = 30 * 24 * 60 * 60
+
+// Offered when the lender does not pick their own, e.g. from My tasks
+export const DEFAULT_LOAN = { rate: '6.5', years: '30' }
+
+// Mortgage.proposeTerms() arguments for an annual rate in percent over whole years
+export const termsArgs = (nftID, rate, years) => [nftID, Math.round(Number(rate) * 100), Number(years) * 12, LOAN_INTERVAL]
+
+// The Mortgage an escrow originates loans through (null if it has none),
+// connected to the escrow's signer or provider
+export const fetchMortgage = async (escrow) => {
+    const address = await escrow.mortgage()
+    if (address === ethers.constants.AddressZero) return null
+
+    return new ethers.Contract(address, Mortgage, escrow.signer || escrow.provider)
+}
+
+// Whether the buyer's approval would revert until the lender proposes terms
+export const awaitsLoanTerms = async (escrow, nftID) => {
+    const mortgage = await fetchMortgage(escrow)
+    if (!mortgage) return false
+
+    const [earnest, price, lender] = await Promise.all([
+        escrow.earnestDeposited(nftID),
+        escrow.purchasePrice(nftID),
+        escrow.lender(nftID),
+    ])
+
+    return earnest.lt(price) && !(await mortgage.hasTerms(nftID, lender))
+}
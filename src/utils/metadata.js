@@ -0,0 +1,171 @@
+// Property metadata as in metadata/*.json, described by metadata.schema.json.
+// Attributes are looked up by trait_type, never by position, since metadata
+// minted elsewhere may list them in any order.
+
+import schema from '../metadata.schema.json';
+
+import { parseAmount } from './tokens';
+
+// One rule per trait the schema requires, in its order:
+// { trait_type, type: 'number' | 'text', min, integer }
+export const ATTRIBUTES = schema.properties.attributes.allOf.map(({ contains }) => {
+    const { trait_type, value } = contains.properties
+
+    return {
+        trait_type: trait_type.const,
+        type: value.type === 'string' ? 'text' : 'number',
+        min: value.minimum,
+        integer: value.type === 'integer',
+    }
+})
+
+// The text fields every property needs besides its attributes
+const FIELDS = schema.required.filter((field) => schema.properties[field].type === 'string')
+
+// Names the app uses for each trait
+export const TRAITS = {
+    price: 'Purchase Price',
+    type: 'Type of Residence',
+    beds: 'Bed Rooms',
+    baths: 'Bathrooms',
+    sqft: 'Square Feet',
+    year: 'Year Built',
+}
+
+const rawAttribute = (metadata, traitType) => {
+    const attributes = Array.isArray(metadata && metadata.attributes) ? metadata.attributes : []
+    const match = attributes.find((attribute) => attribute && attribute.trait_type === traitType)
+
+    return match ? match.value : undefined
+}
+
+// A trait's value parsed to its type: a number for numeric traits, which
+// tolerates numeric strings, and trimmed text otherwise. null when missing
+// or unreadable, so callers pick their own fallback.
+export const getAttribute = (metadata, traitType) => {
+    const value = rawAttribute(metadata, traitType)
+    if (typeof value !== 'string' && typeof value !== 'number') return null
+
+    const text = String(value).trim()
+    if (!text) return null
+
+    const { type } = ATTRIBUTES.find((attribute) => attribute.trait_type === traitType) || {}
+    if (type !== 'number') return text
+
+    const number = Number(text)
+    return Number.isFinite(number) ? number : null
+}
+
+// What a card shows for a trait
+export const formatAttribute = (metadata, traitType, fallback = '—') => {
+    const value = getAttribute(metadata, traitType)
+    return value === null ? fallback : value
+}
+
+// Whether a listing's binding price, in the token's smallest unit, differs
+// from the Purchase Price the metadata advertises in whole tokens (missing
+// or unreadable counts as different)
+export const priceDiffers = (metadata, purchasePrice, token) => {
+    const price = getAttribute(metadata, TRAITS.price)
+    if (price === null) return true
+
+    try {
+        return !parseAmount(price, token).eq(purchasePrice)
+    } catch (error) {
+        return true
+    }
+}
+
+// Why a value breaks a rule, or null when it is fine. Shared by the Sell form
+// (strings from inputs) and validateMetadata (values as stored).
+const valueError = ({ type, min, integer }, value) => {
+    if (value === undefined || value === null || String(value).trim() === '') return 'Required'
+    if (type !== 'number') return null
+
+    const number = Number(value)
+
+    if (Number.isNaN(number)) return 'Must be a number'
+    if (number < min) return `Must be at least ${min}`
+    if (integer && !Number.isInteger(number)) return 'Must be a whole number'
+
+    return null
+}
+
+// Problems with a metadata file, one message each, e.g. 'Bed Rooms: Required';
+// empty when it matches the schema. Stored numbers must be JSON numbers.
+export const validateMetadata = (metadata) => {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return ['Metadata is not a JSON object']
+    }
+
+    const problems = []
+
+    for (const field of FIELDS) {
+        if (typeof metadata[field] !== 'string' || !metadata[field].trim()) problems.push(`${field}: Required`)
+    }
+
+    if (!Array.isArray(metadata.attributes)) {
+        problems.push('attributes: Required')
+        return problems
+    }
+
+    for (const attribute of ATTRIBUTES) {
+        const value = rawAttribute(metadata, attribute.trait_type)
+        let error = valueError(attribute, value)
+
+        if (!error && attribute.type === 'number' && typeof value !== 'number') error = 'Must be a number, not text'
+        if (error) problems.push(`${attribute.trait_type}: ${error}`)
+    }
+
+    return problems
+}
+
+export const emptyForm = () => ({
+    name: '',
+    address: '',
+    description: '',
+    attributes: ATTRIBUTES.map(() => ''),
+})
+
+export const formFromMetadata = (metadata) => ({
+    name: metadata.name || '',
+    address: metadata.address || '',
+    description: metadata.description || '',
+    attributes: ATTRIBUTES.map(({ trait_type }) => {
+        const value = rawAttribute(metadata, trait_type)
+        return value === undefined || value === null ? '' : String(value)
+    }),
+})
+
+// Returns a message per invalid field, e.g. { name: 'Required' }; empty when valid
+export const validateForm = (form, { requireImage = false, image = null } = {}) => {
+    const errors = {}
+
+    for (const field of ['name', 'address', 'description']) {
+        if (!form[field].trim()) errors[field] = 'Required'
+    }
+
+    ATTRIBUTES.forEach((attribute, index) => {
+        const error = valueError(attribute, form.attributes[index])
+        if (error) errors[attribute.trait_type] = error
+    })
+
+    if (requireImage && !image) {
+        errors.image = 'Required'
+    } else if (image && !image.type.startsWith('image/')) {
+        errors.image = 'Must be an image'
+    }
+
+    return errors
+}
+
+export const buildMetadata = (form, image) => ({
+    name: form.name.trim(),
+    address: form.address.trim(),
+    description: form.description.trim(),
+    image,
+    attributes: ATTRIBUTES.map(({ trait_type, type }, index) => ({
+        trait_type,
+        value: type === 'number' ? Number(form.attributes[index]) : form.attributes[index].trim(),
+    })),
+})
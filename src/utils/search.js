@@ -0,0 +1,99 @@
+// Search and filter state for the listings grid, kept in sync with the URL
+// query string so a filtered view can be shared as a link.
+
+import { TRAITS, getAttribute } from './metadata';
+
+export const DEFAULT_FILTERS = {
+    query: '',
+    minPrice: '',
+    maxPrice: '',
+    beds: '',
+    baths: '',
+    minSqft: '',
+    maxSqft: '',
+    type: '',
+    status: 'all',
+    sort: 'default',
+}
+
+export const SORT_OPTIONS = [
+    { value: 'default', label: 'Default' },
+    { value: 'price-asc', label: 'Price (low to high)' },
+    { value: 'price-desc', label: 'Price (high to low)' },
+    { value: 'beds-desc', label: 'Bedrooms' },
+    { value: 'baths-desc', label: 'Bathrooms' },
+    { value: 'sqft-desc', label: 'Square feet' },
+]
+
+// Homes missing a number sort and filter as 0
+const number = (home, traitType) => getAttribute(home, traitType) || 0
+
+const SORT_KEYS = {
+    price: (home) => number(home, TRAITS.price),
+    beds: (home) => number(home, TRAITS.beds),
+    baths: (home) => number(home, TRAITS.baths),
+    sqft: (home) => number(home, TRAITS.sqft),
+}
+
+export const residenceTypes = (homes) => {
+    return [...new Set(homes.map((home) => getAttribute(home, TRAITS.type)).filter(Boolean))]
+}
+
+export const parseFilters = (search) => {
+    const params = new URLSearchParams(search)
+    const filters = { ...DEFAULT_FILTERS }
+
+    Object.keys(DEFAULT_FILTERS).forEach((key) => {
+        if (params.has(key)) filters[key] = params.get(key)
+    })
+
+    // A hand-edited link can name a sort that does not exist
+    if (!SORT_OPTIONS.some(({ value }) => value === filters.sort)) filters.sort = DEFAULT_FILTERS.sort
+
+    return filters
+}
+
+export const serializeFilters = (filters) => {
+    const params = new URLSearchParams()
+
+    // Only keep what differs from the defaults so shared links stay short
+    Object.keys(DEFAULT_FILTERS).forEach((key) => {
+        if (filters[key] !== DEFAULT_FILTERS[key]) params.set(key, filters[key])
+    })
+
+    return params.toString()
+}
+
+const matchesQuery = (home, query) => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean)
+    const haystack = `${home.name} ${home.address}`.toLowerCase()
+
+    return terms.every((term) => haystack.includes(term))
+}
+
+const inRange = (value, min, max) => {
+    if (min !== '' && value < Number(min)) return false
+    if (max !== '' && value > Number(max)) return false
+    return true
+}
+
+export const filterHomes = (homes, filters, listed = {}) => {
+    const results = homes.filter((home) => {
+        if (filters.query && !matchesQuery(home, filters.query)) return false
+        if (!inRange(SORT_KEYS.price(home), filters.minPrice, filters.maxPrice)) return false
+        if (!inRange(SORT_KEYS.beds(home), filters.beds, '')) return false
+        if (!inRange(SORT_KEYS.baths(home), filters.baths, '')) return false
+        if (!inRange(SORT_KEYS.sqft(home), filters.minSqft, filters.maxSqft)) return false
+        if (filters.type && getAttribute(home, TRAITS.type) !== filters.type) return false
+        if (filters.status === 'listed' && !listed[home.id]) return false
+        if (filters.status === 'sold' && listed[home.id]) return false
+        return true
+    })
+
+    if (filters.sort === 'default') return results
+
+    const [key, direction] = filters.sort.split('-')
+    const value = SORT_KEYS[key]
+
+    return results.sort((a, b) => direction === 'asc' ? value(a) - value(b) : value(b) - value(a))
+}
@@ -0,0 +1,26 @@
+import { DEFAULT_FILTERS, filterHomes, parseFilters, serializeFilters } from './search';
+
+const home = (id, price) => ({
+    id,
+    name: `Home ${id}`,
+    address: `${id} Main St`,
+    attributes: [{ trait_type: 'Purchase Price', value: price }],
+})
+
+describe('parseFilters', () => {
+    it('reads filters from the query string', () => {
+        expect(parseFilters('?query=main&sort=price-desc')).toEqual({ ...DEFAULT_FILTERS, query: 'main', sort: 'price-desc' })
+    })
+
+    it('falls back to the default sort for one that does not exist', () => {
+        const filters = parseFilters('?sort=foo-asc')
+
+        expect(filters.sort).toEqual(DEFAULT_FILTERS.sort)
+        expect(() => filterHomes([home(1, 20), home(2, 10)], filters)).not.toThrow()
+    })
+
+    it('round-trips through serializeFilters', () => {
+        const filters = { ...DEFAULT_FILTERS, minPrice: '5', sort: 'beds-desc' }
+        expect(parseFilters(serializeFilters(filters))).toEqual(filters)
+    })
+})
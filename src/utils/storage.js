@@ -0,0 +1,36 @@
+// Where new photos and metadata are stored. With REACT_APP_IPFS_API pointing
+// at an IPFS HTTP API (e.g. a local node on http://127.0.0.1:5001) files are
+// added and pinned there and referenced as ipfs:// URIs; otherwise they are
+// embedded on-chain as data: URIs, like `METADATA_SOURCE=local` in the deploy
+// script. Embedding is fine for local chains but costly for large photos.
+
+const IPFS_API = (process.env.REACT_APP_IPFS_API || '').replace(/\/+$/, '')
+
+export const STORAGE_BACKEND = IPFS_API ? 'ipfs' : 'data'
+
+const addToIPFS = async (blob) => {
+    const body = new FormData()
+    body.append('file', blob)
+
+    const response = await fetch(`${IPFS_API}/api/v0/add?pin=true`, { method: 'POST', body })
+    if (!response.ok) throw new Error(`IPFS upload failed (${response.status})`)
+
+    const { Hash } = await response.json()
+    return `ipfs://${Hash}`
+}
+
+const toDataURI = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader()
+
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+})
+
+const store = (blob) => STORAGE_BACKEND === 'ipfs' ? addToIPFS(blob) : toDataURI(blob)
+
+// Returns the URI to put in the metadata's image field
+export const storeFile = (file) => store(file)
+
+// Returns the URI to mint or set as the token URI
+export const storeJSON = (data) => store(new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' }))
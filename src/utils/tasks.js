@@ -0,0 +1,237 @@
+// Role detection and the "My tasks" queue: which listings are waiting on the
+// connected account, and the Escrow calls that move each one forward.
+
+import { fetchActiveDeals } from './escrows';
+import { DEFAULT_LOAN, awaitsLoanTerms, fetchMortgage, termsArgs } from './loans';
+import { fetchPaymentToken, parseAmount, preparePayment } from './tokens';
+import { transact } from './transactions';
+
+// Deposit `amount` of the listing's payment token through escrow[method](nftID, amount)
+const pay = async (escrow, nftID, label, method, amount) => {
+    const token = await fetchPaymentToken(escrow, nftID)
+    const overrides = await preparePayment(token, amount, escrow.signer, escrow.address)
+    if (!overrides) return null
+
+    return transact(label, escrow, method, [nftID, amount, overrides])
+}
+
+// An action that sends no payment: it runs its own call, and can be batched
+const simple = (label, call) => ({
+    label,
+    run: (escrow, nftID) => transact(label, escrow, ...call(nftID)),
+    call,
+})
+
+// Every action receives an Escrow instance already connected to the signer,
+// and resolves to the receipt, or null when the transaction did not go
+// through. Actions that send no payment also describe their call, so several
+// of them can go through Escrow.multicall in one transaction (see runBatch).
+// Actions with an `input` take the value the user typed as a third argument.
+export const ACTIONS = {
+    passInspection: simple('Pass inspection', (nftID) => ['updateInspectionStatus', [nftID, true]]),
+    failInspection: simple('Fail inspection', (nftID) => ['updateInspectionStatus', [nftID, false]]),
+    appraise: {
+        label: 'Record appraisal',
+        input: 'Appraised value',
+        run: async (escrow, nftID, value) => {
+            const token = await fetchPaymentToken(escrow, nftID)
+            return transact('Record appraisal', escrow, 'recordAppraisal', [nftID, parseAmount(value, token)])
+        },
+    },
+    passLegal: simple('Pass legal', (nftID) => ['updateLegalStatus', [nftID, true]]),
+    failLegal: simple('Fail legal', (nftID) => ['updateLegalStatus', [nftID, false]]),
+    deposit: {
+        label: 'Deposit earnest',
+        run: async (escrow, nftID) => pay(escrow, nftID, 'Deposit earnest', 'depositEarnest', await escrow.escrowAmount(nftID)),
+    },
+    fund: {
+        label: 'Fund loan',
+        run: async (escrow, nftID) => {
+            // The buyer's approval accepts the loan terms, so they go in before the
+            // funds, at the usual rate and length unless the lender proposed their own
+            const mortgage = await fetchMortgage(escrow)
+            const lender = await escrow.lender(nftID)
+
+            if (mortgage && !(await mortgage.hasTerms(nftID, lender)) && !(await mortgage.buyerApproved(nftID))) {
+                const args = termsArgs(nftID, DEFAULT_LOAN.rate, DEFAULT_LOAN.years)
+                if (!await transact('Propose loan terms', mortgage, 'proposeTerms', args)) return null
+            }
+
+            const price = await escrow.purchasePrice(nftID)
+            const funded = await escrow.getListingBalance(nftID)
+            const earnest = await escrow.earnestDeposited(nftID)
+
+            // Until the buyer deposits, assume the agreed escrow amount will cover their share
+            const expected = earnest.gt(0) ? funded : funded.add(await escrow.escrowAmount(nftID))
+            const remainder = price.sub(expected)
+
+            // The lender can never fund more than the appraised value in total
+            const headroom = (await escrow.appraisedValue(nftID)).sub(await escrow.lenderDeposited(nftID))
+            const amount = remainder.gt(headroom) ? headroom : remainder
+
+            return pay(escrow, nftID, 'Fund loan', 'depositLoan', amount)
+        },
+    },
+    approve: simple('Approve sale', (nftID) => ['approveSale', [nftID]]),
+    finalize: {
+        label: 'Finalize sale',
+        run: (escrow, nftID) => transact('Finalize sale', escrow, 'finalizeSale', [nftID]),
+    },
+}
+
+// Run one action on many listings, given as { escrow, nftID }, with one
+// transaction per escrow: the shared Escrow takes them all in one multicall,
+// while each clone from EscrowFactory holds a single sale
+export const runBatch = async (signer, action, listings) => {
+    const byEscrow = {}
+
+    for (const { escrow, nftID } of listings) {
+        byEscrow[escrow.address] = byEscrow[escrow.address] || { escrow: escrow.connect(signer), nftIDs: [] }
+        byEscrow[escrow.address].nftIDs.push(nftID)
+    }
+
+    let receipt = null
+
+    for (const { escrow, nftIDs } of Object.values(byEscrow)) {
+        const calls = nftIDs.map((nftID) => escrow.interface.encodeFunctionData(...ACTIONS[action].call(nftID)))
+
+        receipt = nftIDs.length === 1
+            ? await ACTIONS[action].run(escrow, nftIDs[0])
+            : await transact(`${ACTIONS[action].label} on ${nftIDs.length} listings`, escrow, 'multicall', [calls])
+
+        if (!receipt) return null
+    }
+
+    return receipt
+}
+
+// Service providers are named per listing
+export const fetchRoles = async (escrow, nftID) => {
+    const [inspector, lender, lawyer, appraiser, arbitrator] = await Promise.all([
+        escrow.inspector(nftID),
+        escrow.lender(nftID),
+        escrow.lawyer(nftID),
+        escrow.appraiser(nftID),
+        escrow.arbitrator(nftID),
+    ])
+
+    return { inspector, lender, lawyer, appraiser, arbitrator }
+}
+
+const fetchListing = async (escrow, nftID) => {
+    const [buyer, seller, roles, awaitingTerms] = await Promise.all([
+        escrow.buyer(nftID),
+        escrow.seller(nftID),
+        fetchRoles(escrow, nftID),
+        awaitsLoanTerms(escrow, nftID),
+    ])
+
+    const [
+        inspectionPassed,
+        legalPassed,
+        isFinanced,
+        earnestDeposited,
+        purchasePrice,
+        appraisedValue,
+        listingBalance,
+        buyerApproved,
+        sellerApproved,
+        lenderApproved,
+    ] = await Promise.all([
+        escrow.inspectionPassed(nftID),
+        escrow.legalPassed(nftID),
+        escrow.isFinanced(nftID),
+        escrow.earnestDeposited(nftID),
+        escrow.purchasePrice(nftID),
+        escrow.appraisedValue(nftID),
+        escrow.getListingBalance(nftID),
+        escrow.approval(nftID, buyer),
+        escrow.approval(nftID, seller),
+        escrow.approval(nftID, roles.lender),
+    ])
+
+    return {
+        buyer,
+        seller,
+        roles,
+        inspectionPassed,
+        legalPassed,
+        isFinanced,
+        hasEarnest: earnestDeposited.gt(0),
+        isAppraised: appraisedValue.gt(0),
+        isFunded: listingBalance.gte(purchasePrice),
+        buyerApproved,
+        sellerApproved,
+        lenderApproved,
+        awaitingTerms,
+    }
+}
+
+// Roles the account holds on a single listing
+export const rolesFor = (account, listing) => {
+    const { roles } = listing
+    const held = []
+
+    if (account === roles.inspector) held.push('inspector')
+    if (account === roles.appraiser) held.push('appraiser')
+    if (account === roles.lawyer) held.push('lawyer')
+    if (account === roles.lender) held.push('lender')
+    if (account === listing.seller) held.push('seller')
+    if (account === listing.buyer) held.push('buyer')
+
+    return held
+}
+
+// Actions waiting on one role in a listing, in the order they are shown
+export const actionsFor = (role, listing) => {
+    switch (role) {
+        case 'inspector':
+            return listing.inspectionPassed ? [] : ['passInspection', 'failInspection']
+        case 'appraiser':
+            return listing.isAppraised ? [] : ['appraise']
+        case 'lawyer':
+            return listing.legalPassed ? [] : ['passLegal', 'failLegal']
+        case 'lender':
+            // Funding is capped by the appraisal, so nothing to do until it is in
+            if (!listing.isAppraised) return []
+            if (!listing.isFunded) return ['fund']
+            return listing.lenderApproved ? [] : ['approve']
+        case 'buyer':
+            if (!listing.hasEarnest) return ['deposit']
+
+            // Approving accepts the loan terms, so the lender proposes them first
+            if (listing.awaitingTerms) return []
+            return listing.buyerApproved ? [] : ['approve']
+        case 'seller':
+            if (!listing.sellerApproved) return ['approve']
+
+            // Only offer finalize once nothing else is outstanding
+            return (
+                listing.inspectionPassed &&
+                listing.legalPassed &&
+                listing.isFinanced &&
+                listing.buyerApproved
+            ) ? ['finalize'] : []
+        default:
+            return []
+    }
+}
+
+// Each task is { home, escrow, role, actions }, escrow being where the home's sale lives
+export const fetchTasks = async (escrowFactory, escrow, account, homes) => {
+    const tasks = []
+
+    for (const deal of await fetchActiveDeals(escrowFactory, escrow, account, homes)) {
+        const home = homes.find((home) => home.id === deal.nftID)
+        if (!home) continue
+
+        const listing = await fetchListing(deal.escrow, home.id)
+
+        for (const role of rolesFor(account, listing)) {
+            const actions = actionsFor(role, listing)
+            if (actions.length > 0) tasks.push({ home, escrow: deal.escrow, role, actions })
+        }
+    }
+
+    return tasks
+}
@@ -0,0 +1,72 @@
+import { actionsFor, rolesFor } from './tasks';
+
+const INSPECTOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8'
+const LENDER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC'
+const LAWYER = '0x90F79bf6EB2c4f870365E785982E1f101E93b906'
+const APPRAISER = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65'
+const ARBITRATOR = '0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc'
+const BUYER = '0x976EA74026E726554dB657fA54763abd0C3a0aa9'
+const SELLER = '0x14dC79964da2C08b23698B3D3cc7Ca32193d9955'
+
+// A listing under contract that nobody has acted on yet
+const listing = (changes = {}) => ({
+    buyer: BUYER,
+    seller: SELLER,
+    roles: { inspector: INSPECTOR, lender: LENDER, lawyer: LAWYER, appraiser: APPRAISER, arbitrator: ARBITRATOR },
+    inspectionPassed: false,
+    legalPassed: false,
+    isFinanced: false,
+    hasEarnest: false,
+    isAppraised: false,
+    isFunded: false,
+    buyerApproved: false,
+    sellerApproved: false,
+    lenderApproved: false,
+    awaitingTerms: true,
+    ...changes,
+})
+
+describe('rolesFor', () => {
+    it('finds the appraiser', () => {
+        expect(rolesFor(APPRAISER, listing())).toEqual(['appraiser'])
+    })
+
+    it('finds every role an account holds', () => {
+        const roles = { ...listing().roles, inspector: SELLER }
+        expect(rolesFor(SELLER, listing({ roles }))).toEqual(['inspector', 'seller'])
+    })
+
+    it('finds nothing for an unrelated account', () => {
+        expect(rolesFor(ARBITRATOR, listing())).toEqual([])
+    })
+})
+
+describe('actionsFor', () => {
+    it('asks the appraiser for a value until the listing is appraised', () => {
+        expect(actionsFor('appraiser', listing())).toEqual(['appraise'])
+        expect(actionsFor('appraiser', listing({ isAppraised: true }))).toEqual([])
+    })
+
+    it('holds the lender back until the appraisal is in', () => {
+        expect(actionsFor('lender', listing())).toEqual([])
+        expect(actionsFor('lender', listing({ isAppraised: true }))).toEqual(['fund'])
+    })
+
+    it('offers the inspector a pass or fail until the inspection passes', () => {
+        expect(actionsFor('inspector', listing())).toEqual(['passInspection', 'failInspection'])
+        expect(actionsFor('inspector', listing({ inspectionPassed: true }))).toEqual([])
+    })
+
+    it('holds the buyer\'s approval until the lender proposes loan terms', () => {
+        expect(actionsFor('buyer', listing())).toEqual(['deposit'])
+        expect(actionsFor('buyer', listing({ hasEarnest: true }))).toEqual([])
+        expect(actionsFor('buyer', listing({ hasEarnest: true, awaitingTerms: false }))).toEqual(['approve'])
+    })
+
+    it('offers the seller finalize once nothing else is outstanding', () => {
+        const ready = { inspectionPassed: true, legalPassed: true, isFinanced: true, buyerApproved: true, sellerApproved: true }
+
+        expect(actionsFor('seller', listing({ ...ready, buyerApproved: false }))).toEqual([])
+        expect(actionsFor('seller', listing(ready))).toEqual(['finalize'])
+    })
+})
@@ -0,0 +1,89 @@
+// Listings are priced either in ETH (payment token = zero address) or in an
+// ERC-20 such as a stablecoin. Amounts on-chain are in the token's smallest
+// unit, so everything shown or typed goes through its decimals.
+
+import { ethers } from 'ethers';
+
+import { transact } from './transactions';
+
+// The slice of ERC-20 the app needs
+export const ERC20_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+]
+
+export const ETH = { address: ethers.constants.AddressZero, symbol: 'ETH', decimals: 18 }
+
+export const isETH = (token) => token.address === ethers.constants.AddressZero
+
+// symbol() and decimals() never change, so each token is only read once
+const tokens = {}
+
+export const fetchToken = (address, provider) => {
+    if (address === ethers.constants.AddressZero) return Promise.resolve(ETH)
+
+    if (!tokens[address]) {
+        const contract = new ethers.Contract(address, ERC20_ABI, provider)
+
+        tokens[address] = Promise.all([contract.symbol(), contract.decimals()])
+            .then(([symbol, decimals]) => ({ address, symbol, decimals }))
+            .catch((error) => {
+                delete tokens[address]
+                throw error
+            })
+    }
+
+    return tokens[address]
+}
+
+// Works with an Escrow connected to either a provider or a signer
+export const fetchPaymentToken = async (escrow, nftID) => {
+    return fetchToken(await escrow.paymentToken(nftID), escrow.provider)
+}
+
+export const formatAmount = (amount, token) => {
+    return `${ethers.utils.formatUnits(amount, token.decimals)} ${token.symbol}`
+}
+
+export const parseAmount = (value, token) => {
+    return ethers.utils.parseUnits(value.toString(), token.decimals)
+}
+
+// Why a typed amount cannot go through parseAmount, or null when it can.
+// Amounts must be positive, or 0 or more with allowZero.
+export const amountError = (value, token, { allowZero = false } = {}) => {
+    const number = Number(value)
+    if (String(value).trim() === '' || !(allowZero ? number >= 0 : number > 0)) {
+        return allowZero ? 'Must be 0 or more' : 'Must be greater than 0'
+    }
+
+    try {
+        parseAmount(value, token)
+    } catch (error) {
+        const [, fraction = ''] = String(value).split('.')
+        return fraction.length > token.decimals ? `At most ${token.decimals} decimal places` : 'Not an amount'
+    }
+
+    return null
+}
+
+// Get a payment of `amount` ready for `spender` and return the overrides the
+// paying call must be sent with: ETH travels as the transaction value, an
+// ERC-20 is approved first whenever the current allowance falls short.
+// Returns null when that approval does not go through.
+export const preparePayment = async (token, amount, signer, spender) => {
+    if (isETH(token)) return { value: amount }
+
+    const contract = new ethers.Contract(token.address, ERC20_ABI, signer)
+    const allowance = await contract.allowance(await signer.getAddress(), spender)
+
+    if (allowance.lt(amount)) {
+        const receipt = await transact(`Approve ${token.symbol}`, contract, 'approve', [spender, amount])
+        if (!receipt) return null
+    }
+
+    return {}
+}
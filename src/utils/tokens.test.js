@@ -0,0 +1,24 @@
+import { ETH, amountError } from './tokens';
+
+const USDC = { address: '0x5FbDB2315678afecb367f032d93F642f64180aa3', symbol: 'USDC', decimals: 6 }
+
+describe('amountError', () => {
+    it('accepts amounts the token can hold', () => {
+        expect(amountError('1.5', USDC)).toBeNull()
+        expect(amountError('0', ETH, { allowZero: true })).toBeNull()
+    })
+
+    it('refuses more decimals than the token has', () => {
+        expect(amountError('1.0000001', USDC)).toEqual('At most 6 decimal places')
+    })
+
+    it('refuses blank, negative and zero amounts', () => {
+        expect(amountError('', USDC)).toEqual('Must be greater than 0')
+        expect(amountError('0', USDC)).toEqual('Must be greater than 0')
+        expect(amountError('-1', USDC, { allowZero: true })).toEqual('Must be 0 or more')
+    })
+
+    it('refuses what parseUnits cannot read', () => {
+        expect(amountError('1e3', USDC)).toEqual('Not an amount')
+    })
+})
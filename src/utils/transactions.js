@@ -0,0 +1,219 @@
+// Sends contract calls and tracks them from preflight to receipt, so every
+// component reports progress and failures the same way (see Toasts). Each
+// call is first simulated with callStatic: a call that would revert is never
+// sent, and the user sees why without paying gas.
+
+import { ethers } from 'ethers';
+import { useSyncExternalStore } from 'react';
+
+import { isReadOnly } from './wallet';
+
+// How long a mined or replaced transaction stays on screen
+const DISMISS_AFTER = 6000
+
+// Escrow reasons worded for the person who hit them. Anything not listed
+// here is shown as the revert string without its contract prefix.
+const MESSAGES = {
+    'Escrow: NFT not listed': 'This property is not listed for sale',
+    'Escrow: Listing is under dispute': 'This sale is frozen until the arbitrator resolves the dispute',
+    'Escrow: Earnest already deposited': 'The earnest deposit has already been made',
+    'Escrow: Insufficient earnest amount': 'The deposit is less than the earnest this listing asks for',
+    'Escrow: Inspection not passed': 'The inspection has not passed yet',
+    'Escrow: Legal check not passed': 'The legal review has not passed yet',
+    'Escrow: Property not appraised': 'The property has not been appraised yet',
+    'Escrow: Loan exceeds appraised value': 'The loan would be more than the appraised value',
+    'Escrow: Buyer has not approved the sale': 'Waiting for the buyer to approve the sale',
+    'Escrow: Seller has not approved the sale': 'Waiting for the seller to approve the sale',
+    'Escrow: Lender has not approved the sale': 'Waiting for the lender to approve the sale',
+    'Escrow: Lender has no loan terms': 'The lender has not proposed loan terms yet',
+    'Mortgage: Terms locked after buyer approval': 'The buyer has already accepted the loan terms',
+    'Escrow: Insufficient funds deposited for this listing': 'The earnest and loan do not cover the purchase price yet',
+    'Escrow: Closing deadline has passed': 'The closing deadline has passed, so the sale can only be settled as expired',
+    'Escrow: Inspection period has ended': 'The inspection period has ended',
+    'Escrow: Financing period has ended': 'The financing period has ended',
+    'Escrow: No deadline has passed': 'No deadline has passed yet',
+    'Escrow: Appraisal is not below the price': 'A lower price can only be proposed after a low appraisal',
+    'Escrow: Only token owner can list': 'Only the owner of this property can list it',
+    'EscrowFactory: Only token owner can list': 'Only the owner of this property can list it',
+    'Escrow: List through EscrowFactory': 'Only the seller of a cancelled or expired sale can relist it here. New sales get an escrow of their own',
+    'Escrow: Listing is still active': 'The property is still listed: cancel the sale before taking it back',
+    'Escrow: Seller cannot make an offer': 'You cannot make an offer on your own listing',
+    'Escrow: Listing is not open for offers': 'This listing is not open to offers',
+    'Escrow: Service provider has already acted': 'That service provider has already acted and can no longer be replaced',
+    'Payments: Incorrect ETH amount': 'The ETH sent does not match the amount due',
+    'Payments: Token transfer failed': 'The token transfer failed: check your balance and allowance',
+}
+
+// Revert data for require(false, reason) and for assert / arithmetic panics
+const ERROR_SELECTOR = '0x08c379a0'
+const PANIC_SELECTOR = '0x4e487b71'
+
+const NO_SIGNER = 'Connect a wallet on a supported network to send transactions'
+
+const isRejection = (error) => error.code === 'ACTION_REJECTED' || error.code === 4001 ||
+    (error.error && error.error.code === 4001)
+
+// Wallets and nodes bury revert data at different depths
+const findRevertData = (error) => {
+    for (let current = error; current; current = current.error || current.data) {
+        const data = typeof current === 'string' ? current : current.data
+        if (typeof data === 'string' && data.startsWith('0x') && data.length >= 10) return data
+        if (typeof current !== 'object') break
+    }
+
+    return null
+}
+
+const decodeRevertData = (data) => {
+    try {
+        if (data.startsWith(ERROR_SELECTOR)) {
+            return ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0]
+        }
+
+        if (data.startsWith(PANIC_SELECTOR)) {
+            const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10))
+            return `Panic (0x${code.toNumber().toString(16)})`
+        }
+    } catch (e) {
+        // Not ABI-encoded after all
+    }
+
+    return null
+}
+
+// The revert string behind an ethers error, or null when there is none
+const findReason = (error) => {
+    const data = findRevertData(error)
+    const decoded = data && decodeRevertData(data)
+    if (decoded) return decoded
+
+    const message = error.reason || (error.error && error.error.message) || error.message || ''
+    const match = message.match(/reverted with reason string '([^']*)'|execution reverted: ([^"\n]*)/)
+
+    return match ? (match[1] || match[2]) : error.reason || null
+}
+
+// A message fit for a toast, from any error a wallet, node or contract throws
+export const decodeError = (error) => {
+    if (isRejection(error)) return 'You rejected the request in your wallet'
+    if (error.code === 'INSUFFICIENT_FUNDS') return 'Your balance is too low to pay for this transaction'
+
+    // A wallet with no connected account, or the read-only provider's VoidSigner
+    if (error.code === 'UNSUPPORTED_OPERATION' && error.operation === 'getAddress') return 'Connect your wallet to send transactions'
+    if (error.code === 'UNSUPPORTED_OPERATION' && /^(send|sign)Transaction$/.test(error.operation)) return NO_SIGNER
+
+    const reason = findReason(error)
+    if (reason) return MESSAGES[reason] || reason.replace(/^\w+: /, '')
+
+    return error.code === 'CALL_EXCEPTION' ? 'The transaction reverted' : (error.message || 'Something went wrong')
+}
+
+// -- Store
+
+let transactions = []
+let nextID = 1
+const listeners = new Set()
+
+const subscribe = (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+}
+
+const getTransactions = () => transactions
+
+const update = (id, changes) => {
+    const exists = transactions.some((transaction) => transaction.id === id)
+
+    transactions = exists
+        ? transactions.map((transaction) => transaction.id === id ? { ...transaction, ...changes } : transaction)
+        : [...transactions, { id, ...changes }]
+
+    listeners.forEach((listener) => listener())
+
+    if (changes.status === 'mined' || changes.status === 'replaced') {
+        setTimeout(() => dismiss(id), DISMISS_AFTER)
+    }
+}
+
+export const dismiss = (id) => {
+    transactions = transactions.filter((transaction) => transaction.id !== id)
+    listeners.forEach((listener) => listener())
+}
+
+// Every tracked transaction, each { id, description, status, hash, message }
+// where status is 'checking', 'pending', 'mined', 'replaced' or 'failed'
+export const useTransactions = () => useSyncExternalStore(subscribe, getTransactions)
+
+export const useIsPending = () => useTransactions().some(({ status }) => status === 'checking' || status === 'pending')
+
+// -- Sending
+
+// Overrides (value, blockTag, ...) ride along as one extra trailing argument
+const withOverrides = (contract, method, args, overrides) => {
+    const inputs = contract.interface.getFunction(method).inputs.length
+    const existing = args.length > inputs ? args[inputs] : {}
+
+    return [...args.slice(0, inputs), { ...existing, ...overrides }]
+}
+
+// Send contract[method](...args) from the contract's signer, with a toast
+// that follows it through. Returns the receipt, or null when the call would
+// revert, was rejected, or failed on-chain; the toast says which.
+export const transact = async (description, contract, method, args = []) => {
+    const id = nextID++
+    update(id, { description, status: 'checking' })
+
+    if (isReadOnly(contract.signer)) {
+        update(id, { status: 'failed', message: NO_SIGNER })
+        return null
+    }
+
+    try {
+        await contract.callStatic[method](...args)
+    } catch (error) {
+        update(id, { status: 'failed', message: decodeError(error) })
+        return null
+    }
+
+    let transaction
+
+    try {
+        transaction = await contract[method](...args)
+    } catch (error) {
+        update(id, { status: 'failed', message: decodeError(error) })
+        return null
+    }
+
+    update(id, { status: 'pending', hash: transaction.hash })
+
+    try {
+        const receipt = await transaction.wait()
+        update(id, { status: 'mined', hash: receipt.transactionHash })
+        return receipt
+    } catch (error) {
+        // Sped up or re-priced in the wallet: the replacement did the same thing
+        if (error.code === 'TRANSACTION_REPLACED' && !error.cancelled) {
+            update(id, { status: 'replaced', hash: error.replacement.hash, message: 'Replaced by a repriced transaction' })
+            return error.receipt
+        }
+
+        if (error.code === 'TRANSACTION_REPLACED') {
+            update(id, { status: 'failed', hash: error.replacement.hash, message: 'Cancelled in your wallet' })
+            return null
+        }
+
+        // The receipt carries no reason, so replay the call on the state before its block to find it
+        let message = decodeError(error)
+
+        if (error.receipt) {
+            try {
+                await contract.callStatic[method](...withOverrides(contract, method, args, { blockTag: error.receipt.blockNumber - 1 }))
+            } catch (replayed) {
+                message = decodeError(replayed)
+            }
+        }
+
+        update(id, { status: 'failed', message })
+        return null
+    }
+}
@@ -0,0 +1,27 @@
+// Token and image URIs are stored gateway-neutral where possible. Everything
+// that ends up in a fetch() or <img> goes through resolveURI, so pointing
+// REACT_APP_IPFS_GATEWAY at a local IPFS node keeps the app working offline.
+
+const DEFAULT_GATEWAY = 'https://ipfs.io'
+
+export const IPFS_GATEWAY = (process.env.REACT_APP_IPFS_GATEWAY || DEFAULT_GATEWAY).replace(/\/+$/, '')
+
+// Matches URLs hardcoded to a public gateway, e.g. https://ipfs.io/ipfs/<cid>/1.json
+const GATEWAY_URL = /^https?:\/\/[^/]+\/ipfs\/(.+)$/
+
+export const resolveURI = (uri) => {
+    if (!uri) return uri
+
+    // data: URIs carry their own content
+    if (uri.startsWith('data:')) return uri
+
+    if (uri.startsWith('ipfs://')) {
+        const path = uri.slice('ipfs://'.length).replace(/^ipfs\//, '')
+        return `${IPFS_GATEWAY}/ipfs/${path}`
+    }
+
+    const match = uri.match(GATEWAY_URL)
+    if (match) return `${IPFS_GATEWAY}/ipfs/${match[1]}`
+
+    return uri
+}
@@ -0,0 +1,93 @@
+// The app reads through the injected wallet when there is one on a chain in
+// config.json, and otherwise through a plain JSON-RPC node, so listings can
+// be browsed without a wallet. Only a wallet on a supported chain can sign.
+
+import { ethers } from 'ethers';
+
+import config from '../config.json';
+
+export const SUPPORTED_CHAIN_IDS = Object.keys(config).map(Number)
+
+// The chain browsed without a wallet, and the one the wallet is asked to switch to
+export const DEFAULT_CHAIN_ID = Number(process.env.REACT_APP_CHAIN_ID || SUPPORTED_CHAIN_IDS[0])
+
+export const RPC_URL = process.env.REACT_APP_RPC_URL || 'http://127.0.0.1:8545'
+
+export const hasWallet = () => Boolean(window.ethereum)
+
+export const isSupported = (chainId) => Boolean(config[chainId])
+
+export const chainName = (chainId) => config[chainId] ? config[chainId].network : `chain ${chainId}`
+
+// Nobody signs for a read-only provider: its signer is a VoidSigner, which
+// transact turns away before anything is sent
+class ReadOnlyProvider extends ethers.providers.StaticJsonRpcProvider {
+    getSigner() {
+        return new ethers.VoidSigner(ethers.constants.AddressZero, this)
+    }
+}
+
+export const isReadOnly = (signer) => signer instanceof ethers.VoidSigner
+
+// The wallet's chain, or null without a wallet or while it is disconnected
+export const fetchWalletChainId = async () => {
+    if (!hasWallet()) return null
+
+    try {
+        return Number(await window.ethereum.request({ method: 'eth_chainId' }))
+    } catch (error) {
+        return null
+    }
+}
+
+// The wallet's provider when it is on a supported chain, otherwise the node
+// at RPC_URL. Also returns the wallet's chain, for the network banner.
+export const connectProvider = async () => {
+    const walletChainId = await fetchWalletChainId()
+
+    const provider = isSupported(walletChainId)
+        ? new ethers.providers.Web3Provider(window.ethereum)
+        : new ReadOnlyProvider(RPC_URL, DEFAULT_CHAIN_ID)
+
+    return [provider, walletChainId]
+}
+
+// Wallets report accounts lowercased, and none once the user disconnects the site
+export const toAccount = (accounts) => accounts.length ? ethers.utils.getAddress(accounts[0]) : null
+
+// An account the user already connected, without prompting again
+export const restoreAccount = async () => {
+    if (!hasWallet()) return null
+
+    try {
+        return toAccount(await window.ethereum.request({ method: 'eth_accounts' }))
+    } catch (error) {
+        return null
+    }
+}
+
+export const requestAccount = async () => {
+    const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' })
+    return toAccount(accounts)
+}
+
+// Wallets that have never seen the chain reject the switch with 4902, so add it
+export const switchChain = async (chainId = DEFAULT_CHAIN_ID) => {
+    const hexChainId = ethers.utils.hexValue(chainId)
+
+    try {
+        await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: hexChainId }] })
+    } catch (error) {
+        if (error.code !== 4902) throw error
+
+        await window.ethereum.request({
+            method: 'wallet_addEthereumChain',
+            params: [{
+                chainId: hexChainId,
+                chainName: chainName(chainId),
+                rpcUrls: [RPC_URL],
+                nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+            }],
+        })
+    }
+}
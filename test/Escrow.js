@@ -1,17 +1,44 @@
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
 
 const tokens = (n) => {
     return ethers.utils.parseUnits(n.toString(), 'ether')
 }
 
+const days = (n) => {
+    return n * 24 * 60 * 60
+}
+
+// Listings priced in ETH use the zero address as their payment token
+const ETH = ethers.constants.AddressZero
+
+const INSPECTION_PERIOD = days(10)
+const FINANCING_PERIOD = days(20)
+const CLOSING_PERIOD = days(30)
+
 describe('Escrow', () => {
-    let buyer, seller, inspector, lender, lawyer, attacker
-    let realEstate, escrow
+    let buyer, seller, inspector, lender, lawyer, attacker, appraiser, arbitrator
+    let providers
+    let realEstate, implementation, factory, escrow
+
+    // Every sale is listed in its own clone of the implementation
+    const listInClone = async (lister, nftID, buyerAddress, purchasePrice, escrowAmount, paymentToken = ETH, saleProviders = providers) => {
+        await realEstate.connect(lister).approve(factory.address, nftID)
+        await factory.connect(lister).createEscrow(
+            { nftID, buyer: buyerAddress, purchasePrice, escrowAmount },
+            INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, paymentToken, saleProviders
+        )
+
+        return ethers.getContractAt('Escrow', await factory.escrowOf(nftID))
+    }
 
     beforeEach(async () => {
         // Setup accounts
-        [buyer, seller, inspector, lender, lawyer, attacker] = await ethers.getSigners()
+        [buyer, seller, inspector, lender, lawyer, attacker, , appraiser, , arbitrator] = await ethers.getSigners()
+
+        // Service providers named on every listing
+        providers = [inspector.address, lender.address, lawyer.address, appraiser.address, arbitrator.address]
 
         // Deploy Real Estate
         const RealEstate = await ethers.getContractFactory('RealEstate')
@@ -21,22 +48,21 @@ describe('Escrow', () => {
         let transaction = await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
         await transaction.wait()
 
-        // Deploy Escrow
+        // Deploy Escrow, the implementation every sale is a clone of
         const Escrow = await ethers.getContractFactory('Escrow')
-        escrow = await Escrow.deploy(
+        implementation = await Escrow.deploy(
             realEstate.address,
-            seller.address,
-            inspector.address,
-            lender.address,
-            lawyer.address,
+            ethers.constants.AddressZero,
         )
 
-        // Approve Property
-        transaction = await realEstate.connect(seller).approve(escrow.address, 1)
-        await transaction.wait()
+        const EscrowFactory = await ethers.getContractFactory('EscrowFactory')
+        factory = await EscrowFactory.deploy(implementation.address)
 
-        // List Property
-        transaction = await escrow.connect(seller).list(1, buyer.address, tokens(10), tokens(5))
+        // Approve and list Property
+        escrow = await listInClone(seller, 1, buyer.address, tokens(10), tokens(5))
+
+        // Appraise at the asking price
+        transaction = await escrow.connect(appraiser).recordAppraisal(1, tokens(10))
         await transaction.wait()
     })        
 
@@ -48,25 +74,20 @@ describe('Escrow', () => {
                 expect(result).to.be.equal(realEstate.address)
             })
 
-            it('Returns seller', async () => {
-                const result = await escrow.seller()
-                expect(result).to.be.equal(seller.address)
-            })
-
             it('Returns inspector', async () => {
-                const result = await escrow.inspector()
+                const result = await escrow.inspector(1)
                 expect(result).to.be.equal(inspector.address)
             })
 
             it('Returns lender', async () => {
-                const result = await escrow.lender()
+                const result = await escrow.lender(1)
                 expect(result).to.be.equal(lender.address)
 
                 const currentOwner = await realEstate.ownerOf(1)
             })
 
             it('Returns lawyer', async () => {
-                const result = await escrow.lawyer()
+                const result = await escrow.lawyer(1)
                 expect(result).to.be.equal(lawyer.address)
 
                 const currentOwner = await realEstate.ownerOf(1)
@@ -87,6 +108,22 @@ describe('Escrow', () => {
                 expect(result).to.be.equal(buyer.address)
             })
 
+            it('Returns seller', async () => {
+                const result = await escrow.seller(1)
+                expect(result).to.be.equal(seller.address)
+            })
+
+            it('Records a separate seller for each listing', async () => {
+                let transaction = await realEstate.connect(attacker).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+                await transaction.wait()
+
+                const escrow2 = await listInClone(attacker, 2, buyer.address, tokens(10), tokens(5))
+
+                expect(await escrow.seller(1)).to.be.equal(seller.address)
+                expect(await escrow2.seller(2)).to.be.equal(attacker.address)
+                expect(escrow2.address).to.not.be.equal(escrow.address)
+            })
+
             it('Returns purchase price', async () => {
                 const result = await escrow.purchasePrice(1)
                 expect(result).to.be.equal(tokens(10))
@@ -101,13 +138,44 @@ describe('Escrow', () => {
                 expect(await realEstate.ownerOf(1)).to.be.equal(escrow.address)
                 const currentOwner = await realEstate.ownerOf(1)
             })
+
+            it('Sets contingency deadlines', async () => {
+                const [listing] = await escrow.queryFilter(escrow.filters.Listed(1))
+                const listedAt = (await listing.getBlock()).timestamp
+
+                expect(await escrow.inspectionDeadline(1)).to.be.equal(listedAt + INSPECTION_PERIOD)
+                expect(await escrow.financingDeadline(1)).to.be.equal(listedAt + FINANCING_PERIOD)
+                expect(await escrow.closingDeadline(1)).to.be.equal(listedAt + CLOSING_PERIOD)
+            })
         })
           
         describe('Failure', async () => {
             let nftAddress
 
-            it("Should fail when a non-seller tries to list an NFT", async function () {
-            await expect(escrow.connect(attacker).list(1, seller.address, 1000, 200)).to.be.revertedWith("Escrow: Only seller can call this method");
+            it("Should fail when a non-owner tries to list an NFT", async function () {
+            await expect(escrow.connect(attacker).list(1, seller.address, 1000, 200, INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)).to.be.revertedWith("Escrow: List through EscrowFactory");
+            })
+
+            it("Should fail to list a new property in the implementation", async function () {
+                await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+                await realEstate.connect(seller).approve(implementation.address, 2)
+
+                await expect(implementation.connect(seller).list(2, buyer.address, 1000, 200, INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)).to.be.revertedWith("Escrow: List through EscrowFactory");
+                expect(await realEstate.ownerOf(2)).to.be.equal(seller.address)
+            })
+
+            it("Should fail to list a second property in a clone", async function () {
+                await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+                await realEstate.connect(seller).approve(escrow.address, 2)
+
+                await expect(escrow.connect(seller).list(2, buyer.address, 1000, 200, INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)).to.be.revertedWith("Escrow: List through EscrowFactory");
+            })
+
+            it("Should fail when a contingency ends after closing", async function () {
+                await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+                await realEstate.connect(seller).approve(factory.address, 2)
+
+                await expect(factory.connect(seller).createEscrow([2, buyer.address, 1000, 200], CLOSING_PERIOD + 1, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)).to.be.revertedWith("Escrow: Contingencies must end before closing");
             })
         })
     })
@@ -116,7 +184,7 @@ describe('Escrow', () => {
         describe('Success', () => {
 
             beforeEach(async () => {
-                const transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) })
+                const transaction = await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
                 await transaction.wait()
             })
 
@@ -126,13 +194,43 @@ describe('Escrow', () => {
 
                 const currentOwner = await realEstate.ownerOf(1)
             })
+
+            it('Records earnest for the listing', async () => {
+                expect(await escrow.earnestDeposited(1)).to.be.equal(tokens(5))
+                expect(await escrow.getListingBalance(1)).to.be.equal(tokens(5))
+            })
+
+            it('Records lender funding for the listing', async () => {
+                const transaction = await escrow.connect(lender).depositLoan(1, tokens(5), { value: tokens(5) })
+                await transaction.wait()
+
+                expect(await escrow.lenderDeposited(1)).to.be.equal(tokens(5))
+                expect(await escrow.getListingBalance(1)).to.be.equal(tokens(10))
+            })
         })
          
     
         describe('Failure', async () => {
 
             it("Should fail when a non-buyer tries to deposit earnest money", async function () {
-                await expect(escrow.connect(attacker).depositEarnest(1, { value: 200 })).to.be.revertedWith("Escrow: Only buyer can call this method");
+                await expect(escrow.connect(attacker).depositEarnest(1, 200, { value: 200 })).to.be.revertedWith("Escrow: Only buyer can call this method");
+            })
+
+            it("Should fail when earnest is below the escrow amount", async function () {
+                await expect(escrow.connect(buyer).depositEarnest(1, tokens(1), { value: tokens(1) })).to.be.revertedWith("Escrow: Insufficient earnest amount");
+            })
+
+            it("Should fail when earnest is deposited twice", async function () {
+                await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
+                await expect(escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })).to.be.revertedWith("Escrow: Earnest already deposited");
+            })
+
+            it("Should fail when a non-lender tries to fund the loan", async function () {
+                await expect(escrow.connect(attacker).depositLoan(1, tokens(5), { value: tokens(5) })).to.be.revertedWith("Escrow: Only lender can call this method");
+            })
+
+            it("Should reject funds sent without a listing", async function () {
+                await expect(lender.sendTransaction({ to: escrow.address, value: tokens(5) })).to.be.reverted
             })
         })
     })
@@ -238,7 +336,7 @@ describe('Escrow', () => {
         describe('Success', () => {
 
             beforeEach(async () => {
-                let transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) })
+                let transaction = await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
                 await transaction.wait()
 
                 transaction = await escrow.connect(inspector).updateInspectionStatus(1, true)
@@ -256,7 +354,8 @@ describe('Escrow', () => {
                 transaction = await escrow.connect(lender).approveSale(1)
                 await transaction.wait()
 
-                await lender.sendTransaction({ to: escrow.address, value: tokens(5) })
+                transaction = await escrow.connect(lender).depositLoan(1, tokens(5), { value: tokens(5) })
+                await transaction.wait()
 
                 transaction = await escrow.connect(seller).finalizeSale(1)
                 await transaction.wait()
@@ -274,7 +373,7 @@ describe('Escrow', () => {
         describe('Failure', async () => {
             beforeEach(async () => {
 
-            let transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) })
+            let transaction = await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
             await transaction.wait()
 
             transaction = await escrow.connect(inspector).updateInspectionStatus(1, true)
@@ -310,9 +409,10 @@ describe('Escrow', () => {
                 purchasePrice = tokens(10)
                 nftID = 1
 
-                await lender.sendTransaction({ to: escrow.address, value: purchasePrice })
+                let transaction = await escrow.connect(lender).depositLoan(1, purchasePrice, { value: purchasePrice })
+                await transaction.wait()
 
-                let transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) })
+                transaction = await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
                 await transaction.wait()
 
                 transaction = await escrow.connect(inspector).updateInspectionStatus(1, true)
@@ -334,7 +434,17 @@ describe('Escrow', () => {
 
             it('Should finalize sale and emit event', async () => {
                 await expect(escrow.finalizeSale(nftID)).to.emit(escrow, "SaleFinalized") 
-                .withArgs(nftID, buyer.address, seller.address, purchasePrice);
+                .withArgs(nftID, buyer.address, seller.address, purchasePrice, ETH);
+            })
+
+            it('Returns excess funding to the lender', async () => {
+                const initialLenderBalance = await ethers.provider.getBalance(lender.address)
+
+                await escrow.connect(seller).finalizeSale(nftID)
+
+                const finalLenderBalance = await ethers.provider.getBalance(lender.address)
+                expect(finalLenderBalance.sub(initialLenderBalance)).to.be.equal(tokens(5))
+                expect(await escrow.getBalance()).to.be.equal(0)
             })
         })
     })
@@ -346,7 +456,7 @@ describe('Escrow', () => {
             beforeEach(async () => {
                 nftID = 1 
 
-                let transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) })
+                let transaction = await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
                 await transaction.wait()
             })
 
@@ -379,76 +489,973 @@ describe('Escrow', () => {
                 const finalSellerBalance = await ethers.provider.getBalance(seller.address);
                 expect(finalSellerBalance).to.be.greaterThan(initialSellerBalance);
             })
+
+            it('Returns lender funding on cancellation', async () => {
+                await escrow.connect(lender).depositLoan(nftID, tokens(5), { value: tokens(5) })
+
+                const initialLenderBalance = await ethers.provider.getBalance(lender.address)
+
+                await escrow.connect(buyer).cancelSale(nftID)
+
+                const finalLenderBalance = await ethers.provider.getBalance(lender.address)
+                expect(finalLenderBalance.sub(initialLenderBalance)).to.be.equal(tokens(5))
+                expect(await escrow.getBalance()).to.be.equal(0)
+            })
         })       
 
-    describe('DoS Attack on cancelSale', () => {
-        let nftID1, nftID2, purchasePrice
+    describe('Deposit isolation', () => {
+        let nftID1, nftID2, purchasePrice, escrow2
 
             beforeEach(async () => {
                 nftID1 = 1
                 nftID2 = 2
                 purchasePrice = tokens(10)
 
-                // Ensure the seller owns the NFTs
-                await realEstate.connect(seller).mint(nftID1)
-                await realEstate.connect(seller).mint(nftID2)
-
-                // Then check ownership
-                const ownerOfNFT1 = await realEstate.ownerOf(nftID1)
-                const ownerOfNFT2 = await realEstate.ownerOf(nftID2)
-                // Ensure that the seller is the owner before approving
-                if (ownerOfNFT1 === seller.address) {
-                    await realEstate.connect(seller).approve(escrow.address, nftID1)                        
-                }
-
-                if (ownerOfNFT2 === seller.address) {
-                    await realEstate.connect(seller).approve(escrow.address, nftID2)
-                }
-                
-                // Seller lists house 2 for buyer 2
-                await escrow.connect(seller).list(nftID2, attacker.address, purchasePrice, tokens(1))
+                // Seller mints and lists house 2 for buyer 2
+                await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+                escrow2 = await listInClone(seller, nftID2, attacker.address, purchasePrice, tokens(1))
+
+                // Buyer 1 sends depositEarnest of 5 ETH for house 1 only
+                await escrow.connect(buyer).depositEarnest(nftID1, tokens(5), { value: tokens(5) })
+            })
+
+            it('Does not refund buyer 2 on cancelSale without deposit', async () => {
+                // Buyer 2 decides to cancelSale
+                await escrow2.connect(attacker).cancelSale(nftID2)
 
-                 //Buyer 1 sends depositEarnest of 5 ETH to the contract
-                await escrow.connect(buyer).depositEarnest(nftID1, { value: tokens(5) })
-                await escrow.connect(buyer).depositEarnest(nftID2, { value: tokens(5) })
+                expect(await escrow.getListingBalance(nftID1)).to.be.equal(tokens(5))
+                expect(await escrow.getBalance()).to.be.equal(tokens(5))
+            })
 
+            it("Does not let funds for house 1 close house 2", async () => {
+                await escrow2.connect(appraiser).recordAppraisal(nftID2, purchasePrice)
+                await escrow2.connect(inspector).updateInspectionStatus(nftID2, true)
+                await escrow2.connect(lawyer).updateLegalStatus(nftID2, true)
+                await escrow2.connect(attacker).approveSale(nftID2)
+                await escrow2.connect(seller).approveSale(nftID2)
+                await escrow2.connect(lender).approveSale(nftID2)
 
+                await expect(escrow2.connect(seller).finalizeSale(nftID2)).to.be.revertedWith("Escrow: Insufficient funds deposited for this listing")
             })
 
-            it('Incorrectly sends 1 ETH to buyer 2 on cancelSale without deposit', async () => {
-                const initialAttackerBalance = await ethers.provider.getBalance(attacker.address)
+            it('Finalizes house 1 after house 2 is cancelled', async () => {
+                await escrow2.connect(attacker).cancelSale(nftID2)
 
-                // Buyer 2 decides to cancelSale
-                await escrow.connect(attacker).cancelSale(nftID2)
+                await escrow.connect(lender).depositLoan(nftID1, tokens(5), { value: tokens(5) })
+                await escrow.connect(inspector).updateInspectionStatus(nftID1, true)
+                await escrow.connect(lawyer).updateLegalStatus(nftID1, true)
+                await escrow.connect(buyer).approveSale(nftID1)
+                await escrow.connect(seller).approveSale(nftID1)
+                await escrow.connect(lender).approveSale(nftID1)
 
-                const finalAttackerBalance = await ethers.provider.getBalance(attacker.address)
+                await escrow.connect(seller).finalizeSale(nftID1)
 
-                // Check if attacker (buyer 2) received 1 ETH without depositing
-                expect(finalAttackerBalance).to.be.greaterThan(initialAttackerBalance)
+                expect(await realEstate.ownerOf(nftID1)).to.be.equal(buyer.address)
+                expect(await escrow.getBalance()).to.be.equal(0)
             })
+        })
+    })
 
-            it("Seller can't finalizeSale due to insufficient contract balance", async () => {
-                // Buyer 2 cancels sale, erroneously draining the contract
-                await escrow.connect(attacker).cancelSale(nftID2);
+    describe('Deadlines', () => {
+        beforeEach(async () => {
+            const transaction = await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
+            await transaction.wait()
+        })
 
-                transaction = await escrow.connect(inspector).updateInspectionStatus(1, true)
-                await transaction.wait()
+        describe('Success', () => {
 
-                transaction = await escrow.connect(lawyer).updateLegalStatus(1, true)
-                await transaction.wait()
+            it('Refunds buyer when inspection is not passed in time', async () => {
+                await time.increase(INSPECTION_PERIOD + 1)
 
-                transaction = await escrow.connect(buyer).approveSale(1)
-                await transaction.wait()
+                const initialBuyerBalance = await ethers.provider.getBalance(buyer.address)
 
-                transaction = await escrow.connect(seller).approveSale(1)
-                await transaction.wait()
+                await expect(escrow.connect(attacker).expireSale(1)).to.emit(escrow, 'SaleExpired')
+                    .withArgs(1, 0, buyer.address, tokens(5))
 
-                transaction = await escrow.connect(lender).approveSale(1)
-                await transaction.wait()
+                const finalBuyerBalance = await ethers.provider.getBalance(buyer.address)
+                expect(finalBuyerBalance.sub(initialBuyerBalance)).to.be.equal(tokens(5))
+                expect(await escrow.isListed(1)).to.be.equal(false)
+            })
+
+            it('Refunds buyer and lender when financing is not committed in time', async () => {
+                await escrow.connect(inspector).updateInspectionStatus(1, true)
+                await escrow.connect(lender).depositLoan(1, tokens(2), { value: tokens(2) })
+
+                await time.increase(FINANCING_PERIOD + 1)
+
+                const initialLenderBalance = await ethers.provider.getBalance(lender.address)
+
+                await expect(escrow.connect(attacker).expireSale(1)).to.emit(escrow, 'SaleExpired')
+                    .withArgs(1, 1, buyer.address, tokens(5))
+
+                const finalLenderBalance = await ethers.provider.getBalance(lender.address)
+                expect(finalLenderBalance.sub(initialLenderBalance)).to.be.equal(tokens(2))
+                expect(await escrow.getBalance()).to.be.equal(0)
+            })
+
+            it('Forfeits earnest to seller when the buyer fails to close', async () => {
+                await escrow.connect(inspector).updateInspectionStatus(1, true)
+                await escrow.connect(lawyer).updateLegalStatus(1, true)
+                await escrow.connect(lender).depositLoan(1, tokens(5), { value: tokens(5) })
+                await escrow.connect(lender).approveSale(1)
+                await escrow.connect(seller).approveSale(1)
+
+                await time.increase(CLOSING_PERIOD + 1)
+
+                const initialSellerBalance = await ethers.provider.getBalance(seller.address)
+
+                await expect(escrow.connect(attacker).expireSale(1)).to.emit(escrow, 'SaleExpired')
+                    .withArgs(1, 2, seller.address, tokens(5))
+
+                const finalSellerBalance = await ethers.provider.getBalance(seller.address)
+                expect(finalSellerBalance.sub(initialSellerBalance)).to.be.equal(tokens(5))
+            })
+
+            it('Refunds buyer when the seller fails to close', async () => {
+                await escrow.connect(inspector).updateInspectionStatus(1, true)
+                await escrow.connect(lawyer).updateLegalStatus(1, true)
+                await escrow.connect(lender).depositLoan(1, tokens(5), { value: tokens(5) })
+                await escrow.connect(lender).approveSale(1)
+                await escrow.connect(buyer).approveSale(1)
+
+                await time.increase(CLOSING_PERIOD + 1)
+
+                await expect(escrow.connect(attacker).expireSale(1)).to.emit(escrow, 'SaleExpired')
+                    .withArgs(1, 2, buyer.address, tokens(5))
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to expire before any deadline has passed', async () => {
+                await expect(escrow.connect(attacker).expireSale(1)).to.be.revertedWith("Escrow: No deadline has passed")
+            })
+
+            it('Should fail to update inspection after the inspection period', async () => {
+                await time.increase(INSPECTION_PERIOD + 1)
+
+                await expect(escrow.connect(inspector).updateInspectionStatus(1, true)).to.be.revertedWith("Escrow: Inspection period has ended")
+            })
+
+            it('Should fail to finalize after the closing deadline', async () => {
+                await escrow.connect(inspector).updateInspectionStatus(1, true)
+                await escrow.connect(lawyer).updateLegalStatus(1, true)
+                await escrow.connect(lender).depositLoan(1, tokens(5), { value: tokens(5) })
+                await escrow.connect(buyer).approveSale(1)
+                await escrow.connect(seller).approveSale(1)
+                await escrow.connect(lender).approveSale(1)
+
+                await time.increase(CLOSING_PERIOD + 1)
+
+                await expect(escrow.connect(seller).finalizeSale(1)).to.be.revertedWith("Escrow: Closing deadline has passed")
+            })
+        })
+    })
+
+    describe('Events', () => {
+
+        it('Emits Listed', async () => {
+            const [listing] = await escrow.queryFilter(escrow.filters.Listed(1))
+
+            expect(listing.args.seller).to.be.equal(seller.address)
+            expect(listing.args.buyer).to.be.equal(buyer.address)
+            expect(listing.args.purchasePrice).to.be.equal(tokens(10))
+            expect(listing.args.escrowAmount).to.be.equal(tokens(5))
+        })
+
+        it('Emits EarnestDeposited', async () => {
+            await expect(escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) }))
+                .to.emit(escrow, 'EarnestDeposited').withArgs(1, buyer.address, tokens(5))
+        })
+
+        it('Emits LoanDeposited', async () => {
+            await expect(escrow.connect(lender).depositLoan(1, tokens(5), { value: tokens(5) }))
+                .to.emit(escrow, 'LoanDeposited').withArgs(1, lender.address, tokens(5))
+        })
+
+        it('Emits InspectionUpdated', async () => {
+            await expect(escrow.connect(inspector).updateInspectionStatus(1, false))
+                .to.emit(escrow, 'InspectionUpdated').withArgs(1, inspector.address, false)
+        })
+
+        it('Emits LegalStatusUpdated', async () => {
+            await expect(escrow.connect(lawyer).updateLegalStatus(1, true))
+                .to.emit(escrow, 'LegalStatusUpdated').withArgs(1, lawyer.address, true)
+        })
+
+        it('Emits SaleApproved', async () => {
+            await expect(escrow.connect(seller).approveSale(1))
+                .to.emit(escrow, 'SaleApproved').withArgs(1, seller.address)
+        })
+
+        it('Emits SaleCancelled', async () => {
+            await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
+
+            await expect(escrow.connect(buyer).cancelSale(1))
+                .to.emit(escrow, 'SaleCancelled').withArgs(1, buyer.address, buyer.address, tokens(5))
+        })
+    })
+
+    describe('Offers', () => {
+        let bidder, expiresAt, escrow2
+
+        beforeEach(async () => {
+            bidder = (await ethers.getSigners())[6]
+            expiresAt = (await time.latest()) + days(3)
+
+            // Seller lists house 2 on the open market
+            await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+            escrow2 = await listInClone(seller, 2, ethers.constants.AddressZero, tokens(10), tokens(1))
+
+            await escrow2.connect(buyer).makeOffer(2, tokens(9), tokens(1), expiresAt, { value: tokens(1) })
+            await escrow2.connect(bidder).makeOffer(2, tokens(8), tokens(2), expiresAt, { value: tokens(2) })
+        })
+
+        describe('Success', () => {
+
+            it('Lists without a buyer or deadlines', async () => {
+                expect(await escrow2.isOpen(2)).to.be.equal(true)
+                expect(await escrow2.buyer(2)).to.be.equal(ethers.constants.AddressZero)
+                expect(await escrow2.closingDeadline(2)).to.be.equal(0)
+            })
+
+            it('Records offers with their deposits', async () => {
+                const offers = await escrow2.getOffers(2)
+
+                expect(offers.length).to.be.equal(2)
+                expect(offers[0].buyer).to.be.equal(buyer.address)
+                expect(offers[0].price).to.be.equal(tokens(9))
+                expect(offers[1].earnest).to.be.equal(tokens(2))
+                expect(await escrow2.getBalance()).to.be.equal(tokens(3))
+            })
+
+            it('Puts the accepted buyer under contract and refunds the others', async () => {
+                const initialBidderBalance = await ethers.provider.getBalance(bidder.address)
+
+                await expect(escrow2.connect(seller).acceptOffer(2, 0))
+                    .to.emit(escrow2, 'OfferAccepted').withArgs(2, 0, buyer.address, tokens(9))
+
+                const finalBidderBalance = await ethers.provider.getBalance(bidder.address)
+                expect(finalBidderBalance.sub(initialBidderBalance)).to.be.equal(tokens(2))
+
+                expect(await escrow2.buyer(2)).to.be.equal(buyer.address)
+                expect(await escrow2.purchasePrice(2)).to.be.equal(tokens(9))
+                expect(await escrow2.earnestDeposited(2)).to.be.equal(tokens(1))
+                expect(await escrow2.closingDeadline(2)).to.be.equal((await time.latest()) + CLOSING_PERIOD)
+                expect((await escrow2.getOffers(2))[1].status).to.be.equal(3)
+            })
+
+            it('Refunds a rejected offer', async () => {
+                await escrow2.connect(seller).rejectOffer(2, 1)
+
+                expect((await escrow2.getOffers(2))[1].status).to.be.equal(3)
+                expect(await escrow2.getBalance()).to.be.equal(tokens(1))
+            })
+
+            it('Closes at the counter price once the buyer accepts', async () => {
+                await escrow2.connect(seller).counterOffer(2, 1, tokens(9.5), expiresAt)
+                await escrow2.connect(bidder).acceptCounter(2, 1)
+
+                expect(await escrow2.buyer(2)).to.be.equal(bidder.address)
+                expect(await escrow2.purchasePrice(2)).to.be.equal(tokens(9.5))
+                expect(await escrow2.getBalance()).to.be.equal(tokens(2))
+            })
+
+            it('Refunds a withdrawn offer', async () => {
+                await escrow2.connect(bidder).withdrawOffer(2, 1)
+
+                expect((await escrow2.getOffers(2))[1].status).to.be.equal(4)
+                expect(await escrow2.getBalance()).to.be.equal(tokens(1))
+            })
+
+            it('Refunds every offer when the seller withdraws the listing', async () => {
+                await escrow2.connect(seller).cancelSale(2)
+
+                expect(await escrow2.isListed(2)).to.be.equal(false)
+                expect(await escrow2.getBalance()).to.be.equal(0)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to offer on a listing with a buyer', async () => {
+                await expect(escrow.connect(bidder).makeOffer(1, tokens(9), tokens(1), expiresAt, { value: tokens(1) })).to.be.revertedWith("Escrow: Listing is not open for offers")
+            })
+
+            it('Should fail when a non-seller accepts an offer', async () => {
+                await expect(escrow2.connect(attacker).acceptOffer(2, 0)).to.be.revertedWith("Escrow: Only seller can call this method")
+            })
+
+            it('Should fail to accept an expired offer', async () => {
+                await time.increaseTo(expiresAt + 1)
+
+                await expect(escrow2.connect(seller).acceptOffer(2, 0)).to.be.revertedWith("Escrow: Offer has expired")
+            })
+
+            it('Should fail to accept a second offer', async () => {
+                await escrow2.connect(seller).acceptOffer(2, 0)
+
+                await expect(escrow2.connect(seller).acceptOffer(2, 1)).to.be.revertedWith("Escrow: Offer is not pending")
+            })
+
+            it('Should fail when someone else accepts a counteroffer', async () => {
+                await escrow2.connect(seller).counterOffer(2, 1, tokens(9.5), expiresAt)
+
+                await expect(escrow2.connect(attacker).acceptCounter(2, 1)).to.be.revertedWith("Escrow: Only offer buyer can call this method")
+            })
+        })
+    })
+
+    describe('Payment Token', () => {
+        let usdc, escrow2
+
+        const dollars = (n) => {
+            return ethers.utils.parseUnits(n.toString(), 6)
+        }
+
+        beforeEach(async () => {
+            // 6-decimal stablecoin, funded for the buyer and lender
+            const MockERC20 = await ethers.getContractFactory('MockERC20')
+            usdc = await MockERC20.deploy('USD Coin', 'USDC', 6)
+
+            await usdc.mint(buyer.address, dollars(100000))
+            await usdc.mint(lender.address, dollars(400000))
+
+            // Seller lists house 2 for 500,000 USDC with 100,000 earnest
+            await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+            escrow2 = await listInClone(seller, 2, buyer.address, dollars(500000), dollars(100000), usdc.address)
+            await escrow2.connect(appraiser).recordAppraisal(2, dollars(500000))
+        })
+
+        describe('Success', () => {
+
+            it('Records the payment token', async () => {
+                expect(await escrow2.paymentToken(2)).to.be.equal(usdc.address)
+                expect(await escrow.paymentToken(1)).to.be.equal(ETH)
+            })
+
+            it('Pulls deposits with transferFrom', async () => {
+                await usdc.connect(buyer).approve(escrow2.address, dollars(100000))
+                await escrow2.connect(buyer).depositEarnest(2, dollars(100000))
+
+                expect(await escrow2.earnestDeposited(2)).to.be.equal(dollars(100000))
+                expect(await usdc.balanceOf(escrow2.address)).to.be.equal(dollars(100000))
+                expect(await escrow2.getBalance()).to.be.equal(0)
+            })
+
+            it('Pays the seller in the token', async () => {
+                await usdc.connect(buyer).approve(escrow2.address, dollars(100000))
+                await escrow2.connect(buyer).depositEarnest(2, dollars(100000))
+                await usdc.connect(lender).approve(escrow2.address, dollars(400000))
+                await escrow2.connect(lender).depositLoan(2, dollars(400000))
+
+                await escrow2.connect(inspector).updateInspectionStatus(2, true)
+                await escrow2.connect(lawyer).updateLegalStatus(2, true)
+                await escrow2.connect(buyer).approveSale(2)
+                await escrow2.connect(seller).approveSale(2)
+                await escrow2.connect(lender).approveSale(2)
+                await escrow2.connect(seller).finalizeSale(2)
+
+                expect(await usdc.balanceOf(seller.address)).to.be.equal(dollars(500000))
+                expect(await usdc.balanceOf(escrow2.address)).to.be.equal(0)
+                expect(await realEstate.ownerOf(2)).to.be.equal(buyer.address)
+            })
+
+            it('Refunds the earnest in the token', async () => {
+                await usdc.connect(buyer).approve(escrow2.address, dollars(100000))
+                await escrow2.connect(buyer).depositEarnest(2, dollars(100000))
+                await escrow2.connect(buyer).cancelSale(2)
+
+                expect(await usdc.balanceOf(buyer.address)).to.be.equal(dollars(100000))
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail without an allowance', async () => {
+                await expect(escrow2.connect(buyer).depositEarnest(2, dollars(100000))).to.be.revertedWith("Payments: Token transfer failed")
+            })
+
+            it('Should fail when ETH is sent to a token listing', async () => {
+                await usdc.connect(buyer).approve(escrow2.address, dollars(100000))
+
+                await expect(escrow2.connect(buyer).depositEarnest(2, dollars(100000), { value: tokens(1) })).to.be.revertedWith("Payments: ETH sent for a token payment")
+            })
+
+            it('Should fail when the ETH sent does not match the amount', async () => {
+                await expect(escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(4) })).to.be.revertedWith("Payments: Incorrect ETH amount")
+            })
+        })
+    })
+
+    describe('Appraisal', () => {
+        let escrow2
+
+        beforeEach(async () => {
+            // House 2 is under contract at 10 ETH but has not been appraised yet
+            await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+            escrow2 = await listInClone(seller, 2, buyer.address, tokens(10), tokens(2))
+            await escrow2.connect(buyer).depositEarnest(2, tokens(2), { value: tokens(2) })
+        })
+
+        describe('Success', () => {
+
+            it('Records the appraised value', async () => {
+                await expect(escrow2.connect(appraiser).recordAppraisal(2, tokens(8)))
+                    .to.emit(escrow2, 'Appraised').withArgs(2, appraiser.address, tokens(8))
+
+                expect(await escrow2.appraisedValue(2)).to.be.equal(tokens(8))
+                expect(await escrow2.isAppraisalLow(2)).to.be.equal(true)
+            })
+
+            it('Lowers the price once the seller accepts the buyer proposal', async () => {
+                await escrow2.connect(appraiser).recordAppraisal(2, tokens(8))
+                await escrow2.connect(seller).approveSale(2)
+
+                await escrow2.connect(buyer).proposePrice(2, tokens(8))
+                await expect(escrow2.connect(seller).acceptPrice(2))
+                    .to.emit(escrow2, 'PriceRenegotiated').withArgs(2, tokens(10), tokens(8))
+
+                expect(await escrow2.purchasePrice(2)).to.be.equal(tokens(8))
+                expect(await escrow2.isAppraisalLow(2)).to.be.equal(false)
+                expect(await escrow2.approval(2, seller.address)).to.be.equal(false)
+            })
+
+            it('Lets the buyer walk away with the earnest after inspection', async () => {
+                await escrow2.connect(inspector).updateInspectionStatus(2, true)
+                await escrow2.connect(appraiser).recordAppraisal(2, tokens(8))
+
+                await expect(escrow2.connect(buyer).cancelSale(2))
+                    .to.emit(escrow2, 'SaleCancelled').withArgs(2, buyer.address, buyer.address, tokens(2))
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail when a non-appraiser appraises', async () => {
+                await expect(escrow2.connect(attacker).recordAppraisal(2, tokens(8))).to.be.revertedWith("Escrow: Only appraiser can call this method")
+            })
+
+            it('Should fail to appraise twice', async () => {
+                await escrow2.connect(appraiser).recordAppraisal(2, tokens(8))
+
+                await expect(escrow2.connect(appraiser).recordAppraisal(2, tokens(10))).to.be.revertedWith("Escrow: Already appraised")
+            })
+
+            it('Should fail to appraise after the financing deadline', async () => {
+                await time.increase(FINANCING_PERIOD + 1)
+
+                await expect(escrow2.connect(appraiser).recordAppraisal(2, tokens(8))).to.be.revertedWith("Escrow: Financing period has ended")
+            })
+
+            it('Should fail to fund before the appraisal', async () => {
+                await expect(escrow2.connect(lender).depositLoan(2, tokens(8), { value: tokens(8) })).to.be.revertedWith("Escrow: Property not appraised")
+            })
+
+            it('Should fail to fund beyond the appraised value', async () => {
+                await escrow2.connect(appraiser).recordAppraisal(2, tokens(7))
+
+                await expect(escrow2.connect(lender).depositLoan(2, tokens(8), { value: tokens(8) })).to.be.revertedWith("Escrow: Loan exceeds appraised value")
+            })
+
+            it('Should fail to renegotiate without a low appraisal', async () => {
+                await escrow2.connect(appraiser).recordAppraisal(2, tokens(10))
+
+                await expect(escrow2.connect(buyer).proposePrice(2, tokens(9))).to.be.revertedWith("Escrow: Appraisal is not below the price")
+            })
+
+            it('Should fail when the seller cancels after a low appraisal', async () => {
+                await escrow2.connect(inspector).updateInspectionStatus(2, true)
+                await escrow2.connect(appraiser).recordAppraisal(2, tokens(8))
+
+                await expect(escrow2.connect(seller).cancelSale(2)).to.be.revertedWith("Escrow: Only specific buyer can cancel before inspection or after a low appraisal")
+            })
+        })
+    })
+
+    describe('Service Providers', () => {
+        let replacement
+
+        beforeEach(async () => {
+            replacement = (await ethers.getSigners())[8]
+        })
+
+        describe('Success', () => {
+
+            it('Assigns providers per listing', async () => {
+                await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+                const escrow2 = await listInClone(seller, 2, buyer.address, tokens(10), tokens(5), ETH, [replacement.address, lender.address, lawyer.address, appraiser.address, arbitrator.address])
+
+                const [assigned] = await escrow2.queryFilter(escrow2.filters.ServiceProvidersAssigned(2))
+                expect(assigned.args.inspector).to.be.equal(replacement.address)
+
+                expect(await escrow2.inspector(2)).to.be.equal(replacement.address)
+                expect(await escrow.inspector(1)).to.be.equal(inspector.address)
+                await expect(escrow2.connect(inspector).updateInspectionStatus(2, true)).to.be.revertedWith("Escrow: Only inspector can call this method")
+            })
+
+            it('Replaces a provider once buyer and seller agree', async () => {
+                await expect(escrow.connect(buyer).proposeReplacement(1, 0, replacement.address))
+                    .to.emit(escrow, 'ReplacementProposed').withArgs(1, 0, buyer.address, replacement.address)
+                expect(await escrow.inspector(1)).to.be.equal(inspector.address)
+
+                await expect(escrow.connect(seller).proposeReplacement(1, 0, replacement.address))
+                    .to.emit(escrow, 'ServiceProviderReplaced').withArgs(1, 0, inspector.address, replacement.address)
+
+                expect(await escrow.inspector(1)).to.be.equal(replacement.address)
+                await escrow.connect(replacement).updateInspectionStatus(1, true)
+                expect(await escrow.inspectionPassed(1)).to.be.equal(true)
+            })
+
+            it('Checks the listing lender at closing', async () => {
+                await escrow.connect(buyer).proposeReplacement(1, 1, replacement.address)
+                await escrow.connect(seller).proposeReplacement(1, 1, replacement.address)
+
+                await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
+                await escrow.connect(replacement).depositLoan(1, tokens(5), { value: tokens(5) })
+                await escrow.connect(inspector).updateInspectionStatus(1, true)
+                await escrow.connect(lawyer).updateLegalStatus(1, true)
+                await escrow.connect(buyer).approveSale(1)
+                await escrow.connect(seller).approveSale(1)
+                await escrow.connect(lender).approveSale(1)
+
+                await expect(escrow.connect(seller).finalizeSale(1)).to.be.revertedWith("Escrow: Lender has not approved the sale")
+
+                await escrow.connect(replacement).approveSale(1)
+                await escrow.connect(seller).finalizeSale(1)
+
+                expect(await realEstate.ownerOf(1)).to.be.equal(buyer.address)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to replace a provider that has acted', async () => {
+                await expect(escrow.connect(buyer).proposeReplacement(1, 3, replacement.address)).to.be.revertedWith("Escrow: Service provider has already acted")
+            })
+
+            it('Should fail when someone else proposes a replacement', async () => {
+                await expect(escrow.connect(attacker).proposeReplacement(1, 0, attacker.address)).to.be.revertedWith("Escrow: Only buyer or seller can call this method")
+            })
+
+            it('Should fail to list without every provider', async () => {
+                await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+                await realEstate.connect(seller).approve(factory.address, 2)
+
+                await expect(factory.connect(seller).createEscrow([2, buyer.address, tokens(10), tokens(5)], INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, [inspector.address, lender.address, lawyer.address, appraiser.address, ETH])).to.be.revertedWith("Escrow: Every service provider must be set")
+            })
+        })
+    })
+
+    describe('Disputes', () => {
+        const evidence = ethers.utils.id('inspection-report.pdf')
+
+        beforeEach(async () => {
+            await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
+            await escrow.connect(lender).depositLoan(1, tokens(5), { value: tokens(5) })
+            await escrow.connect(inspector).updateInspectionStatus(1, true)
+        })
+
+        describe('Success', () => {
+
+            it('Freezes the listing', async () => {
+                await expect(escrow.connect(buyer).openDispute(1))
+                    .to.emit(escrow, 'DisputeOpened').withArgs(1, buyer.address)
+
+                expect(await escrow.disputed(1)).to.be.equal(true)
+                await expect(escrow.connect(seller).cancelSale(1)).to.be.revertedWith("Escrow: Listing is under dispute")
+                await expect(escrow.connect(lawyer).updateLegalStatus(1, true)).to.be.revertedWith("Escrow: Listing is under dispute")
+                await expect(escrow.connect(buyer).approveSale(1)).to.be.revertedWith("Escrow: Listing is under dispute")
+                await expect(escrow.connect(seller).finalizeSale(1)).to.be.revertedWith("Escrow: Listing is under dispute")
+            })
+
+            it('Records evidence from either party', async () => {
+                await escrow.connect(seller).openDispute(1)
+
+                await expect(escrow.connect(buyer).submitEvidence(1, evidence))
+                    .to.emit(escrow, 'EvidenceSubmitted').withArgs(1, buyer.address, evidence)
+                await expect(escrow.connect(seller).submitEvidence(1, evidence))
+                    .to.emit(escrow, 'EvidenceSubmitted').withArgs(1, seller.address, evidence)
+            })
+
+            it('Splits the earnest and returns the property to the seller', async () => {
+                await escrow.connect(buyer).openDispute(1)
+
+                const initialBuyerBalance = await ethers.provider.getBalance(buyer.address)
+                const initialSellerBalance = await ethers.provider.getBalance(seller.address)
+                const initialLenderBalance = await ethers.provider.getBalance(lender.address)
+
+                // 30% of the 5 ETH earnest to the buyer
+                await expect(escrow.connect(arbitrator).resolveDispute(1, 3000, false))
+                    .to.emit(escrow, 'DisputeResolved').withArgs(1, arbitrator.address, tokens(1.5), tokens(3.5), seller.address)
+
+                expect((await ethers.provider.getBalance(buyer.address)).sub(initialBuyerBalance)).to.be.equal(tokens(1.5))
+                expect((await ethers.provider.getBalance(seller.address)).sub(initialSellerBalance)).to.be.equal(tokens(3.5))
+                expect((await ethers.provider.getBalance(lender.address)).sub(initialLenderBalance)).to.be.equal(tokens(5))
+                expect(await realEstate.ownerOf(1)).to.be.equal(seller.address)
+                expect(await escrow.getBalance()).to.be.equal(0)
+                expect(await escrow.isListed(1)).to.be.equal(false)
+                expect(await escrow.disputed(1)).to.be.equal(false)
+            })
+
+            it('Awards the property to the buyer', async () => {
+                await escrow.connect(buyer).openDispute(1)
+                await escrow.connect(arbitrator).resolveDispute(1, 0, true)
+
+                expect(await realEstate.ownerOf(1)).to.be.equal(buyer.address)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail when someone else opens a dispute', async () => {
+                await expect(escrow.connect(attacker).openDispute(1)).to.be.revertedWith("Escrow: Only buyer or seller can call this method")
+            })
+
+            it('Should fail to open a second dispute', async () => {
+                await escrow.connect(buyer).openDispute(1)
+
+                await expect(escrow.connect(seller).openDispute(1)).to.be.revertedWith("Escrow: Listing is under dispute")
+            })
+
+            it('Should fail to submit evidence without a dispute', async () => {
+                await expect(escrow.connect(buyer).submitEvidence(1, evidence)).to.be.revertedWith("Escrow: No open dispute")
+            })
+
+            it('Should fail when a non-arbitrator resolves', async () => {
+                await escrow.connect(buyer).openDispute(1)
+
+                await expect(escrow.connect(attacker).resolveDispute(1, 5000, false)).to.be.revertedWith("Escrow: Only arbitrator can call this method")
+            })
+
+            it('Should fail to award more than the whole earnest', async () => {
+                await escrow.connect(buyer).openDispute(1)
+
+                await expect(escrow.connect(arbitrator).resolveDispute(1, 10001, false)).to.be.revertedWith("Escrow: Share cannot exceed 100%")
+            })
+
+            it('Should fail to resolve without a dispute', async () => {
+                await expect(escrow.connect(arbitrator).resolveDispute(1, 5000, false)).to.be.revertedWith("Escrow: No open dispute")
+            })
+        })
+    })
+
+    describe('Batch', () => {
+        const URI = "https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS"
+
+        beforeEach(async () => {
+            // Seller mints houses 2 and 3 together and approves the factory for all of them
+            await realEstate.connect(seller).mintBatch([URI, URI])
+            await realEstate.connect(seller).setApprovalForAll(factory.address, true)
+        })
+
+        describe('Success', () => {
+
+            it('Mints consecutive tokens', async () => {
+                expect(await realEstate.totalSupply()).to.be.equal(3)
+                expect(await realEstate.ownerOf(2)).to.be.equal(seller.address)
+                expect(await realEstate.ownerOf(3)).to.be.equal(seller.address)
+                expect(await realEstate.tokenURI(3)).to.be.equal(URI)
+            })
+
+            it('Lists each property at its own price and earnest, each in its own escrow', async () => {
+                await factory.connect(seller).createEscrows([
+                    [2, buyer.address, tokens(20), tokens(4)],
+                    [3, ETH, tokens(30), tokens(6)],
+                ], INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)
+
+                const escrow2 = await ethers.getContractAt('Escrow', await factory.escrowOf(2))
+                const escrow3 = await ethers.getContractAt('Escrow', await factory.escrowOf(3))
+
+                expect(await realEstate.ownerOf(2)).to.be.equal(escrow2.address)
+                expect(await realEstate.ownerOf(3)).to.be.equal(escrow3.address)
+                expect(await escrow3.purchasePrice(3)).to.be.equal(tokens(30))
+                expect(await escrow3.escrowAmount(3)).to.be.equal(tokens(6))
+                expect(await escrow3.isOpen(3)).to.be.equal(true)
+                expect(await escrow2.inspector(2)).to.be.equal(inspector.address)
+            })
+
+            it('Runs several calls on a listing in one multicall', async () => {
+                await escrow.connect(seller).multicall([
+                    escrow.interface.encodeFunctionData('updateTerms', [1, tokens(12), tokens(3)]),
+                    escrow.interface.encodeFunctionData('approveSale', [1]),
+                ])
+
+                expect(await escrow.purchasePrice(1)).to.be.equal(tokens(12))
+                expect(await escrow.approval(1, seller.address)).to.be.equal(true)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to batch list new properties in an escrow', async () => {
+                await expect(escrow.connect(seller).batchList([
+                    [2, buyer.address, tokens(20), tokens(4)],
+                ], INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)).to.be.revertedWith("Escrow: List through EscrowFactory")
+            })
+
+            it('Reverts the whole multicall when one call fails', async () => {
+                await expect(escrow.connect(inspector).multicall([
+                    escrow.interface.encodeFunctionData('updateInspectionStatus', [1, true]),
+                    escrow.interface.encodeFunctionData('updateLegalStatus', [1, true]),
+                ])).to.be.revertedWith("Escrow: Only lawyer can call this method")
+
+                expect(await escrow.inspectionPassed(1)).to.be.equal(false)
+            })
+        })
+    })
+
+    describe('Pagination', () => {
+        const URI = "https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS"
+
+        beforeEach(async () => {
+            // Houses 2 and 3 exist, only house 3 is listed (on the open market)
+            await realEstate.connect(seller).mintBatch([URI, URI])
+            await listInClone(seller, 3, ETH, tokens(30), tokens(6))
+        })
+
+        describe('Success', () => {
+
+            it('Returns a page of token URIs', async () => {
+                expect(await realEstate.getTokenURIs(2, 2)).to.deep.equal([URI, URI])
+            })
+
+            it('Stops at the last minted token', async () => {
+                expect(await realEstate.getTokenURIs(2, 10)).to.have.lengthOf(2)
+                expect(await realEstate.getTokenURIs(4, 10)).to.have.lengthOf(0)
+            })
+
+            it('Returns listing state for each ID', async () => {
+                const [house1, house2, house3] = await factory.getListings(1, 3)
+
+                expect(house1.isListed).to.be.equal(true)
+                expect(house1.buyer).to.be.equal(buyer.address)
+                expect(house1.purchasePrice).to.be.equal(tokens(10))
+
+                expect(house2.isListed).to.be.equal(false)
+
+                expect(house3.isListed).to.be.equal(true)
+                expect(house3.seller).to.be.equal(seller.address)
+                expect(house3.buyer).to.be.equal(ETH)
+                expect(house3.paymentToken).to.be.equal(ETH)
+                expect(house3.escrowAmount).to.be.equal(tokens(6))
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to page from token ID 0', async () => {
+                await expect(realEstate.getTokenURIs(0, 10)).to.be.revertedWith("RealEstate: Token IDs start at 1")
+            })
+        })
+    })
+
+    describe('Updating terms', () => {
+        describe('Success', () => {
+
+            it('Lets the seller change price and earnest before any deposit', async () => {
+                await expect(escrow.connect(seller).updateTerms(1, tokens(12), tokens(3)))
+                    .to.emit(escrow, 'TermsUpdated').withArgs(1, tokens(12), tokens(3))
+
+                expect(await escrow.purchasePrice(1)).to.be.equal(tokens(12))
+                expect(await escrow.escrowAmount(1)).to.be.equal(tokens(3))
+            })
+
+            it('Clears approvals given at the old terms', async () => {
+                await escrow.connect(buyer).approveSale(1)
+                await escrow.connect(seller).updateTerms(1, tokens(12), tokens(3))
+
+                expect(await escrow.approval(1, buyer.address)).to.be.equal(false)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail when someone else changes the terms', async () => {
+                await expect(escrow.connect(buyer).updateTerms(1, tokens(1), tokens(1))).to.be.revertedWith("Escrow: Only seller can call this method")
+            })
+
+            it('Should fail once the buyer has deposited', async () => {
+                await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
+                await expect(escrow.connect(seller).updateTerms(1, tokens(12), tokens(3))).to.be.revertedWith("Escrow: Funds already deposited")
+            })
+
+            it('Should fail once the lender has deposited', async () => {
+                await escrow.connect(lender).depositLoan(1, tokens(5), { value: tokens(5) })
+                await expect(escrow.connect(seller).updateTerms(1, tokens(12), tokens(3))).to.be.revertedWith("Escrow: Funds already deposited")
+            })
+        })
+    })
+
+    describe('Relisting', () => {
+        beforeEach(async () => {
+            // Buyer walks away after a failed inspection, leaving the property in escrow
+            await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
+            await escrow.connect(inspector).updateInspectionStatus(1, true)
+            await escrow.connect(lawyer).updateLegalStatus(1, true)
+            await escrow.connect(seller).approveSale(1)
+            await escrow.connect(inspector).updateInspectionStatus(1, false)
+            await escrow.connect(buyer).cancelSale(1)
+        })
+
+        describe('Success', () => {
+
+            it('Lets the seller list a cancelled sale again', async () => {
+                await expect(escrow.connect(seller).list(1, attacker.address, tokens(8), tokens(2), INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers))
+                    .to.emit(escrow, 'Listed').withArgs(1, seller.address, attacker.address, tokens(8), tokens(2))
+
+                expect(await escrow.isListed(1)).to.be.equal(true)
+                expect(await escrow.buyer(1)).to.be.equal(attacker.address)
+                expect(await escrow.purchasePrice(1)).to.be.equal(tokens(8))
+                expect(await realEstate.ownerOf(1)).to.be.equal(escrow.address)
+            })
+
+            it('Starts the new sale\'s checks over', async () => {
+                await escrow.connect(seller).list(1, buyer.address, tokens(8), tokens(2), INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)
+
+                expect(await escrow.legalPassed(1)).to.be.equal(false)
+                expect(await escrow.approval(1, seller.address)).to.be.equal(false)
+                expect(await escrow.appraisedValue(1)).to.be.equal(0)
+            })
+
+            it('Lets the seller relist an expired sale', async () => {
+                await escrow.connect(seller).list(1, buyer.address, tokens(8), tokens(2), INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)
+                await time.increase(INSPECTION_PERIOD + 1)
+                await escrow.expireSale(1)
+
+                await escrow.connect(seller).list(1, ethers.constants.AddressZero, tokens(9), tokens(2), INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)
+                expect(await escrow.isOpen(1)).to.be.equal(true)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail when someone else relists the property', async () => {
+                await expect(escrow.connect(attacker).list(1, attacker.address, 1, 1, INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers))
+                    .to.be.revertedWith("Escrow: List through EscrowFactory")
+            })
+
+            it('Should fail to relist a property that is still listed', async () => {
+                await escrow.connect(seller).list(1, buyer.address, tokens(8), tokens(2), INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)
+
+                await expect(escrow.connect(seller).list(1, attacker.address, 1, 1, INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers))
+                    .to.be.revertedWith("Escrow: List through EscrowFactory")
+            })
+        })
+    })
+
+    describe('Reclaiming', () => {
+        beforeEach(async () => {
+            // Buyer walks away before inspection, leaving the property in escrow
+            await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
+            await escrow.connect(buyer).cancelSale(1)
+        })
+
+        describe('Success', () => {
+
+            it('Returns a cancelled sale\'s property to the seller', async () => {
+                await expect(escrow.connect(seller).reclaim(1))
+                    .to.emit(escrow, 'Reclaimed').withArgs(1, seller.address)
+
+                expect(await realEstate.ownerOf(1)).to.be.equal(seller.address)
+            })
+
+            it('Returns an expired sale\'s property to the seller', async () => {
+                await escrow.connect(seller).list(1, buyer.address, tokens(8), tokens(2), INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)
+                await time.increase(INSPECTION_PERIOD + 1)
+                await escrow.expireSale(1)
+
+                await escrow.connect(seller).reclaim(1)
+                expect(await realEstate.ownerOf(1)).to.be.equal(seller.address)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail when someone else reclaims the property', async () => {
+                await expect(escrow.connect(buyer).reclaim(1)).to.be.revertedWith("Escrow: Only seller can call this method")
+            })
+
+            it('Should fail while the property is listed', async () => {
+                await escrow.connect(seller).list(1, buyer.address, tokens(8), tokens(2), INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)
+
+                await expect(escrow.connect(seller).reclaim(1)).to.be.revertedWith("Escrow: Listing is still active")
+            })
+
+            it('Should fail once the property has left the escrow', async () => {
+                await escrow.connect(seller).reclaim(1)
+
+                await expect(escrow.connect(seller).reclaim(1)).to.be.reverted
+            })
+        })
+    })
+
+    describe('Metadata updates', () => {
+        const NEW_URI = "ipfs://QmQVcpsjrA6cr1iJjZAodYwmPekYgbnXGo4DFubJiLc2EB/1.json"
+
+        describe('Success', () => {
+
+            it('Lets the seller update a listed property', async () => {
+                await expect(realEstate.connect(seller).setTokenURI(1, NEW_URI))
+                    .to.emit(realEstate, 'MetadataUpdate').withArgs(1)
+
+                expect(await realEstate.tokenURI(1)).to.be.equal(NEW_URI)
+            })
+
+            it('Lets the owner update an unlisted property', async () => {
+                await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+                await realEstate.connect(seller).setTokenURI(2, NEW_URI)
+
+                expect(await realEstate.tokenURI(2)).to.be.equal(NEW_URI)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail when someone else updates a listed property', async () => {
+                await expect(realEstate.connect(attacker).setTokenURI(1, NEW_URI)).to.be.revertedWith("RealEstate: Caller cannot update this token")
+            })
+
+            it('Should fail when the seller updates a property with a buyer deposit', async () => {
+                await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
+
+                await expect(realEstate.connect(seller).setTokenURI(1, NEW_URI)).to.be.revertedWith("RealEstate: Caller cannot update this token")
+            })
+
+            it('Should fail when the seller updates an open listing with a bidder\'s deposit', async () => {
+                await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+                const escrow2 = await listInClone(seller, 2, ethers.constants.AddressZero, tokens(10), tokens(1))
+                expect(await realEstate.canUpdate(2, seller.address)).to.be.equal(true)
+
+                const expiresAt = (await time.latest()) + days(3)
+                await escrow2.connect(buyer).makeOffer(2, tokens(9), tokens(1), expiresAt, { value: tokens(1) })
+
+                await expect(realEstate.connect(seller).setTokenURI(2, NEW_URI)).to.be.revertedWith("RealEstate: Caller cannot update this token")
+
+                // Once the deposit is refunded the seller can edit again
+                await escrow2.connect(buyer).withdrawOffer(2, 0)
+                expect(await realEstate.canUpdate(2, seller.address)).to.be.equal(true)
+            })
+
+            it('Should fail when the seller updates a property the buyer approved', async () => {
+                await escrow.connect(buyer).approveSale(1)
+
+                expect(await realEstate.canUpdate(1, seller.address)).to.be.equal(false)
+                await expect(realEstate.connect(seller).setTokenURI(1, NEW_URI)).to.be.revertedWith("RealEstate: Caller cannot update this token")
+            })
 
-                // Attempt to finalize sale
-                await expect(escrow.connect(seller).finalizeSale(nftID1)).to.be.revertedWith("Escrow: Contract does not have enough balance")
+            it('Should fail when the seller updates a sold property', async () => {
+                await escrow.connect(buyer).depositEarnest(1, tokens(5), { value: tokens(5) })
+                await escrow.connect(lender).depositLoan(1, tokens(5), { value: tokens(5) })
+                await escrow.connect(inspector).updateInspectionStatus(1, true)
+                await escrow.connect(lawyer).updateLegalStatus(1, true)
+                await escrow.connect(buyer).approveSale(1)
+                await escrow.connect(seller).approveSale(1)
+                await escrow.connect(lender).approveSale(1)
+                await escrow.connect(seller).finalizeSale(1)
+
+                await expect(realEstate.connect(seller).setTokenURI(1, NEW_URI)).to.be.revertedWith("RealEstate: Caller cannot update this token")
             })
         })
     })
-})
\ No newline at end of file
+})
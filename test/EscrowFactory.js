@@ -0,0 +1,276 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const tokens = (n) => {
+    return ethers.utils.parseUnits(n.toString(), 'ether')
+}
+
+const days = (n) => {
+    return n * 24 * 60 * 60
+}
+
+// Listings priced in ETH use the zero address as their payment token
+const ETH = ethers.constants.AddressZero
+
+const INSPECTION_PERIOD = days(10)
+const FINANCING_PERIOD = days(20)
+const CLOSING_PERIOD = days(30)
+
+// Deal statuses, as in EscrowFactory.Status
+const OPEN = 0
+const UNDER_CONTRACT = 1
+const DISPUTED = 2
+const CLOSED = 3
+
+describe('EscrowFactory', () => {
+    let buyer, seller, inspector, lender, lawyer, attacker, appraiser, arbitrator
+    let providers
+    let realEstate, mortgage, implementation, factory
+
+    // List a property in its own escrow and return that escrow
+    const createEscrow = async (nftID, buyerAddress = buyer.address, price = tokens(10), earnest = tokens(2)) => {
+        await realEstate.connect(seller).approve(factory.address, nftID)
+        await factory.connect(seller).createEscrow([nftID, buyerAddress, price, earnest], INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)
+
+        return ethers.getContractAt('Escrow', await factory.escrowOf(nftID))
+    }
+
+    beforeEach(async () => {
+        // Setup accounts
+        [buyer, seller, inspector, lender, lawyer, attacker, , appraiser, , arbitrator] = await ethers.getSigners()
+
+        // Service providers named on every listing
+        providers = [inspector.address, lender.address, lawyer.address, appraiser.address, arbitrator.address]
+
+        // Deploy Real Estate
+        const RealEstate = await ethers.getContractFactory('RealEstate')
+        realEstate = await RealEstate.deploy()
+
+        // Deploy Mortgage
+        const Mortgage = await ethers.getContractFactory('Mortgage')
+        mortgage = await Mortgage.deploy(realEstate.address)
+
+        // Deploy the Escrow every clone delegates to
+        const Escrow = await ethers.getContractFactory('Escrow')
+        implementation = await Escrow.deploy(realEstate.address, mortgage.address)
+
+        // Deploy Escrow Factory
+        const EscrowFactory = await ethers.getContractFactory('EscrowFactory')
+        factory = await EscrowFactory.deploy(implementation.address)
+
+        await mortgage.setEscrow(implementation.address)
+        await mortgage.setEscrowFactory(factory.address)
+
+        // Mint
+        await realEstate.connect(seller).mintBatch(["1.json", "2.json", "3.json"])
+    })
+
+    describe('Deployment', () => {
+
+        it('Uses the implementation\'s NFT and mortgage', async () => {
+            expect(await factory.implementation()).to.be.equal(implementation.address)
+            expect(await factory.nftAddress()).to.be.equal(realEstate.address)
+            expect(await factory.mortgage()).to.be.equal(mortgage.address)
+        })
+
+        it('Should fail to initialize the implementation', async () => {
+            await expect(implementation.initialize(realEstate.address, mortgage.address, attacker.address, [1, buyer.address, tokens(10), tokens(2)], INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers))
+                .to.be.revertedWith("Escrow: Already initialized")
+        })
+
+        it('Should fail to connect a second escrow factory', async () => {
+            await expect(mortgage.setEscrowFactory(attacker.address)).to.be.revertedWith("Mortgage: Escrow factory already set")
+        })
+    })
+
+    describe('Creating escrows', () => {
+        describe('Success', () => {
+
+            it('Moves the property into a new escrow', async () => {
+                const escrow = await createEscrow(1)
+
+                expect(escrow.address).to.not.be.equal(implementation.address)
+                expect(await realEstate.ownerOf(1)).to.be.equal(escrow.address)
+                expect(await factory.isEscrow(escrow.address)).to.be.equal(true)
+            })
+
+            it('Configures the escrow with the deal', async () => {
+                const escrow = await createEscrow(1)
+
+                expect(await escrow.factory()).to.be.equal(factory.address)
+                expect(await escrow.nftAddress()).to.be.equal(realEstate.address)
+                expect(await escrow.mortgage()).to.be.equal(mortgage.address)
+                expect(await escrow.isListed(1)).to.be.equal(true)
+                expect(await escrow.seller(1)).to.be.equal(seller.address)
+                expect(await escrow.buyer(1)).to.be.equal(buyer.address)
+                expect(await escrow.purchasePrice(1)).to.be.equal(tokens(10))
+                expect(await escrow.escrowAmount(1)).to.be.equal(tokens(2))
+                expect(await escrow.inspector(1)).to.be.equal(inspector.address)
+                expect(await escrow.closingDeadline(1)).to.be.greaterThan(0)
+            })
+
+            it('Emits DealCreated', async () => {
+                await realEstate.connect(seller).approve(factory.address, 1)
+                const transaction = await factory.connect(seller).createEscrow([1, buyer.address, tokens(10), tokens(2)], INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)
+
+                await expect(transaction).to.emit(factory, 'DealCreated').withArgs(0, 1, await factory.escrowOf(1), seller.address, buyer.address)
+            })
+
+            it('Lists a batch in one escrow each', async () => {
+                await realEstate.connect(seller).setApprovalForAll(factory.address, true)
+                await factory.connect(seller).createEscrows([
+                    [1, buyer.address, tokens(10), tokens(2)],
+                    [2, ethers.constants.AddressZero, tokens(20), tokens(4)],
+                ], INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)
+
+                const first = await factory.escrowOf(1)
+                const second = await factory.escrowOf(2)
+
+                expect(first).to.not.be.equal(second)
+                expect(await realEstate.ownerOf(1)).to.be.equal(first)
+                expect(await realEstate.ownerOf(2)).to.be.equal(second)
+                expect(await factory.dealCount()).to.be.equal(2)
+            })
+
+            it('Keeps each deal\'s funds in its own escrow', async () => {
+                const first = await createEscrow(1)
+                const second = await createEscrow(2)
+
+                await first.connect(buyer).depositEarnest(1, tokens(2), { value: tokens(2) })
+
+                expect(await first.getBalance()).to.be.equal(tokens(2))
+                expect(await second.getBalance()).to.be.equal(0)
+            })
+
+            it('Originates a mortgage from a clone', async () => {
+                const escrow = await createEscrow(1)
+                await mortgage.connect(lender).proposeTerms(1, 600, 12, days(30))
+
+                await escrow.connect(buyer).depositEarnest(1, tokens(2), { value: tokens(2) })
+                await escrow.connect(appraiser).recordAppraisal(1, tokens(10))
+                await escrow.connect(lender).depositLoan(1, tokens(8), { value: tokens(8) })
+                await escrow.connect(inspector).updateInspectionStatus(1, true)
+                await escrow.connect(lawyer).updateLegalStatus(1, true)
+                await escrow.connect(buyer).approveSale(1)
+                await escrow.connect(seller).approveSale(1)
+                await escrow.connect(lender).approveSale(1)
+                await escrow.connect(seller).finalizeSale(1)
+
+                expect(await realEstate.ownerOf(1)).to.be.equal(mortgage.address)
+                expect((await mortgage.loans(1)).principal).to.be.equal(tokens(8))
+            })
+
+            it('Relists a cancelled sale in the same escrow', async () => {
+                const escrow = await createEscrow(1, ethers.constants.AddressZero)
+                await escrow.connect(seller).cancelSale(1)
+                expect(await factory.status(0)).to.be.equal(CLOSED)
+
+                await escrow.connect(seller).list(1, buyer.address, tokens(8), tokens(2), INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers)
+
+                expect(await factory.status(0)).to.be.equal(UNDER_CONTRACT)
+                expect(await factory.dealCount()).to.be.equal(1)
+            })
+
+            it('Lets the seller edit the token while a clone holds it', async () => {
+                await createEscrow(1)
+                expect(await realEstate.canUpdate(1, seller.address)).to.be.equal(true)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail when a non-owner creates an escrow', async () => {
+                await expect(factory.connect(attacker).createEscrow([1, buyer.address, tokens(10), tokens(2)], INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers))
+                    .to.be.revertedWith("EscrowFactory: Only token owner can list")
+            })
+
+            it('Should fail to initialize a clone twice', async () => {
+                const escrow = await createEscrow(1)
+
+                await expect(escrow.connect(attacker).initialize(realEstate.address, mortgage.address, attacker.address, [1, attacker.address, 1, 1], INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers))
+                    .to.be.revertedWith("Escrow: Already initialized")
+            })
+
+            it('Should fail to list another property in a clone', async () => {
+                const escrow = await createEscrow(1)
+
+                await realEstate.connect(seller).approve(escrow.address, 2)
+                await expect(escrow.connect(seller).list(2, buyer.address, tokens(10), tokens(2), INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers))
+                    .to.be.revertedWith("Escrow: List through EscrowFactory")
+            })
+
+            it('Should fail when an escrow outside the factory originates a loan', async () => {
+                await expect(mortgage.connect(attacker).originate(1, buyer.address, lender.address, tokens(8), ETH))
+                    .to.be.revertedWith("Mortgage: Only escrow can call this method")
+            })
+        })
+    })
+
+    describe('Registry', () => {
+        let first, second
+
+        beforeEach(async () => {
+            // Deal 0 has a buyer, deal 1 is open to offers and deal 2 goes to a third party
+            first = await createEscrow(1)
+            second = await createEscrow(2, ethers.constants.AddressZero)
+            await createEscrow(3, attacker.address)
+        })
+
+        it('Finds the deals for a property', async () => {
+            expect(await factory.dealsForNFT(1)).to.deep.equal([ethers.BigNumber.from(0)])
+            expect(await factory.escrowOf(1)).to.be.equal(first.address)
+            expect(await factory.escrowOf(4)).to.be.equal(ethers.constants.AddressZero)
+        })
+
+        it('Finds the deals for a party', async () => {
+            const ids = async (party) => (await factory.dealsForParty(party)).map((id) => id.toNumber())
+
+            expect(await ids(seller.address)).to.deep.equal([0, 1, 2])
+            expect(await ids(inspector.address)).to.deep.equal([0, 1, 2])
+            expect(await ids(buyer.address)).to.deep.equal([0])
+            expect(await ids(attacker.address)).to.deep.equal([2])
+        })
+
+        it('Follows a buyer who wins an offer', async () => {
+            const expiresAt = (await ethers.provider.getBlock('latest')).timestamp + days(1)
+            await second.connect(buyer).makeOffer(2, tokens(10), tokens(2), expiresAt, { value: tokens(2) })
+            await second.connect(seller).acceptOffer(2, 0)
+
+            expect((await factory.dealsForParty(buyer.address)).map((id) => id.toNumber())).to.deep.equal([0, 1])
+        })
+
+        it('Finds the deals with a status', async () => {
+            const ids = async (status) => (await factory.dealsWithStatus(status)).map((id) => id.toNumber())
+
+            await first.connect(buyer).openDispute(1)
+
+            expect(await ids(OPEN)).to.deep.equal([1])
+            expect(await ids(UNDER_CONTRACT)).to.deep.equal([2])
+            expect(await ids(DISPUTED)).to.deep.equal([0])
+            expect(await ids(CLOSED)).to.deep.equal([])
+
+            await first.connect(arbitrator).resolveDispute(1, 10000, false)
+            expect(await ids(CLOSED)).to.deep.equal([0])
+        })
+
+        it('Summarizes deals', async () => {
+            const [deal] = await factory.getDeals([2])
+
+            expect(deal.dealID).to.be.equal(2)
+            expect(deal.escrow).to.be.equal(await factory.escrowOf(3))
+            expect(deal.nftID).to.be.equal(3)
+            expect(deal.seller).to.be.equal(seller.address)
+            expect(deal.buyer).to.be.equal(attacker.address)
+            expect(deal.status).to.be.equal(UNDER_CONTRACT)
+        })
+
+        it('Returns listings from each property\'s escrow', async () => {
+            const listings = await factory.getListings(1, 4)
+
+            expect(listings.map((listing) => listing.isListed)).to.deep.equal([true, true, true, false])
+            expect(listings[0].buyer).to.be.equal(buyer.address)
+            expect(listings[1].buyer).to.be.equal(ethers.constants.AddressZero)
+            expect(listings[2].purchasePrice).to.be.equal(tokens(10))
+        })
+    })
+})
@@ -0,0 +1,252 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
+
+const tokens = (n) => {
+    return ethers.utils.parseUnits(n.toString(), 'ether')
+}
+
+const days = (n) => {
+    return n * 24 * 60 * 60
+}
+
+// Rentals priced in ETH use the zero address as their payment token
+const ETH = ethers.constants.AddressZero
+
+const RENT = tokens(1)
+const DEPOSIT = tokens(2)
+const PERIOD = days(30)
+const PERIODS = 3
+
+describe('Lease', () => {
+    let landlord, tenant, attacker
+    let realEstate, lease
+
+    beforeEach(async () => {
+        // Setup accounts
+        [landlord, tenant, attacker] = await ethers.getSigners()
+
+        // Deploy Real Estate
+        const RealEstate = await ethers.getContractFactory('RealEstate')
+        realEstate = await RealEstate.deploy()
+
+        // Deploy Lease
+        const Lease = await ethers.getContractFactory('Lease')
+        lease = await Lease.deploy(realEstate.address)
+
+        // Mint, approve and offer for rent
+        await realEstate.connect(landlord).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+        await realEstate.connect(landlord).approve(lease.address, 1)
+        await lease.connect(landlord).offerRental(1, ETH, RENT, DEPOSIT, PERIOD, PERIODS)
+    })
+
+    describe('User rights', () => {
+
+        it('Supports ERC-4907', async () => {
+            // type(IERC4907).interfaceId
+            expect(await realEstate.supportsInterface('0xad092b5c')).to.be.equal(true)
+        })
+
+        it('Clears the user on transfer', async () => {
+            await realEstate.connect(landlord).setUser(1, tenant.address, (await time.latest()) + days(1))
+            await realEstate.connect(landlord).transferFrom(landlord.address, attacker.address, 1)
+
+            expect(await realEstate.userOf(1)).to.be.equal(ETH)
+        })
+
+        it('Should fail when a non-owner sets the user', async () => {
+            await expect(realEstate.connect(attacker).setUser(1, attacker.address, 0)).to.be.revertedWith("RealEstate: Caller is not owner nor approved")
+        })
+    })
+
+    describe('Starting', () => {
+        describe('Success', () => {
+
+            it('Grants the tenant use while the landlord keeps title', async () => {
+                await expect(lease.connect(tenant).startLease(1, { value: DEPOSIT.add(RENT) }))
+                    .to.emit(lease, 'LeaseStarted')
+
+                expect(await realEstate.ownerOf(1)).to.be.equal(landlord.address)
+                expect(await realEstate.userOf(1)).to.be.equal(tenant.address)
+                expect(await realEstate.userExpires(1)).to.be.equal((await time.latest()) + PERIOD * PERIODS)
+            })
+
+            it('Holds the deposit and first rent', async () => {
+                await lease.connect(tenant).startLease(1, { value: DEPOSIT.add(RENT) })
+
+                expect(await ethers.provider.getBalance(lease.address)).to.be.equal(DEPOSIT.add(RENT))
+                expect(await lease.paidUntil(1)).to.be.equal((await time.latest()) + PERIOD)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail when the property is already leased', async () => {
+                await lease.connect(tenant).startLease(1, { value: DEPOSIT.add(RENT) })
+
+                await expect(lease.connect(attacker).startLease(1, { value: DEPOSIT.add(RENT) })).to.be.revertedWith("Lease: Property is already leased")
+            })
+
+            it('Should fail without the deposit', async () => {
+                await expect(lease.connect(tenant).startLease(1, { value: RENT })).to.be.revertedWith("Payments: Incorrect ETH amount")
+            })
+
+            it('Should fail when a non-owner offers a rental', async () => {
+                await expect(lease.connect(attacker).offerRental(1, ETH, RENT, DEPOSIT, PERIOD, PERIODS)).to.be.revertedWith("Lease: Only owner can offer a rental")
+            })
+
+            it('Should fail after the rental is withdrawn', async () => {
+                await lease.connect(landlord).withdrawRental(1)
+
+                await expect(lease.connect(tenant).startLease(1, { value: DEPOSIT.add(RENT) })).to.be.revertedWith("Lease: Property is not for rent")
+            })
+        })
+    })
+
+    describe('Rent', () => {
+
+        beforeEach(async () => {
+            await lease.connect(tenant).startLease(1, { value: DEPOSIT.add(RENT) })
+        })
+
+        describe('Success', () => {
+
+            it('Releases rent to the landlord as each period begins', async () => {
+                await lease.connect(tenant).payRent(1, { value: RENT })
+
+                const initialLandlordBalance = await ethers.provider.getBalance(landlord.address)
+                const transaction = await lease.connect(landlord).claimRent(1)
+                const receipt = await transaction.wait()
+                const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice)
+
+                // Only the first period has begun, the second is prepaid
+                expect((await ethers.provider.getBalance(landlord.address)).add(gas).sub(initialLandlordBalance)).to.be.equal(RENT)
+
+                await time.increase(PERIOD)
+                await expect(lease.connect(landlord).claimRent(1)).to.emit(lease, 'RentClaimed').withArgs(1, landlord.address, RENT)
+            })
+
+            it('Returns the deposit when the lease expires', async () => {
+                await lease.connect(tenant).payRent(1, { value: RENT })
+                await lease.connect(tenant).payRent(1, { value: RENT })
+                await time.increase(PERIOD * PERIODS)
+
+                expect(await realEstate.userOf(1)).to.be.equal(ETH)
+
+                await expect(lease.connect(attacker).endLease(1))
+                    .to.emit(lease, 'LeaseEnded').withArgs(1, tenant.address, RENT.mul(PERIODS), DEPOSIT)
+
+                expect(await ethers.provider.getBalance(lease.address)).to.be.equal(0)
+                expect((await lease.leases(1)).tenant).to.be.equal(ETH)
+            })
+
+            it('Extends the lease on renewal', async () => {
+                const expires = await realEstate.userExpires(1)
+
+                await expect(lease.connect(tenant).renew(1, 2))
+                    .to.emit(lease, 'LeaseRenewed').withArgs(1, tenant.address, expires.add(PERIOD * 2))
+
+                expect(await realEstate.userExpires(1)).to.be.equal(expires.add(PERIOD * 2))
+            })
+
+            it('Ends the lease when the paid rent runs out after termination', async () => {
+                await lease.connect(tenant).terminate(1)
+                await time.increase(PERIOD)
+
+                expect(await realEstate.userOf(1)).to.be.equal(ETH)
+
+                await expect(lease.connect(tenant).endLease(1))
+                    .to.emit(lease, 'LeaseEnded').withArgs(1, tenant.address, RENT, DEPOSIT)
+            })
+
+            it('Refunds prepaid rent when the landlord sells', async () => {
+                await lease.connect(tenant).payRent(1, { value: RENT })
+                await realEstate.connect(landlord).transferFrom(landlord.address, attacker.address, 1)
+
+                await expect(lease.connect(tenant).endLease(1))
+                    .to.emit(lease, 'LeaseEnded').withArgs(1, tenant.address, RENT, RENT.add(DEPOSIT))
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to pay beyond the end of the lease', async () => {
+                await lease.connect(tenant).payRent(1, { value: RENT })
+                await lease.connect(tenant).payRent(1, { value: RENT })
+
+                await expect(lease.connect(tenant).payRent(1, { value: RENT })).to.be.revertedWith("Lease: Rent is paid to the end of the lease")
+            })
+
+            it('Should fail to end a running lease', async () => {
+                await expect(lease.connect(landlord).endLease(1)).to.be.revertedWith("Lease: Lease has not ended")
+            })
+
+            it('Should fail to renew after the offer is withdrawn', async () => {
+                await lease.connect(landlord).withdrawRental(1)
+
+                await expect(lease.connect(tenant).renew(1, 1)).to.be.revertedWith("Lease: Property is not offered for renewal")
+            })
+
+            it('Should fail to renew an expired lease', async () => {
+                await time.increase(PERIOD * PERIODS)
+
+                await expect(lease.connect(tenant).renew(1, 1)).to.be.revertedWith("Lease: Lease has expired")
+            })
+
+            it('Should fail when a non-landlord claims rent', async () => {
+                await expect(lease.connect(attacker).claimRent(1)).to.be.revertedWith("Lease: Only landlord can call this method")
+            })
+        })
+    })
+
+    describe('Late rent', () => {
+
+        beforeEach(async () => {
+            await lease.connect(tenant).startLease(1, { value: DEPOSIT.add(RENT) })
+        })
+
+        describe('Success', () => {
+
+            it('Becomes late after the grace period', async () => {
+                await time.increase(PERIOD + days(3))
+                expect(await lease.isLate(1)).to.be.equal(false)
+
+                await time.increase(1)
+                expect(await lease.isLate(1)).to.be.equal(true)
+            })
+
+            it('Lets the landlord evict and keep the deposit', async () => {
+                await time.increase(PERIOD + days(4))
+
+                await expect(lease.connect(landlord).evict(1))
+                    .to.emit(lease, 'LeaseEvicted').withArgs(1, landlord.address, tenant.address, DEPOSIT)
+
+                expect(await realEstate.userOf(1)).to.be.equal(ETH)
+                expect(await ethers.provider.getBalance(lease.address)).to.be.equal(0)
+            })
+
+            it('Takes unpaid rent from the deposit at expiry', async () => {
+                await time.increase(PERIOD * PERIODS)
+
+                // Two periods went unpaid, which uses up the whole deposit
+                await expect(lease.connect(landlord).endLease(1))
+                    .to.emit(lease, 'LeaseEnded').withArgs(1, tenant.address, RENT.add(DEPOSIT), 0)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to evict within the grace period', async () => {
+                await time.increase(PERIOD + days(1))
+
+                await expect(lease.connect(landlord).evict(1)).to.be.revertedWith("Lease: Rent is not overdue")
+            })
+
+            it('Should fail to terminate with rent overdue', async () => {
+                await time.increase(PERIOD + 1)
+
+                await expect(lease.connect(tenant).terminate(1)).to.be.revertedWith("Lease: Rent is overdue")
+            })
+        })
+    })
+})
@@ -0,0 +1,289 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
+
+const tokens = (n) => {
+    return ethers.utils.parseUnits(n.toString(), 'ether')
+}
+
+const days = (n) => {
+    return n * 24 * 60 * 60
+}
+
+// Listings priced in ETH use the zero address as their payment token
+const ETH = ethers.constants.AddressZero
+
+const RATE_BPS = 600
+const TERM_PAYMENTS = 12
+const PAYMENT_INTERVAL = days(30)
+
+describe('Mortgage', () => {
+    let buyer, seller, inspector, lender, lawyer, attacker, appraiser, arbitrator
+    let providers
+    let realEstate, implementation, factory, escrow, mortgage
+
+    // Run a listing through to closing with the lender funding 8 of the 10 ETH price
+    const closeSale = async () => {
+        await escrow.connect(buyer).depositEarnest(1, tokens(2), { value: tokens(2) })
+        await escrow.connect(appraiser).recordAppraisal(1, tokens(10))
+        await escrow.connect(lender).depositLoan(1, tokens(8), { value: tokens(8) })
+        await escrow.connect(inspector).updateInspectionStatus(1, true)
+        await escrow.connect(lawyer).updateLegalStatus(1, true)
+        await escrow.connect(buyer).approveSale(1)
+        await escrow.connect(seller).approveSale(1)
+        await escrow.connect(lender).approveSale(1)
+        await escrow.connect(seller).finalizeSale(1)
+    }
+
+    beforeEach(async () => {
+        // Setup accounts
+        [buyer, seller, inspector, lender, lawyer, attacker, , appraiser, , arbitrator] = await ethers.getSigners()
+
+        // Service providers named on every listing
+        providers = [inspector.address, lender.address, lawyer.address, appraiser.address, arbitrator.address]
+
+        // Deploy Real Estate
+        const RealEstate = await ethers.getContractFactory('RealEstate')
+        realEstate = await RealEstate.deploy()
+
+        // Deploy Mortgage
+        const Mortgage = await ethers.getContractFactory('Mortgage')
+        mortgage = await Mortgage.deploy(realEstate.address)
+
+        // Deploy Escrow, and the factory that lists each sale in a clone of it
+        const Escrow = await ethers.getContractFactory('Escrow')
+        implementation = await Escrow.deploy(
+            realEstate.address,
+            mortgage.address,
+        )
+
+        const EscrowFactory = await ethers.getContractFactory('EscrowFactory')
+        factory = await EscrowFactory.deploy(implementation.address)
+
+        await mortgage.setEscrow(implementation.address)
+        await mortgage.setEscrowFactory(factory.address)
+
+        // Mint, approve and list
+        await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+        await realEstate.connect(seller).approve(factory.address, 1)
+        await factory.connect(seller).createEscrow([1, buyer.address, tokens(10), tokens(2)], days(10), days(20), days(30), ETH, providers)
+        escrow = await ethers.getContractAt('Escrow', await factory.escrowOf(1))
+    })
+
+    describe('Deployment', () => {
+
+        it('Connects escrow and mortgage', async () => {
+            expect(await escrow.mortgage()).to.be.equal(mortgage.address)
+            expect(await mortgage.escrow()).to.be.equal(implementation.address)
+            expect(await mortgage.escrowFactory()).to.be.equal(factory.address)
+        })
+
+        it('Should fail to connect a second escrow', async () => {
+            await expect(mortgage.setEscrow(attacker.address)).to.be.revertedWith("Mortgage: Escrow already set")
+        })
+    })
+
+    describe('Origination', () => {
+        describe('Success', () => {
+
+            beforeEach(async () => {
+                await mortgage.connect(lender).proposeTerms(1, RATE_BPS, TERM_PAYMENTS, PAYMENT_INTERVAL)
+                await closeSale()
+            })
+
+            it('Holds the property as collateral', async () => {
+                expect(await realEstate.ownerOf(1)).to.be.equal(mortgage.address)
+            })
+
+            it('Records the loan', async () => {
+                const loan = await mortgage.loans(1)
+
+                expect(loan.borrower).to.be.equal(buyer.address)
+                expect(loan.lender).to.be.equal(lender.address)
+                expect(loan.principal).to.be.equal(tokens(8))
+                expect(loan.balance).to.be.equal(tokens(8))
+                expect(loan.active).to.be.equal(true)
+                expect(loan.nextDueDate).to.be.equal((await time.latest()) + PAYMENT_INTERVAL)
+            })
+
+            it('Amortizes over the term', async () => {
+                const loan = await mortgage.loans(1)
+
+                // 12 payments at roughly 6% / 12 per period come to a bit over 1/12 of the principal
+                expect(loan.paymentAmount).to.be.greaterThan(tokens(8).div(12))
+                expect(loan.paymentAmount).to.be.lessThan(tokens(8).mul(11).div(120))
+            })
+        })
+
+        describe('Buyer approves first', () => {
+
+            it('Closes when the buyer deposits and approves before the lender funds', async () => {
+                await mortgage.connect(lender).proposeTerms(1, RATE_BPS, TERM_PAYMENTS, PAYMENT_INTERVAL)
+
+                await escrow.connect(buyer).depositEarnest(1, tokens(2), { value: tokens(2) })
+                await escrow.connect(buyer).approveSale(1)
+
+                await escrow.connect(appraiser).recordAppraisal(1, tokens(10))
+                await escrow.connect(lender).depositLoan(1, tokens(8), { value: tokens(8) })
+                await escrow.connect(lender).approveSale(1)
+                await escrow.connect(inspector).updateInspectionStatus(1, true)
+                await escrow.connect(lawyer).updateLegalStatus(1, true)
+                await escrow.connect(seller).approveSale(1)
+                await escrow.connect(seller).finalizeSale(1)
+
+                expect(await realEstate.ownerOf(1)).to.be.equal(mortgage.address)
+                expect((await mortgage.loans(1)).rateBps).to.be.equal(RATE_BPS)
+            })
+
+            it('Lets the buyer approve without terms when the earnest pays the whole price', async () => {
+                await escrow.connect(buyer).depositEarnest(1, tokens(10), { value: tokens(10) })
+                await escrow.connect(buyer).approveSale(1)
+
+                expect(await escrow.approval(1, buyer.address)).to.be.equal(true)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to close when the lender set no terms', async () => {
+                await expect(closeSale()).to.be.revertedWith("Escrow: Lender has no loan terms")
+            })
+
+            it('Should fail to close when only someone other than the lender proposed terms', async () => {
+                await mortgage.connect(attacker).proposeTerms(1, RATE_BPS, TERM_PAYMENTS, PAYMENT_INTERVAL)
+
+                await expect(closeSale()).to.be.revertedWith("Escrow: Lender has no loan terms")
+            })
+
+            it('Keeps the lender\'s terms when a third party proposes their own', async () => {
+                await mortgage.connect(lender).proposeTerms(1, RATE_BPS, TERM_PAYMENTS, PAYMENT_INTERVAL)
+                await mortgage.connect(attacker).proposeTerms(1, 0, 1, 1)
+                await closeSale()
+
+                const loan = await mortgage.loans(1)
+                expect(await realEstate.ownerOf(1)).to.be.equal(mortgage.address)
+                expect(loan.lender).to.be.equal(lender.address)
+                expect(loan.rateBps).to.be.equal(RATE_BPS)
+                expect(loan.termPayments).to.be.equal(TERM_PAYMENTS)
+            })
+
+            it('Should fail when the buyer approves before the lender proposes terms', async () => {
+                await escrow.connect(buyer).depositEarnest(1, tokens(2), { value: tokens(2) })
+
+                await expect(escrow.connect(buyer).approveSale(1)).to.be.revertedWith("Escrow: Lender has no loan terms")
+            })
+
+            it('Should fail to change terms after the buyer approved', async () => {
+                await mortgage.connect(lender).proposeTerms(1, RATE_BPS, TERM_PAYMENTS, PAYMENT_INTERVAL)
+                await escrow.connect(buyer).approveSale(1)
+
+                await expect(mortgage.connect(lender).proposeTerms(1, RATE_BPS * 2, TERM_PAYMENTS, PAYMENT_INTERVAL)).to.be.revertedWith("Mortgage: Terms locked after buyer approval")
+            })
+
+            it('Should fail when a non-escrow originates a loan', async () => {
+                await expect(mortgage.connect(attacker).originate(1, buyer.address, lender.address, tokens(8), ETH)).to.be.revertedWith("Mortgage: Only escrow can call this method")
+            })
+        })
+    })
+
+    describe('Payments', () => {
+        let paymentAmount
+
+        beforeEach(async () => {
+            await mortgage.connect(lender).proposeTerms(1, RATE_BPS, TERM_PAYMENTS, PAYMENT_INTERVAL)
+            await closeSale()
+
+            paymentAmount = (await mortgage.loans(1)).paymentAmount
+        })
+
+        describe('Success', () => {
+
+            it('Forwards installments to the lender', async () => {
+                const initialLenderBalance = await ethers.provider.getBalance(lender.address)
+
+                await mortgage.connect(buyer).makePayment(1, paymentAmount, { value: paymentAmount })
+
+                const finalLenderBalance = await ethers.provider.getBalance(lender.address)
+                expect(finalLenderBalance.sub(initialLenderBalance)).to.be.equal(paymentAmount)
+            })
+
+            it('Reduces the balance and moves the due date', async () => {
+                const before = await mortgage.loans(1)
+
+                await mortgage.connect(buyer).makePayment(1, paymentAmount, { value: paymentAmount })
+
+                const after = await mortgage.loans(1)
+                expect(after.balance).to.be.lessThan(before.balance)
+                expect(after.paymentsMade).to.be.equal(1)
+                expect(after.nextDueDate).to.be.equal(before.nextDueDate.add(PAYMENT_INTERVAL))
+            })
+
+            it('Releases the property after the last installment', async () => {
+                for (let i = 0; i < TERM_PAYMENTS; i++) {
+                    await mortgage.connect(buyer).makePayment(1, paymentAmount, { value: paymentAmount })
+                }
+
+                expect((await mortgage.loans(1)).balance).to.be.equal(0)
+                expect(await realEstate.ownerOf(1)).to.be.equal(buyer.address)
+            })
+
+            it('Refunds overpayment beyond the payoff amount', async () => {
+                await expect(mortgage.connect(buyer).makePayment(1, tokens(20), { value: tokens(20) }))
+                    .to.emit(mortgage, 'LoanRepaid').withArgs(1, buyer.address)
+
+                expect(await ethers.provider.getBalance(mortgage.address)).to.be.equal(0)
+                expect(await realEstate.ownerOf(1)).to.be.equal(buyer.address)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to pay less than the installment', async () => {
+                await expect(mortgage.connect(buyer).makePayment(1, paymentAmount.sub(1), { value: paymentAmount.sub(1) })).to.be.revertedWith("Mortgage: Payment below installment")
+            })
+        })
+    })
+
+    describe('Foreclosure', () => {
+
+        beforeEach(async () => {
+            await mortgage.connect(lender).proposeTerms(1, RATE_BPS, TERM_PAYMENTS, PAYMENT_INTERVAL)
+            await closeSale()
+        })
+
+        describe('Success', () => {
+
+            it('Counts missed payments', async () => {
+                expect(await mortgage.missedPayments(1)).to.be.equal(0)
+
+                await time.increase(PAYMENT_INTERVAL * 2 + 1)
+
+                expect(await mortgage.missedPayments(1)).to.be.equal(2)
+            })
+
+            it('Transfers the property to the lender', async () => {
+                await time.increase(PAYMENT_INTERVAL * 3 + 1)
+
+                await mortgage.connect(lender).foreclose(1)
+
+                expect(await realEstate.ownerOf(1)).to.be.equal(lender.address)
+                expect((await mortgage.loans(1)).active).to.be.equal(false)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail before enough payments are missed', async () => {
+                await time.increase(PAYMENT_INTERVAL * 2 + 1)
+
+                await expect(mortgage.connect(lender).foreclose(1)).to.be.revertedWith("Mortgage: Not enough missed payments")
+            })
+
+            it('Should fail when a non-lender forecloses', async () => {
+                await time.increase(PAYMENT_INTERVAL * 3 + 1)
+
+                await expect(mortgage.connect(attacker).foreclose(1)).to.be.revertedWith("Mortgage: Only lender can call this method")
+            })
+        })
+    })
+})
@@ -0,0 +1,412 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
+
+const tokens = (n) => {
+    return ethers.utils.parseUnits(n.toString(), 'ether')
+}
+
+const days = (n) => {
+    return n * 24 * 60 * 60
+}
+
+// Vaults priced in ETH use the zero address as their payment token
+const ETH = ethers.constants.AddressZero
+
+const SHARES = 100
+const SHARES_FOR_SALE = 60
+const PRICE_PER_SHARE = tokens(0.1)
+const OFFERING_PERIOD = days(14)
+const PROCEEDS = PRICE_PER_SHARE.mul(SHARES_FOR_SALE)
+
+const INSPECTION_PERIOD = days(20)
+const FINANCING_PERIOD = days(25)
+const CLOSING_PERIOD = days(30)
+
+describe('Vault', () => {
+    let curator, alice, bob, tenant, attacker, inspector, lender, lawyer, appraiser, arbitrator
+    let realEstate, lease, escrowFactory, factory, vault, escrow
+
+    // Creates the vault and, when shares are on offer, lists the property in
+    // an escrow with the vault as buyer at the price of every share on offer
+    const fractionalize = async (terms = {}) => {
+        const vaultTerms = {
+            paymentToken: ETH,
+            shares: SHARES,
+            sharesForSale: SHARES_FOR_SALE,
+            pricePerShare: PRICE_PER_SHARE,
+            offeringPeriod: OFFERING_PERIOD,
+            ...terms,
+        }
+
+        await realEstate.connect(curator).approve(factory.address, 1)
+        await factory.connect(curator).fractionalize(1, vaultTerms)
+        const vault = await ethers.getContractAt('Vault', await factory.vaults(1))
+
+        if (vaultTerms.sharesForSale > 0) {
+            const price = vaultTerms.pricePerShare.mul(vaultTerms.sharesForSale)
+            const providers = [inspector.address, lender.address, lawyer.address, appraiser.address, arbitrator.address]
+
+            await realEstate.connect(curator).approve(escrowFactory.address, 1)
+            await escrowFactory.connect(curator).createEscrow(
+                { nftID: 1, buyer: vault.address, purchasePrice: price, escrowAmount: price },
+                INSPECTION_PERIOD, FINANCING_PERIOD, CLOSING_PERIOD, ETH, providers
+            )
+            escrow = await ethers.getContractAt('Escrow', await escrowFactory.escrowOf(1))
+        }
+
+        return vault
+    }
+
+    // Alice buys 40 shares and Bob the other 20 on offer, which sends the payments to escrow
+    const sellOut = async () => {
+        await vault.connect(alice).buyShares(40, { value: PRICE_PER_SHARE.mul(40) })
+        await vault.connect(bob).buyShares(20, { value: PRICE_PER_SHARE.mul(20) })
+    }
+
+    // The escrow sale to the vault closes like any other, which closes the offering
+    const closeSale = async () => {
+        await escrow.connect(inspector).updateInspectionStatus(1, true)
+        await escrow.connect(lawyer).updateLegalStatus(1, true)
+        await escrow.connect(appraiser).recordAppraisal(1, PROCEEDS)
+        await escrow.connect(lender).approveSale(1)
+        await escrow.connect(curator).approveSale(1)
+        await escrow.connect(curator).finalizeSale(1)
+        await vault.closeOffering()
+    }
+
+    beforeEach(async () => {
+        // Setup accounts
+        [curator, alice, bob, tenant, attacker, inspector, lender, lawyer, appraiser, arbitrator] = await ethers.getSigners()
+
+        // Deploy Real Estate
+        const RealEstate = await ethers.getContractFactory('RealEstate')
+        realEstate = await RealEstate.deploy()
+
+        // Deploy Lease
+        const Lease = await ethers.getContractFactory('Lease')
+        lease = await Lease.deploy(realEstate.address)
+
+        // Deploy Escrow Factory, which the vault buys the shares on offer through
+        const Escrow = await ethers.getContractFactory('Escrow')
+        const implementation = await Escrow.deploy(realEstate.address, ethers.constants.AddressZero)
+        const EscrowFactory = await ethers.getContractFactory('EscrowFactory')
+        escrowFactory = await EscrowFactory.deploy(implementation.address)
+
+        // Deploy Vault Factory
+        const VaultFactory = await ethers.getContractFactory('VaultFactory')
+        factory = await VaultFactory.deploy(realEstate.address, lease.address, escrowFactory.address)
+
+        // Mint and fractionalize
+        await realEstate.connect(curator).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+        vault = await fractionalize()
+    })
+
+    describe('Fractionalizing', () => {
+
+        it('Lists the property in escrow with the vault as buyer', async () => {
+            expect(await realEstate.ownerOf(1)).to.be.equal(escrow.address)
+            expect(await escrow.buyer(1)).to.be.equal(vault.address)
+            expect(await escrow.seller(1)).to.be.equal(curator.address)
+            expect(await vault.nftID()).to.be.equal(1)
+            expect(await vault.curator()).to.be.equal(curator.address)
+        })
+
+        it('Locks the property in the vault right away when no shares are on offer', async () => {
+            await realEstate.connect(curator).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+            await realEstate.connect(curator).approve(factory.address, 2)
+            await factory.connect(curator).fractionalize(2, {
+                paymentToken: ETH, shares: SHARES, sharesForSale: 0, pricePerShare: 0, offeringPeriod: 0,
+            })
+
+            const whole = await ethers.getContractAt('Vault', await factory.vaults(2))
+            expect(await realEstate.ownerOf(2)).to.be.equal(whole.address)
+            expect(await whole.offeringClosed()).to.be.equal(true)
+            expect(await whole.balanceOf(curator.address)).to.be.equal(SHARES)
+        })
+
+        it('Gives the curator the shares not on offer', async () => {
+            expect(await vault.totalSupply()).to.be.equal(SHARES - SHARES_FOR_SALE)
+            expect(await vault.balanceOf(curator.address)).to.be.equal(SHARES - SHARES_FOR_SALE)
+            expect(await vault.decimals()).to.be.equal(0)
+            expect(await vault.symbol()).to.be.equal('RES1')
+        })
+
+        it('Should fail when a non-owner fractionalizes', async () => {
+            await realEstate.connect(curator).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+
+            await expect(factory.connect(attacker).fractionalize(2, {
+                paymentToken: ETH, shares: SHARES, sharesForSale: 0, pricePerShare: 0, offeringPeriod: 0,
+            })).to.be.revertedWith("VaultFactory: Only owner can fractionalize")
+        })
+    })
+
+    describe('Offering', () => {
+        describe('Success', () => {
+
+            it('Holds payments until every share on offer is sold', async () => {
+                await vault.connect(alice).buyShares(40, { value: PRICE_PER_SHARE.mul(40) })
+
+                expect(await vault.balanceOf(alice.address)).to.be.equal(40)
+                expect(await vault.held()).to.be.equal(PRICE_PER_SHARE.mul(40))
+                expect(await vault.isOfferingOpen()).to.be.equal(true)
+            })
+
+            it('Pays the escrow earnest and approves the sale when the offering sells out', async () => {
+                await vault.connect(alice).buyShares(40, { value: PRICE_PER_SHARE.mul(40) })
+
+                await expect(vault.connect(bob).buyShares(20, { value: PRICE_PER_SHARE.mul(20) }))
+                    .to.emit(vault, 'OfferingSoldOut').withArgs(escrow.address, PROCEEDS)
+
+                expect(await escrow.earnestDeposited(1)).to.be.equal(PROCEEDS)
+                expect(await escrow.approval(1, vault.address)).to.be.equal(true)
+                expect(await vault.escrow()).to.be.equal(escrow.address)
+                expect(await vault.isOfferingOpen()).to.be.equal(false)
+                expect(await vault.offeringClosed()).to.be.equal(false)
+            })
+
+            it('Pays the curator and takes the property when the escrow sale closes', async () => {
+                await sellOut()
+
+                await escrow.connect(inspector).updateInspectionStatus(1, true)
+                await escrow.connect(lawyer).updateLegalStatus(1, true)
+                await escrow.connect(appraiser).recordAppraisal(1, PROCEEDS)
+                await escrow.connect(lender).approveSale(1)
+                await escrow.connect(curator).approveSale(1)
+
+                const balanceBefore = await ethers.provider.getBalance(curator.address)
+                await escrow.connect(inspector).finalizeSale(1)
+
+                await expect(vault.connect(alice).closeOffering()).to.emit(vault, 'OfferingClosed').withArgs(SHARES_FOR_SALE, PROCEEDS)
+
+                expect(await ethers.provider.getBalance(curator.address)).to.be.equal(balanceBefore.add(PROCEEDS))
+                expect(await realEstate.ownerOf(1)).to.be.equal(vault.address)
+                expect(await vault.offeringClosed()).to.be.equal(true)
+                expect(await vault.held()).to.be.equal(0)
+            })
+
+            it('Refunds buyers when the offering fails', async () => {
+                await vault.connect(alice).buyShares(40, { value: PRICE_PER_SHARE.mul(40) })
+                await time.increase(OFFERING_PERIOD + 1)
+
+                await expect(vault.connect(curator).refund(alice.address))
+                    .to.emit(vault, 'SharesRefunded').withArgs(alice.address, 40, PRICE_PER_SHARE.mul(40))
+
+                expect(await vault.balanceOf(alice.address)).to.be.equal(0)
+                expect(await ethers.provider.getBalance(vault.address)).to.be.equal(0)
+            })
+
+            it('Refunds buyers when the escrow sale falls through', async () => {
+                await sellOut()
+                await time.increase(INSPECTION_PERIOD + 1)
+                await escrow.expireSale(1)
+
+                expect(await vault.isOfferingFailed()).to.be.equal(true)
+
+                await expect(vault.refund(alice.address))
+                    .to.emit(vault, 'SharesRefunded').withArgs(alice.address, 40, PRICE_PER_SHARE.mul(40))
+                await expect(vault.refund(bob.address))
+                    .to.emit(vault, 'SharesRefunded').withArgs(bob.address, 20, PRICE_PER_SHARE.mul(20))
+
+                expect(await ethers.provider.getBalance(vault.address)).to.be.equal(0)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to buy more shares than are on offer', async () => {
+                await expect(vault.connect(alice).buyShares(61, { value: PRICE_PER_SHARE.mul(61) }))
+                    .to.be.revertedWith("Vault: Not enough shares on offer")
+            })
+
+            it('Should fail to buy without paying', async () => {
+                await expect(vault.connect(alice).buyShares(10)).to.be.revertedWith("Payments: Incorrect ETH amount")
+            })
+
+            it('Should fail to buy after the deadline', async () => {
+                await time.increase(OFFERING_PERIOD + 1)
+
+                await expect(vault.connect(alice).buyShares(10, { value: PRICE_PER_SHARE.mul(10) }))
+                    .to.be.revertedWith("Vault: Offering is not open")
+            })
+
+            it('Should fail to transfer shares before the offering closes', async () => {
+                await vault.connect(alice).buyShares(10, { value: PRICE_PER_SHARE.mul(10) })
+
+                await expect(vault.connect(alice).transfer(bob.address, 10))
+                    .to.be.revertedWith("Vault: Shares are locked until the offering closes")
+            })
+
+            it('Should fail to sell out when the property is not listed for the vault', async () => {
+                await realEstate.connect(curator).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+                await factory.connect(curator).fractionalize(2, {
+                    paymentToken: ETH, shares: SHARES, sharesForSale: 10, pricePerShare: PRICE_PER_SHARE, offeringPeriod: OFFERING_PERIOD,
+                })
+                const unlisted = await ethers.getContractAt('Vault', await factory.vaults(2))
+
+                await expect(unlisted.connect(alice).buyShares(10, { value: PRICE_PER_SHARE.mul(10) }))
+                    .to.be.revertedWith("Vault: Property is not listed for the vault")
+            })
+
+            it('Should fail to close the offering before the escrow sale closes', async () => {
+                await sellOut()
+
+                await expect(vault.closeOffering()).to.be.revertedWith("Vault: Property has not reached the vault")
+            })
+
+            it('Should fail to refund while the escrow sale is pending', async () => {
+                await sellOut()
+                await time.increase(OFFERING_PERIOD + 1)
+
+                await expect(vault.refund(alice.address)).to.be.revertedWith("Vault: Offering has not failed")
+            })
+
+            it('Should fail to refund while the offering is open', async () => {
+                await vault.connect(alice).buyShares(10, { value: PRICE_PER_SHARE.mul(10) })
+
+                await expect(vault.refund(alice.address)).to.be.revertedWith("Vault: Offering has not failed")
+            })
+
+            it('Should fail to redeem while others hold shares', async () => {
+                await sellOut()
+                await closeSale()
+
+                await expect(vault.connect(curator).redeem()).to.be.revertedWith("Vault: Must hold every share")
+            })
+        })
+    })
+
+    describe('Proceeds', () => {
+        const RENT = tokens(1)
+        const PERIOD = days(30)
+
+        beforeEach(async () => {
+            await sellOut()
+            await closeSale()
+        })
+
+        describe('Success', () => {
+
+            it('Distributes rent pro rata', async () => {
+                await vault.connect(curator).offerRental(RENT, 0, PERIOD, 3)
+                await lease.connect(tenant).startLease(1, { value: RENT })
+
+                await expect(vault.claimRent()).to.emit(vault, 'ProceedsDistributed').withArgs(RENT)
+
+                // Curator 40, Alice 40 and Bob 20 of the 100 shares
+                expect(await vault.withdrawableProceeds(curator.address)).to.be.equal(tokens(0.4))
+                expect(await vault.withdrawableProceeds(alice.address)).to.be.equal(tokens(0.4))
+                expect(await vault.withdrawableProceeds(bob.address)).to.be.equal(tokens(0.2))
+                expect(await realEstate.userOf(1)).to.be.equal(tenant.address)
+            })
+
+            it('Distributes whatever reaches the vault', async () => {
+                await attacker.sendTransaction({ to: vault.address, value: tokens(10) })
+                await vault.distribute()
+
+                await expect(vault.connect(bob).withdrawProceeds())
+                    .to.emit(vault, 'ProceedsWithdrawn').withArgs(bob.address, tokens(2))
+
+                expect(await vault.withdrawableProceeds(bob.address)).to.be.equal(0)
+            })
+
+            it('Leaves earned proceeds with the seller of shares', async () => {
+                await attacker.sendTransaction({ to: vault.address, value: tokens(10) })
+                await vault.distribute()
+
+                await vault.connect(bob).transfer(alice.address, 20)
+
+                expect(await vault.withdrawableProceeds(bob.address)).to.be.equal(tokens(2))
+                expect(await vault.withdrawableProceeds(alice.address)).to.be.equal(tokens(4))
+
+                await attacker.sendTransaction({ to: vault.address, value: tokens(10) })
+                await vault.distribute()
+
+                expect(await vault.withdrawableProceeds(bob.address)).to.be.equal(tokens(2))
+                expect(await vault.withdrawableProceeds(alice.address)).to.be.equal(tokens(10))
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to distribute nothing', async () => {
+                await expect(vault.distribute()).to.be.revertedWith("Vault: No new proceeds")
+            })
+
+            it('Should fail when a non-curator offers a rental', async () => {
+                await expect(vault.connect(alice).offerRental(RENT, 0, PERIOD, 3))
+                    .to.be.revertedWith("Vault: Only curator can call this method")
+            })
+        })
+    })
+
+    describe('Buyout', () => {
+        const PRICE = tokens(20)
+
+        beforeEach(async () => {
+            await sellOut()
+            await closeSale()
+            await vault.connect(attacker).proposeBuyout(PRICE, { value: PRICE })
+        })
+
+        describe('Success', () => {
+
+            it('Sells the property once a majority votes for it', async () => {
+                await vault.connect(curator).vote(true)
+                await vault.connect(bob).vote(true)
+
+                await expect(vault.executeBuyout()).to.emit(vault, 'BuyoutExecuted').withArgs(attacker.address, PRICE)
+
+                expect(await realEstate.ownerOf(1)).to.be.equal(attacker.address)
+                expect(await vault.released()).to.be.equal(true)
+                expect(await vault.withdrawableProceeds(alice.address)).to.be.equal(tokens(8))
+            })
+
+            it('Counts the shares held when the buyout was proposed', async () => {
+                await vault.connect(bob).transfer(curator.address, 20)
+
+                await expect(vault.connect(curator).vote(true)).to.emit(vault, 'Voted').withArgs(curator.address, true, 40)
+                expect(await vault.isBuyoutApproved()).to.be.equal(false)
+            })
+
+            it('Returns the price when the buyout is voted down', async () => {
+                await vault.connect(alice).vote(false)
+                await vault.connect(bob).vote(false)
+
+                await expect(vault.connect(attacker).withdrawBuyout())
+                    .to.emit(vault, 'BuyoutWithdrawn').withArgs(attacker.address, PRICE)
+
+                expect(await realEstate.ownerOf(1)).to.be.equal(vault.address)
+                expect(await vault.held()).to.be.equal(0)
+            })
+        })
+
+        describe('Failure', () => {
+
+            it('Should fail to execute without a majority', async () => {
+                await vault.connect(curator).vote(true)
+
+                await expect(vault.executeBuyout()).to.be.revertedWith("Vault: Buyout has not been approved")
+            })
+
+            it('Should fail to vote twice', async () => {
+                await vault.connect(alice).vote(true)
+
+                await expect(vault.connect(alice).vote(true)).to.be.revertedWith("Vault: Already voted")
+            })
+
+            it('Should fail to vote without shares', async () => {
+                await expect(vault.connect(tenant).vote(true)).to.be.revertedWith("Vault: No shares to vote with")
+            })
+
+            it('Should fail to withdraw while the vote is open', async () => {
+                await expect(vault.connect(attacker).withdrawBuyout()).to.be.revertedWith("Vault: Buyout vote is still open")
+            })
+
+            it('Should fail to propose a second buyout', async () => {
+                await expect(vault.connect(alice).proposeBuyout(PRICE, { value: PRICE }))
+                    .to.be.revertedWith("Vault: A buyout is already pending")
+            })
+        })
+    })
+})